@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { softDelete } = require('../utils/softDelete');
+
+const TERMS = ['autumn', 'spring', 'summer'];
+
+const academicTermSchema = new mongoose.Schema(
+  {
+    // Calendar year the term starts in
+    year: { type: Number, required: true, min: 2000, max: 2100 },
+    term: { type: String, enum: TERMS, required: true },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    // New enrollments and module registrations are accepted in this window
+    registrationOpensAt: { type: Date, required: true },
+    registrationClosesAt: { type: Date, required: true },
+    // Last moment to drop a course or module
+    addDropDeadline: { type: Date, required: true },
+    gradeSubmissionDeadline: { type: Date, required: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+academicTermSchema.index({ year: 1, term: 1 }, { unique: true });
+academicTermSchema.index({ registrationOpensAt: 1, addDropDeadline: 1 });
+
+academicTermSchema.virtual('name').get(function () {
+  return `${this.term.charAt(0).toUpperCase()}${this.term.slice(1)} ${this.year}`;
+});
+
+// First inconsistent date, as a message, or null
+academicTermSchema.methods.dateError = function () {
+  if (this.endDate <= this.startDate) return 'Term end must be after its start';
+  if (this.registrationClosesAt <= this.registrationOpensAt) return 'Registration must close after it opens';
+  if (this.addDropDeadline < this.registrationOpensAt) return 'The add/drop deadline cannot be before registration opens';
+  if (this.gradeSubmissionDeadline < this.startDate) return 'The grade submission deadline cannot be before the term starts';
+  return null;
+};
+
+academicTermSchema.pre('validate', function () {
+  const error = this.dateError();
+  if (error) this.invalidate('endDate', error);
+});
+
+academicTermSchema.methods.isRegistrationOpen = function (now = new Date()) {
+  return this.registrationOpensAt <= now && now <= this.registrationClosesAt;
+};
+
+academicTermSchema.methods.isDropOpen = function (now = new Date()) {
+  return this.registrationOpensAt <= now && now <= this.addDropDeadline;
+};
+
+// The term new enrollments and registrations go to: the one whose registration window covers `now`
+// (the earliest-starting one if several do)
+academicTermSchema.statics.openForRegistration = function (now = new Date()) {
+  return this.findOne({ registrationOpensAt: { $lte: now }, registrationClosesAt: { $gte: now } }).sort({ startDate: 1 });
+};
+
+// The term registration is open for or, failing that, the earliest-starting one still in its
+// add/drop period. A term whose registration has closed never hides the next one that is open.
+academicTermSchema.statics.activeForRegistration = async function (now = new Date()) {
+  const open = await this.openForRegistration(now);
+  if (open) return open;
+  return this.findOne({ registrationOpensAt: { $lte: now }, addDropDeadline: { $gte: now } }).sort({ startDate: 1 });
+};
+
+// The next term whose registration has not opened yet
+academicTermSchema.statics.nextRegistration = function (now = new Date()) {
+  return this.findOne({ registrationOpensAt: { $gt: now } }).sort({ registrationOpensAt: 1 });
+};
+
+// Why new enrollments or registrations are refused right now, pointing at the next window if any
+academicTermSchema.statics.closedMessage = async function (action, now = new Date()) {
+  const next = await this.nextRegistration(now);
+  if (!next) return `${action} is closed`;
+  return `${action} is closed; registration for ${next.name} opens on ${next.registrationOpensAt.toISOString().slice(0, 10)}`;
+};
+
+academicTermSchema.plugin(softDelete);
+
+const AcademicTerm = mongoose.model('AcademicTerm', academicTermSchema);
+AcademicTerm.TERMS = TERMS;
+module.exports = AcademicTerm;
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { isKnownPermission } = require('../utils/permissions');
+
+const TOKEN_PREFIX = 'sut_';
+const DEFAULT_DAYS = parseInt(process.env.API_TOKEN_DAYS) || 90;
+const MAX_DAYS = 365;
+// lastUsedAt is only written when older than this, so busy clients do not write on every request
+const USE_RECORD_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A personal access token for API clients, sent as "Authorization: Bearer sut_…". Like password
+// reset links only the SHA-256 is stored. Scopes are permission names ("*" for everything) and
+// narrow what the token can do; they never widen the owner's own permissions.
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    tokenHash: { type: String, required: true, unique: true, select: false },
+    // First characters of the token, so the owner can tell tokens apart
+    prefix: { type: String, required: true },
+    scopes: {
+      type: [{ type: String, trim: true }],
+      validate: [(scopes) => scopes.length > 0, 'A token needs at least one scope'],
+    },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    createdIp: { type: String },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    // The hash is never sent to clients, including in the response that issues the token
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+apiTokenSchema.path('scopes').validate((scopes) => scopes.every(isKnownPermission), 'Unknown scope');
+
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+apiTokenSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Name, scopes and lifetime from a create request ({ name, scopes, expiresInDays }, scopes as a
+// list or comma-separated); returns { name, scopes, days } or { error }
+apiTokenSchema.statics.parseRequest = function ({ name, scopes, expiresInDays } = {}) {
+  const list = (Array.isArray(scopes) ? scopes : String(scopes || '').split(','))
+    .map((s) => String(s || '').trim())
+    .filter(Boolean);
+  const days = expiresInDays === undefined || expiresInDays === '' ? DEFAULT_DAYS : Number(expiresInDays);
+  if (!String(name || '').trim()) return { error: 'Give the token a name' };
+  if (!list.length) return { error: 'Choose at least one scope' };
+  const unknown = list.filter((s) => !isKnownPermission(s));
+  if (unknown.length) return { error: `Unknown scopes: ${unknown.join(', ')}` };
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) return { error: `Tokens expire after 1 to ${MAX_DAYS} days` };
+  return { name: String(name).trim(), scopes: [...new Set(list)], days };
+};
+
+// Issue a token for `user`; returns { token, record } where `token` is the plain value to show once.
+// Throws a ValidationError for a missing name or unknown scopes.
+apiTokenSchema.statics.issue = async function (user, { name, scopes, days = DEFAULT_DAYS, ip }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  const record = await this.create({
+    user: user._id,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt: new Date(Date.now() + Math.min(days, MAX_DAYS) * 24 * 60 * 60 * 1000),
+    createdIp: ip,
+  });
+  await mongoose.model('SecurityEvent').create({
+    type: 'api_token_created',
+    user: user._id,
+    email: user.email,
+    actor: user._id,
+    ip,
+    apiToken: record._id,
+  });
+  return { token, record };
+};
+
+// Revoke `record` for `owner` (its user) on behalf of `actor`; false when it was already revoked
+apiTokenSchema.statics.revoke = async function (record, owner, actor, ip) {
+  const revoked = await this.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: actor } }
+  );
+  if (!revoked) return false;
+  await mongoose.model('SecurityEvent').create({
+    type: 'api_token_revoked',
+    user: owner._id,
+    email: owner.email,
+    actor,
+    ip,
+    apiToken: record._id,
+  });
+  return true;
+};
+
+// Revoke every unrevoked token of `owner` on behalf of `actor`, e.g. when the password changes hands;
+// returns how many were revoked
+apiTokenSchema.statics.revokeAll = async function (owner, actor, ip) {
+  const ids = await this.distinct('_id', { user: owner._id, revokedAt: null });
+  if (!ids.length) return 0;
+  const revokedAt = new Date();
+  await this.updateMany({ _id: { $in: ids }, revokedAt: null }, { $set: { revokedAt, revokedBy: actor } });
+  const event = { type: 'api_token_revoked', user: owner._id, email: owner.email, actor, ip, at: revokedAt };
+  await mongoose.model('SecurityEvent').insertMany(ids.map((id) => ({ ...event, apiToken: id })));
+  return ids.length;
+};
+
+// The active token record for a plain token, or null; notes when and from where it was used
+apiTokenSchema.statics.authenticate = async function (token, ip) {
+  if (!String(token || '').startsWith(TOKEN_PREFIX)) return null;
+  const now = new Date();
+  const record = await this.findOne({ tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: now } });
+  if (record && (!record.lastUsedAt || now - record.lastUsedAt > USE_RECORD_MS)) {
+    await this.updateOne({ _id: record._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+  }
+  return record;
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+ApiToken.DEFAULT_DAYS = DEFAULT_DAYS;
+ApiToken.MAX_DAYS = MAX_DAYS;
+module.exports = ApiToken;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// A single class meeting of a module and the attendance taken at it
+const attendanceSessionSchema = new mongoose.Schema(
+  {
+    module: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
+    heldAt: { type: Date, required: true },
+    durationMinutes: { type: Number, min: 1, default: 60 },
+    topic: { type: String, trim: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    records: [
+      {
+        _id: false,
+        student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+        status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+        note: { type: String, trim: true },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+attendanceSessionSchema.index({ module: 1, heldAt: -1 });
+attendanceSessionSchema.index({ 'records.student': 1 });
+
+const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$records.status', status] }, 1, 0] } });
+
+/**
+ * Per student per module attendance totals for sessions matching `match`.
+ * Late counts as attended; excused sessions are left out of the percentage.
+ * Pass `studentIds` to restrict the result to particular students.
+ */
+attendanceSessionSchema.statics.summarize = async function (match = {}, studentIds) {
+  const pipeline = [{ $match: match }, { $unwind: '$records' }];
+  if (studentIds) pipeline.push({ $match: { 'records.student': { $in: studentIds } } });
+  pipeline.push({
+    $group: {
+      _id: { module: '$module', student: '$records.student' },
+      sessions: { $sum: 1 },
+      present: countStatus('present'),
+      late: countStatus('late'),
+      absent: countStatus('absent'),
+      excused: countStatus('excused'),
+    },
+  });
+
+  const rows = await this.aggregate(pipeline);
+  return rows.map(({ _id, ...counts }) => {
+    const counted = counts.sessions - counts.excused;
+    return {
+      module: _id.module,
+      student: _id.student,
+      ...counts,
+      percent: counted > 0 ? Math.round(((counts.present + counts.late) / counted) * 10000) / 100 : null,
+    };
+  });
+};
+
+const AttendanceSession = mongoose.model('AttendanceSession', attendanceSessionSchema);
+AttendanceSession.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+module.exports = AttendanceSession;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const AUDITED_ENTITIES = ['Student', 'Course', 'Module', 'Department', 'User', 'Enrollment', 'Invoice', 'Payment', 'Scholarship', 'ScholarshipAward'];
+// delete/restore are archive and restore on soft-deleted models; purge is permanent removal
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const IMMUTABLE_MESSAGE = 'Audit log entries cannot be changed or deleted';
+
+const changeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// Written by utils/audit; never updated or removed once stored
+const auditLogSchema = new mongoose.Schema({
+  entity: { type: String, enum: AUDITED_ENTITIES, required: true },
+  entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  // Null for changes made outside a request (scripts, seeders)
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Copied at write time so the entry stays readable if the account is later removed
+  actorEmail: { type: String, lowercase: true, trim: true },
+  ip: { type: String },
+  changes: [changeSchema],
+  at: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, at: -1 });
+auditLogSchema.index({ actor: 1, at: -1 });
+auditLogSchema.index({ at: -1 });
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) throw new Error(IMMUTABLE_MESSAGE);
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(
+  (op) =>
+    auditLogSchema.pre(op, function () {
+      throw new Error(IMMUTABLE_MESSAGE);
+    })
+);
+auditLogSchema.pre(['remove', 'deleteOne'], { document: true, query: false }, function () {
+  throw new Error(IMMUTABLE_MESSAGE);
+});
+
+// Most recent entries for one record, newest first
+auditLogSchema.statics.historyFor = function (entity, entityId, limit = 50) {
+  return this.find({ entity, entityId }).sort({ at: -1, _id: -1 }).limit(limit).populate('actor', 'name email').lean();
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+AuditLog.AUDITED_ENTITIES = AUDITED_ENTITIES;
+AuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports = AuditLog;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+const { softDelete } = require('../utils/softDelete');
 
 const courseSchema = new mongoose.Schema({
     name: {
@@ -37,6 +39,7 @@ const courseSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Tuition per academic term; invoiced by utils/fees
     fee: {
         type: Number,
         required: [true, 'Course fee is required'],
@@ -54,6 +57,35 @@ const courseSchema = new mongoose.Schema({
             },
             message: 'End date must be after start date'
         }
+    },
+    // Credit load a student may register for in one semester
+    minSemesterCredits: {
+        type: Number,
+        default: 0,
+        min: [0, 'Minimum semester credits cannot be negative']
+    },
+    maxSemesterCredits: {
+        type: Number,
+        default: 30,
+        min: [1, 'Maximum semester credits must be at least 1'],
+        validate: {
+            validator: function(value) {
+                return value >= (this.minSemesterCredits || 0);
+            },
+            message: 'Maximum semester credits cannot be below the minimum'
+        }
+    },
+    // Seats available; null means unlimited
+    capacity: {
+        type: Number,
+        default: null,
+        min: [1, 'Capacity must be at least 1']
+    },
+    // Seats taken, maintained atomically by claimSeat/releaseSeat
+    enrolledCount: {
+        type: Number,
+        default: 0,
+        min: 0
     }
 }, {
     timestamps: true,
@@ -90,6 +122,40 @@ courseSchema.pre('save', async function(next) {
     }
 });
 
+// Atomically take a seat if one is free; resolves to true when a seat was taken
+courseSchema.statics.claimSeat = async function(courseId) {
+    const course = await this.findOneAndUpdate(
+        {
+            _id: courseId,
+            $or: [
+                { capacity: null },
+                { $expr: { $lt: [{ $ifNull: ['$enrolledCount', 0] }, '$capacity'] } }
+            ]
+        },
+        { $inc: { enrolledCount: 1 } },
+        { new: true }
+    );
+    return Boolean(course);
+};
+
+courseSchema.statics.releaseSeat = function(courseId) {
+    return this.updateOne(
+        { _id: courseId, enrolledCount: { $gt: 0 } },
+        { $inc: { enrolledCount: -1 } }
+    );
+};
+
+// Recount seats from enrollments (for data created before seats were tracked)
+courseSchema.statics.syncEnrolledCount = async function(courseId) {
+    const enrolledCount = await mongoose.model('Enrollment').countDocuments({ course: courseId, status: 'enrolled' });
+    await this.updateOne({ _id: courseId }, { $set: { enrolledCount } });
+    return enrolledCount;
+};
+
+courseSchema.plugin(softDelete);
+// Seat counts change on every enrollment; the Enrollment trail already records those
+courseSchema.plugin(auditTrail, { ignore: ['enrolledCount'] });
+
 const Course = mongoose.model('Course', courseSchema);
 
 module.exports = Course;
@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { DEFAULT_GRADE_BOUNDARIES } = require('../utils/grading');
+const { auditTrail } = require('../utils/audit');
+const { softDelete } = require('../utils/softDelete');
+
+const gradeBoundarySchema = new mongoose.Schema({
+    letter: {
+        type: String,
+        required: [true, 'Grade letter is required'],
+        trim: true
+    },
+    minPercent: {
+        type: Number,
+        required: [true, 'Minimum percent is required'],
+        min: [0, 'Minimum percent cannot be negative'],
+        max: [100, 'Minimum percent cannot exceed 100']
+    },
+    gradePoints: {
+        type: Number,
+        required: [true, 'Grade points are required'],
+        min: [0, 'Grade points cannot be negative'],
+        max: [10, 'Grade points cannot exceed 10']
+    }
+}, { _id: false });
 
 const departmentSchema = new mongoose.Schema({
     name: {
@@ -19,8 +42,8 @@ const departmentSchema = new mongoose.Schema({
         trim: true
     },
     headOfDepartment: {
-        type: String,
-        trim: true
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty'
     },
     establishedDate: {
         type: Date,
@@ -29,6 +52,11 @@ const departmentSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Letter grade bands applied to weighted module totals, highest first
+    gradeBoundaries: {
+        type: [gradeBoundarySchema],
+        default: () => DEFAULT_GRADE_BOUNDARIES.map(b => ({ ...b }))
     }
 }, {
     timestamps: true,
@@ -59,6 +87,9 @@ departmentSchema.pre('remove', async function(next) {
     }
 });
 
+departmentSchema.plugin(softDelete);
+departmentSchema.plugin(auditTrail);
+
 const Department = mongoose.model('Department', departmentSchema);
 
 module.exports = Department;
@@ -1,16 +1,66 @@
 const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+
+const ENROLLMENT_STATUSES = ['enrolled', 'waitlisted', 'dropped'];
 
 const enrollmentSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
-    status: { type: String, enum: ['enrolled', 'dropped'], default: 'enrolled' },
+    // Term the student (re-)enrolled in; its add/drop deadline governs dropping
+    term: { type: mongoose.Schema.Types.ObjectId, ref: 'AcademicTerm' },
+    status: { type: String, enum: ENROLLMENT_STATUSES, default: 'enrolled' },
     joinedAt: { type: Date, default: Date.now },
+    // Waitlist order: earliest first
+    waitlistedAt: { type: Date },
+    // Dropping keeps the enrollment as history; re-enrolling clears this
+    droppedAt: { type: Date },
   },
   { timestamps: true }
 );
 
 enrollmentSchema.index({ user: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ course: 1, status: 1, waitlistedAt: 1 });
+enrollmentSchema.index({ term: 1, status: 1 });
+
+// 1-based place in the course's waitlist, or null when not waitlisted
+enrollmentSchema.methods.waitlistPosition = async function () {
+  if (this.status !== 'waitlisted') return null;
+  const ahead = await this.constructor.countDocuments({
+    course: this.course,
+    status: 'waitlisted',
+    $or: [{ waitlistedAt: { $lt: this.waitlistedAt } }, { waitlistedAt: this.waitlistedAt, _id: { $lt: this._id } }],
+  });
+  return ahead + 1;
+};
+
+// Move the head of a course's waitlist into a seat the caller already holds; null when nobody waits
+enrollmentSchema.statics.promoteNext = function (courseId) {
+  return this.findOneAndUpdate(
+    { course: courseId, status: 'waitlisted' },
+    { $set: { status: 'enrolled', joinedAt: Date.now() }, $unset: { waitlistedAt: 1 } },
+    { sort: { waitlistedAt: 1, _id: 1 }, new: true }
+  );
+};
+
+// Give every free seat to the waitlist, in order. Each seat is claimed atomically first, so
+// concurrent callers never promote more students than there are seats.
+enrollmentSchema.statics.fillSeats = async function (courseId) {
+  const Course = mongoose.model('Course');
+  const promoted = [];
+  while (await Course.claimSeat(courseId)) {
+    const next = await this.promoteNext(courseId);
+    if (!next) {
+      await Course.releaseSeat(courseId);
+      break;
+    }
+    promoted.push(next);
+  }
+  return promoted;
+};
+
+enrollmentSchema.plugin(auditTrail);
 
 const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+Enrollment.ENROLLMENT_STATUSES = ENROLLMENT_STATUSES;
 module.exports = Enrollment;
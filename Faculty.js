@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { softDelete } = require('../utils/softDelete');
+
+const DESIGNATIONS = [
+  'Professor',
+  'Associate Professor',
+  'Assistant Professor',
+  'Lecturer',
+  'Visiting Faculty',
+  'Lab Instructor',
+];
+
+const facultySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, lowercase: true, trim: true, unique: true, sparse: true },
+    employeeId: { type: String, uppercase: true, trim: true, unique: true, sparse: true },
+    designation: { type: String, enum: DESIGNATIONS, default: 'Lecturer' },
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+    phone: { type: String, trim: true },
+    office: { type: String, trim: true },
+    specialisations: [{ type: String, trim: true }],
+    isActive: { type: Boolean, default: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
+  },
+  { timestamps: true }
+);
+
+facultySchema.index({ name: 'text', email: 'text', specialisations: 'text' });
+facultySchema.index({ department: 1 });
+
+// Strip titles, punctuation and spacing so "Dr. A  Sharma" and "a sharma" compare equal. Letters
+// of any script are kept; a name that would normalise to nothing is compared as typed.
+facultySchema.statics.normalizeName = function (name) {
+  const raw = String(name || '').trim();
+  const key = raw
+    .toLowerCase()
+    .replace(/\b(dr|prof|mr|mrs|ms)\b\.?/g, ' ')
+    .replace(/[^\p{L}\p{M}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return key || raw.toLowerCase().replace(/\s+/g, ' ');
+};
+
+facultySchema.plugin(softDelete);
+
+const Faculty = mongoose.model('Faculty', facultySchema);
+Faculty.DESIGNATIONS = DESIGNATIONS;
+module.exports = Faculty;
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+
+const INVOICE_STATUSES = ['issued', 'void'];
+// Discount lines (scholarships) hold a positive amount that is subtracted from the total
+const LINE_KINDS = ['tuition', 'charge', 'discount'];
+// Payments may leave a balance this small from floating point rounding
+const BALANCE_EPSILON = 0.005;
+
+const lineSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: LINE_KINDS, required: true },
+    description: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: [0, 'Amounts cannot be negative'] },
+    scholarship: { type: mongoose.Schema.Types.ObjectId, ref: 'Scholarship' },
+    award: { type: mongoose.Schema.Types.ObjectId, ref: 'ScholarshipAward' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+// One student's bill for one academic term. `total` is the net of the lines, `amountPaid` the net
+// of the settled payments ledger and `amountPending` what online payments still waiting on the
+// gateway have reserved. All three are only ever changed with $inc so concurrent charges, payments
+// and refunds cannot overwrite each other.
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    term: { type: mongoose.Schema.Types.ObjectId, ref: 'AcademicTerm', required: true },
+    // Copied from the student when issued, so reports follow where the fee was billed
+    course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+    lines: [lineSchema],
+    total: { type: Number, default: 0 },
+    amountPaid: { type: Number, default: 0 },
+    // Counts against overpaying but not as paid; moves to amountPaid when the payment succeeds
+    amountPending: { type: Number, default: 0 },
+    status: { type: String, enum: INVOICE_STATUSES, default: 'issued' },
+    dueDate: { type: Date },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    voidedAt: { type: Date },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    voidReason: { type: String, trim: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+invoiceSchema.index({ student: 1, term: 1 }, { unique: true });
+invoiceSchema.index({ term: 1, department: 1, status: 1 });
+
+invoiceSchema.virtual('balance').get(function () {
+  return Math.round(((this.total || 0) - (this.amountPaid || 0)) * 100) / 100;
+});
+
+// What can still be paid: the balance less online payments waiting on the gateway
+invoiceSchema.virtual('payable').get(function () {
+  return Math.round((this.balance - (this.amountPending || 0)) * 100) / 100;
+});
+
+invoiceSchema.virtual('isSettled').get(function () {
+  return this.balance <= BALANCE_EPSILON;
+});
+
+invoiceSchema.pre('validate', function () {
+  if (!this.isNew) return;
+  const net = this.lines.reduce((sum, line) => sum + (line.kind === 'discount' ? -line.amount : line.amount), 0);
+  this.total = Math.round(net * 100) / 100;
+});
+
+// Invoice numbers are derived from the term and roll number, so one student has one per term
+invoiceSchema.statics.numberFor = (term, student) =>
+  `INV-${term.year}${term.term.slice(0, 2).toUpperCase()}-${student.rollNumber}`;
+
+// Invoiced, paid, pending and outstanding totals per department for issued invoices matching `match`
+// (an aggregation $match, so ids must already be ObjectIds)
+invoiceSchema.statics.outstandingByDepartment = function (match = {}) {
+  return this.aggregate([
+    { $match: { ...match, status: 'issued' } },
+    { $addFields: { balance: { $subtract: ['$total', '$amountPaid'] } } },
+    {
+      $group: {
+        _id: '$department',
+        invoices: { $sum: 1 },
+        unpaidInvoices: { $sum: { $cond: [{ $gt: ['$balance', BALANCE_EPSILON] }, 1, 0] } },
+        invoiced: { $sum: '$total' },
+        paid: { $sum: '$amountPaid' },
+        pending: { $sum: '$amountPending' },
+        outstanding: { $sum: '$balance' },
+      },
+    },
+    { $lookup: { from: 'departments', localField: '_id', foreignField: '_id', as: 'department' } },
+    { $unwind: { path: '$department', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        department: { _id: '$_id', name: '$department.name', code: '$department.code' },
+        invoices: 1,
+        unpaidInvoices: 1,
+        invoiced: { $round: ['$invoiced', 2] },
+        paid: { $round: ['$paid', 2] },
+        pending: { $round: ['$pending', 2] },
+        outstanding: { $round: ['$outstanding', 2] },
+      },
+    },
+    { $sort: { outstanding: -1 } },
+  ]);
+};
+
+// Scholarship discounts granted on issued invoices matching `match`, per scholarship and term
+invoiceSchema.statics.discountsByScholarship = function (match = {}) {
+  return this.aggregate([
+    { $match: { ...match, status: 'issued' } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.kind': 'discount' } },
+    {
+      $group: {
+        _id: { scholarship: '$lines.scholarship', term: '$term' },
+        students: { $addToSet: '$student' },
+        discount: { $sum: '$lines.amount' },
+      },
+    },
+    { $lookup: { from: 'scholarships', localField: '_id.scholarship', foreignField: '_id', as: 'scholarship' } },
+    { $lookup: { from: 'academicterms', localField: '_id.term', foreignField: '_id', as: 'term' } },
+    { $unwind: { path: '$scholarship', preserveNullAndEmptyArrays: true } },
+    { $unwind: { path: '$term', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        scholarship: { _id: '$_id.scholarship', name: '$scholarship.name', code: '$scholarship.code' },
+        term: { _id: '$_id.term', year: '$term.year', term: '$term.term', startDate: '$term.startDate' },
+        students: { $size: '$students' },
+        discount: { $round: ['$discount', 2] },
+      },
+    },
+    { $sort: { 'term.startDate': -1, discount: -1 } },
+  ]);
+};
+
+// amountPaid and amountPending move with every ledger entry, which the payments ledger already records
+invoiceSchema.plugin(auditTrail, { ignore: ['amountPaid', 'amountPending'] });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+Invoice.INVOICE_STATUSES = INVOICE_STATUSES;
+Invoice.LINE_KINDS = LINE_KINDS;
+Invoice.BALANCE_EPSILON = BALANCE_EPSILON;
+module.exports = Invoice;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Failed login attempts from one IP address (utils/loginThrottle). Failures are counted in a
+// window starting at the first failure; blockCount grows with each block and is forgotten when
+// the record expires after a quiet spell.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    ip: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    windowStartedAt: { type: Date, default: Date.now },
+    blockedUntil: { type: Date },
+    blockCount: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ blockedUntil: -1 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+module.exports = LoginThrottle;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { COMPONENTS } = require('../utils/grading');
+
+// One student's mark for one assessment component of a module
+const markSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    module: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
+    component: { type: String, enum: COMPONENTS, required: true },
+    score: { type: Number, required: true, min: 0 },
+    maxScore: { type: Number, default: 100, min: 1 },
+    remarks: { type: String, trim: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+markSchema.index({ student: 1, module: 1, component: 1 }, { unique: true });
+markSchema.index({ module: 1 });
+
+markSchema.path('score').validate(function (value) {
+  return value <= this.maxScore;
+}, 'Score cannot exceed the maximum marks');
+
+markSchema.virtual('percent').get(function () {
+  return this.maxScore ? Math.round((this.score / this.maxScore) * 10000) / 100 : 0;
+});
+
+const Mark = mongoose.model('Mark', markSchema);
+module.exports = Mark;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+const { softDelete } = require('../utils/softDelete');
+const { buildGraph, findCycle } = require('../utils/prerequisiteGraph');
 
 const moduleSchema = new mongoose.Schema({
     name: {
@@ -42,10 +45,10 @@ const moduleSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
-    lecturer: {
-        type: String,
-        trim: true
-    },
+    lecturers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty'
+    }],
     learningOutcomes: [{
         type: String,
         trim: true
@@ -72,8 +75,45 @@ moduleSchema.virtual('url').get(function() {
 
 // Index for frequently queried fields
 moduleSchema.index({ name: 'text', code: 'text', description: 'text' });
+moduleSchema.index({ lecturers: 1 });
+
+// Why a module's prerequisites are invalid (itself, unknown modules, or a cycle), or null
+moduleSchema.statics.prerequisiteError = async function(module) {
+    const id = String(module._id);
+    const prerequisites = [...new Set((module.prerequisites || []).map(String))];
+
+    if (prerequisites.includes(id)) {
+        return 'A module cannot be its own prerequisite';
+    }
+    if (prerequisites.length === 0) {
+        return null;
+    }
+
+    // Archived modules keep their edges, so restoring one cannot be refused for a missing prerequisite
+    const modules = await this.find({}).withDeleted().select('code name prerequisites').lean();
+    const graph = buildGraph(modules);
+    if (prerequisites.some(p => !graph.has(p))) {
+        return 'Prerequisite module not found';
+    }
 
-// Pre-save hook to validate course and department existence
+    graph.set(id, { _id: module._id, code: module.code, prerequisites });
+    const cycle = findCycle(graph, id);
+    if (cycle) {
+        return `Prerequisites would form a cycle: ${cycle.map(c => graph.get(c).code).join(' → ')}`;
+    }
+    return null;
+};
+
+// Component weights are percentages of the module result, so they must add up to 100
+moduleSchema.pre('validate', function() {
+    const weights = this.assessmentMethods || {};
+    const total = ['exam', 'coursework', 'practical'].reduce((sum, key) => sum + (Number(weights[key]) || 0), 0);
+    if (Math.abs(total - 100) > 0.01) {
+        this.invalidate('assessmentMethods', 'Assessment weights must sum to 100%');
+    }
+});
+
+// Pre-save hook to validate course, department, prerequisite and lecturer existence
 moduleSchema.pre('save', async function(next) {
     try {
         const [course, department] = await Promise.all([
@@ -93,6 +133,22 @@ moduleSchema.pre('save', async function(next) {
             throw new Error('Department does not match the course department');
         }
 
+        // Restoring an archived module puts its prerequisite edges back into the graph
+        if (this.isModified('prerequisites') || this.isModified('deletedAt')) {
+            const prerequisiteError = await this.constructor.prerequisiteError(this);
+            if (prerequisiteError) {
+                throw new Error(prerequisiteError);
+            }
+        }
+
+        // Ensure every lecturer is a known faculty member
+        if (this.isModified('lecturers') && this.lecturers.length > 0) {
+            const lecturerCount = await mongoose.model('Faculty').countDocuments({ _id: { $in: this.lecturers } });
+            if (lecturerCount !== new Set(this.lecturers.map(String)).size) {
+                throw new Error('Lecturer not found');
+            }
+        }
+
         next();
     } catch (err) {
         next(err);
@@ -113,6 +169,9 @@ moduleSchema.pre('remove', async function(next) {
     }
 });
 
+moduleSchema.plugin(softDelete);
+moduleSchema.plugin(auditTrail);
+
 const Module = mongoose.model('Module', moduleSchema);
 
 module.exports = Module;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const REGISTRATION_STATUSES = ['registered', 'dropped'];
+
+// A student's registration for one module in one semester and academic term. Dropping keeps the record.
+const moduleRegistrationSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    module: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
+    term: { type: mongoose.Schema.Types.ObjectId, ref: 'AcademicTerm' },
+    // The student's semester when they registered
+    semester: { type: Number, required: true, min: 1, max: 12 },
+    status: { type: String, enum: REGISTRATION_STATUSES, default: 'registered' },
+    registeredAt: { type: Date, default: Date.now },
+    droppedAt: { type: Date },
+    registeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Rules waived by a RegistrationOverride when this registration was accepted
+    overridden: [{ type: String }],
+  },
+  { timestamps: true }
+);
+
+// At most one live registration per student, module, semester and term (a failed module can be
+// retaken). Databases created before terms were added still hold the older
+// { student, module, semester } index, which has to be dropped.
+moduleRegistrationSchema.index(
+  { student: 1, module: 1, semester: 1, term: 1 },
+  { unique: true, partialFilterExpression: { status: 'registered' } }
+);
+moduleRegistrationSchema.index({ student: 1, semester: 1, status: 1 });
+moduleRegistrationSchema.index({ student: 1, term: 1, status: 1 });
+moduleRegistrationSchema.index({ module: 1, status: 1 });
+
+const ModuleRegistration = mongoose.model('ModuleRegistration', moduleRegistrationSchema);
+ModuleRegistration.REGISTRATION_STATUSES = REGISTRATION_STATUSES;
+module.exports = ModuleRegistration;
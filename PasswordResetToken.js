@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A password reset link. Only the SHA-256 of the token is stored, so a leaked database cannot be
+// used to reset passwords; expired tokens are removed by the TTL index.
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    requestedIp: { type: String },
+  },
+  { timestamps: true }
+);
+
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Issue a token for `user`, retiring any earlier unused ones. Returns the plain token for the link.
+// Account invitations pass a longer ttlMinutes.
+passwordResetTokenSchema.statics.issue = async function (user, requestedIp, ttlMinutes = TTL_MINUTES) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.updateMany({ user: user._id, usedAt: null }, { $set: { usedAt: Date.now() } });
+  await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requestedIp,
+  });
+  return token;
+};
+
+// The unused, unexpired token record for a plain token, or null. Does not use it up.
+passwordResetTokenSchema.statics.findValid = function (token) {
+  return this.findOne({ tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Use a token up atomically; returns the record (so the caller can reset record.user) or null
+// when it is unknown, expired or already used
+passwordResetTokenSchema.statics.consume = function (token) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: Date.now() } },
+    { new: true }
+  );
+};
+
+// Remove the record of a link that was never delivered, so it cannot be used and does not count as
+// a recent request
+passwordResetTokenSchema.statics.withdraw = function (token) {
+  return this.deleteOne({ tokenHash: hashToken(token) });
+};
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+PasswordResetToken.TTL_MINUTES = TTL_MINUTES;
+module.exports = PasswordResetToken;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+
+const PAYMENT_KINDS = ['payment', 'refund'];
+// 'online' payments go through a payment gateway; the rest are recorded by finance staff
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'cheque', 'card', 'online'];
+const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One entry in the fees ledger. Entries are never deleted: a refund is a separate entry pointing
+// at the payment it returns, and a failed online payment stays as a 'failed' entry.
+const paymentSchema = new mongoose.Schema(
+  {
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    kind: { type: String, enum: PAYMENT_KINDS, default: 'payment' },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    method: { type: String, enum: PAYMENT_METHODS, required: true },
+    status: { type: String, enum: PAYMENT_STATUSES, default: 'pending' },
+    // Set once the entry succeeds
+    receiptNumber: { type: String, unique: true, sparse: true },
+    settledAt: { type: Date },
+    gateway: { type: String },
+    gatewayReference: { type: String },
+    failureReason: { type: String },
+    // Refunds: the payment being returned. Payments: how much of them has been refunded so far.
+    refundOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    refundedAmount: { type: Number, default: 0 },
+    note: { type: String, trim: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ invoice: 1, createdAt: 1 });
+paymentSchema.index({ student: 1, createdAt: -1 });
+paymentSchema.index({ gateway: 1, gatewayReference: 1 });
+
+// RCT-/RFD- plus the year and the tail of the id, which is unique per entry
+paymentSchema.methods.assignReceiptNumber = function () {
+  const prefix = this.kind === 'refund' ? 'RFD' : 'RCT';
+  this.receiptNumber = `${prefix}-${new Date().getFullYear()}-${String(this._id).slice(-8).toUpperCase()}`;
+  return this.receiptNumber;
+};
+
+paymentSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], function () {
+  throw new Error('Ledger entries cannot be deleted; record a refund instead');
+});
+
+paymentSchema.plugin(auditTrail);
+
+const Payment = mongoose.model('Payment', paymentSchema);
+Payment.PAYMENT_KINDS = PAYMENT_KINDS;
+Payment.PAYMENT_METHODS = PAYMENT_METHODS;
+Payment.PAYMENT_STATUSES = PAYMENT_STATUSES;
+module.exports = Payment;
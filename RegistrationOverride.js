@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Registration rules an administrator can waive. Module rules apply to one module;
+// credit rules apply to one semester.
+const MODULE_RULES = ['prerequisite', 'course'];
+const CREDIT_RULES = ['min_credits', 'max_credits'];
+const OVERRIDE_RULES = [...MODULE_RULES, ...CREDIT_RULES];
+
+const registrationOverrideSchema = new mongoose.Schema(
+  {
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    rule: { type: String, enum: OVERRIDE_RULES, required: true },
+    module: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Module',
+      required: [function () { return MODULE_RULES.includes(this.rule); }, 'A module is required for this rule'],
+    },
+    semester: {
+      type: Number,
+      min: 1,
+      max: 12,
+      required: [function () { return CREDIT_RULES.includes(this.rule); }, 'A semester is required for this rule'],
+    },
+    reason: { type: String, required: [true, 'A reason is required'], trim: true },
+    grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+registrationOverrideSchema.index({ student: 1, revokedAt: 1 });
+
+const RegistrationOverride = mongoose.model('RegistrationOverride', registrationOverrideSchema);
+RegistrationOverride.OVERRIDE_RULES = OVERRIDE_RULES;
+RegistrationOverride.MODULE_RULES = MODULE_RULES;
+RegistrationOverride.CREDIT_RULES = CREDIT_RULES;
+module.exports = RegistrationOverride;
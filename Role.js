@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { SYSTEM_ROLES, isKnownPermission, withinScopes } = require('../utils/permissions');
+const { softDelete } = require('../utils/softDelete');
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, digits, "-" and "_"'],
+    },
+    label: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    permissions: [{ type: String, trim: true }],
+    isSystem: { type: Boolean, default: false },
+    // Holders must sign in with a second factor (utils/twoFactor), enrolling at their next login
+    requireTwoFactor: { type: Boolean, default: false },
+    // Holders only see and change records in their assigned departments (User.departments); with
+    // none assigned they see none. Other users are unrestricted unless given departments.
+    departmentScoped: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+roleSchema.path('permissions').validate(function (permissions) {
+  return permissions.every(isKnownPermission);
+}, 'Unknown permission');
+
+// Role name -> { permissions, requireTwoFactor, departmentScoped }, cached briefly so every request
+// does not hit the database
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { loadedAt: 0, roles: null };
+
+roleSchema.statics.invalidateCache = function () {
+  cache = { loadedAt: 0, roles: null };
+};
+
+const cachedRoles = async (Model) => {
+  if (!cache.roles || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    const roles = new Map(Object.entries(SYSTEM_ROLES).map(([name, def]) => [name, { permissions: def.permissions }]));
+    (await Model.find({}).select('name permissions requireTwoFactor departmentScoped').lean()).forEach((r) =>
+      roles.set(r.name, {
+        permissions: r.permissions,
+        requireTwoFactor: r.requireTwoFactor,
+        departmentScoped: r.departmentScoped,
+      })
+    );
+    cache = { loadedAt: Date.now(), roles };
+  }
+  return cache.roles;
+};
+
+// Permissions granted by any of the roles, narrowed to an API token's `scopes` when given
+roleSchema.statics.permissionsFor = async function (roleNames = [], scopes = null) {
+  const roles = await cachedRoles(this);
+  const granted = new Set();
+  roleNames.forEach((name) => ((roles.get(name) || {}).permissions || []).forEach((p) => granted.add(p)));
+  return scopes ? withinScopes(granted, scopes) : granted;
+};
+
+// Does any of these roles require two-factor sign-in?
+roleSchema.statics.requiresTwoFactor = async function (roleNames = []) {
+  const roles = await cachedRoles(this);
+  return roleNames.some((name) => Boolean((roles.get(name) || {}).requireTwoFactor));
+};
+
+// Does any of these roles limit its holders to their assigned departments?
+roleSchema.statics.isDepartmentScoped = async function (roleNames = []) {
+  const roles = await cachedRoles(this);
+  return roleNames.some((name) => Boolean((roles.get(name) || {}).departmentScoped));
+};
+
+// Names of every role that exists, stored or built in
+roleSchema.statics.knownNames = async function () {
+  const stored = await this.distinct('name');
+  return new Set([...Object.keys(SYSTEM_ROLES), ...stored]);
+};
+
+// Create documents for built-in roles that have not been saved yet
+roleSchema.statics.ensureSystemRoles = async function () {
+  await Promise.all(
+    Object.entries(SYSTEM_ROLES).map(([name, def]) =>
+      this.updateOne(
+        { name },
+        { $setOnInsert: { name, label: def.label, permissions: def.permissions, isSystem: true } },
+        { upsert: true }
+      )
+    )
+  );
+  this.invalidateCache();
+};
+
+// Archived roles drop out of the cache, the known names and permissionsFor
+roleSchema.plugin(softDelete);
+
+roleSchema.post('save', function () {
+  this.constructor.invalidateCache();
+});
+roleSchema.post(['deleteOne', 'remove'], { document: true, query: false }, function () {
+  this.constructor.invalidateCache();
+});
+
+const Role = mongoose.model('Role', roleSchema);
+module.exports = Role;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { softDelete } = require('../utils/softDelete');
+
+const ROOM_TYPES = ['lecture_hall', 'classroom', 'lab', 'seminar_room', 'auditorium', 'exam_hall'];
+
+const roomSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Room name is required'],
+        trim: true
+    },
+    code: {
+        type: String,
+        required: [true, 'Room code is required'],
+        trim: true,
+        uppercase: true,
+        unique: true
+    },
+    building: {
+        type: String,
+        required: [true, 'Building is required'],
+        trim: true
+    },
+    floor: {
+        type: Number
+    },
+    capacity: {
+        type: Number,
+        required: [true, 'Capacity is required'],
+        min: [1, 'Capacity must be at least 1']
+    },
+    type: {
+        type: String,
+        enum: ROOM_TYPES,
+        default: 'classroom'
+    },
+    equipment: [{
+        type: String,
+        trim: true
+    }],
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for room's URL
+roomSchema.virtual('url').get(function() {
+    return `/rooms/${this._id}`;
+});
+
+// Index for availability searches
+roomSchema.index({ isActive: 1, capacity: 1 });
+
+// Pre-save hook to validate owning department, when one is set
+roomSchema.pre('save', async function(next) {
+    try {
+        if (this.department) {
+            const department = await mongoose.model('Department').findById(this.department);
+            if (!department) {
+                throw new Error('Department not found');
+            }
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+roomSchema.plugin(softDelete);
+
+const Room = mongoose.model('Room', roomSchema);
+Room.ROOM_TYPES = ROOM_TYPES;
+
+module.exports = Room;
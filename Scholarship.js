@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// A scholarship or fee waiver scheme. Its discount comes off the tuition on each term's invoice
+// for students holding an approved ScholarshipAward who still meet the eligibility rules.
+const scholarshipSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, trim: true },
+    // 'percentage': `value` percent of tuition; 'fixed': `value` off tuition each term
+    discountType: { type: String, enum: DISCOUNT_TYPES, required: true },
+    value: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Discount must be positive'],
+      validate: {
+        validator(value) {
+          return this.discountType !== 'percentage' || value <= 100;
+        },
+        message: 'A percentage discount cannot exceed 100',
+      },
+    },
+    // Eligibility; an empty rule does not restrict
+    eligibility: {
+      minCgpa: { type: Number, min: 0, max: 10, default: null },
+      departments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
+      categories: [{ type: String, trim: true, lowercase: true }],
+    },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+// Why `student` (with their CGPA, or null when nothing is graded yet) does not qualify; [] when they do
+scholarshipSchema.methods.eligibilityProblems = function (student, cgpa) {
+  const { minCgpa, departments, categories } = this.eligibility || {};
+  const problems = [];
+  if (typeof minCgpa === 'number' && !(typeof cgpa === 'number' && cgpa >= minCgpa)) {
+    problems.push(`Requires a CGPA of at least ${minCgpa}${typeof cgpa === 'number' ? ` (has ${cgpa})` : ' (no CGPA yet)'}`);
+  }
+  if (departments && departments.length && !departments.some((d) => String(d._id || d) === String(student.department._id || student.department))) {
+    problems.push('Not open to students of this department');
+  }
+  if (categories && categories.length && !categories.includes(student.category)) {
+    problems.push(`Only for the categories: ${categories.join(', ')}`);
+  }
+  return problems;
+};
+
+// Discount on `tuition` for one term
+scholarshipSchema.methods.discountOn = function (tuition) {
+  const amount = this.discountType === 'percentage' ? (tuition * this.value) / 100 : this.value;
+  return Math.round(Math.min(amount, tuition) * 100) / 100;
+};
+
+scholarshipSchema.plugin(auditTrail);
+
+const Scholarship = mongoose.model('Scholarship', scholarshipSchema);
+Scholarship.DISCOUNT_TYPES = DISCOUNT_TYPES;
+module.exports = Scholarship;
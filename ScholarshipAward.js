@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+
+const AWARD_STATUSES = ['pending', 'approved', 'rejected', 'revoked'];
+
+// A scholarship awarded to one student. Nominations start 'pending' and only count towards fees
+// once approved by someone other than the nominator. The award covers every term starting from
+// startTerm up to and including endTerm (open-ended when endTerm is not set).
+const scholarshipAwardSchema = new mongoose.Schema(
+  {
+    scholarship: { type: mongoose.Schema.Types.ObjectId, ref: 'Scholarship', required: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    status: { type: String, enum: AWARD_STATUSES, default: 'pending' },
+    startTerm: { type: mongoose.Schema.Types.ObjectId, ref: 'AcademicTerm', required: true },
+    endTerm: { type: mongoose.Schema.Types.ObjectId, ref: 'AcademicTerm' },
+    // Copied from the terms so awards in effect for a term can be found with one query
+    startsOn: { type: Date, required: true },
+    endsOn: { type: Date },
+    note: { type: String, trim: true },
+    nominatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    decisionNote: { type: String, trim: true },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+scholarshipAwardSchema.index({ student: 1, status: 1, startsOn: 1 });
+scholarshipAwardSchema.index({ scholarship: 1, status: 1 });
+
+// Approved awards of a student that cover `term`
+scholarshipAwardSchema.statics.inEffectFor = function (studentId, term) {
+  return this.find({
+    student: studentId,
+    status: 'approved',
+    startsOn: { $lte: term.startDate },
+    $or: [{ endsOn: null }, { endsOn: { $gte: term.startDate } }],
+  }).populate('scholarship');
+};
+
+scholarshipAwardSchema.plugin(auditTrail);
+
+const ScholarshipAward = mongoose.model('ScholarshipAward', scholarshipAwardSchema);
+ScholarshipAward.AWARD_STATUSES = AWARD_STATUSES;
+module.exports = ScholarshipAward;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const SECURITY_EVENT_TYPES = [
+  'account_locked',
+  'account_unlocked',
+  'ip_blocked',
+  'ip_unblocked',
+  'two_factor_enrollment_started',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'recovery_code_used',
+  'api_token_created',
+  'api_token_revoked',
+];
+
+// Security-relevant events for admins to review: lockouts raised by utils/loginThrottle and the
+// unlocks that cleared them, two-factor changes from utils/twoFactor, and API tokens being issued
+// and revoked. Append-only, like the audit log.
+const securityEventSchema = new mongoose.Schema({
+  type: { type: String, enum: SECURITY_EVENT_TYPES, required: true },
+  // The locked account, when the event concerns one
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String, lowercase: true, trim: true },
+  ip: { type: String },
+  // Failed attempts that triggered a lockout, how many lockouts in a row, and until when
+  failures: { type: Number },
+  offence: { type: Number },
+  lockedUntil: { type: Date },
+  // Admin who cleared a lockout or reset two-factor sign-in; the user themselves for their own changes
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  userAgent: { type: String },
+  apiToken: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiToken' },
+  at: { type: Date, default: Date.now },
+});
+
+securityEventSchema.index({ at: -1 });
+securityEventSchema.index({ user: 1, at: -1 });
+securityEventSchema.index({ ip: 1, at: -1 });
+
+securityEventSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('Security events cannot be changed');
+});
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+SecurityEvent.SECURITY_EVENT_TYPES = SECURITY_EVENT_TYPES;
+module.exports = SecurityEvent;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditTrail } = require('../utils/audit');
+const { softDelete } = require('../utils/softDelete');
 
 const studentSchema = new mongoose.Schema(
   {
@@ -11,6 +13,8 @@ const studentSchema = new mongoose.Schema(
     semester: { type: Number, min: 1, max: 12, default: 1 },
     enrollmentDate: { type: Date, default: Date.now },
     status: { type: String, enum: ['active', 'graduated', 'on_leave', 'inactive'], default: 'active' },
+    // Admission or fee category (e.g. "general", "sports"); used by scholarship eligibility rules
+    category: { type: String, trim: true, lowercase: true },
     notes: { type: String, trim: true },
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
   },
@@ -19,5 +23,8 @@ const studentSchema = new mongoose.Schema(
 
 studentSchema.index({ name: 'text', email: 'text', rollNumber: 'text' });
 
+studentSchema.plugin(softDelete);
+studentSchema.plugin(auditTrail);
+
 const Student = mongoose.model('Student', studentSchema);
 module.exports = Student;
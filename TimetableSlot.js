@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A weekly recurring teaching slot for a module. Times are zero-padded HH:MM, so string order is time order.
+const timetableSlotSchema = new mongoose.Schema(
+  {
+    module: { type: mongoose.Schema.Types.ObjectId, ref: 'Module', required: true },
+    day: { type: String, enum: DAYS, required: true, lowercase: true, trim: true },
+    startTime: { type: String, required: true, match: [TIME_RE, 'Start time must be HH:MM'] },
+    endTime: { type: String, required: true, match: [TIME_RE, 'End time must be HH:MM'] },
+    room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+    type: { type: String, enum: ['lecture', 'tutorial', 'lab'], default: 'lecture' },
+  },
+  { timestamps: true }
+);
+
+timetableSlotSchema.index({ day: 1, startTime: 1 });
+timetableSlotSchema.index({ module: 1 });
+timetableSlotSchema.index({ room: 1, day: 1 });
+
+timetableSlotSchema.path('endTime').validate(function (value) {
+  return !this.startTime || value > this.startTime;
+}, 'End time must be after start time');
+
+const sameId = (a, b) => a && b && String(a._id || a) === String(b._id || b);
+
+// `filter` narrowed to slots of live modules. An archived module keeps its slots so restoring it
+// brings them back, but meanwhile they hold no room.
+timetableSlotSchema.statics.liveFilter = async function (filter = {}) {
+  const archived = await mongoose.model('Module').distinct('_id', { deletedAt: { $ne: null } });
+  return archived.length ? { $and: [filter, { module: { $nin: archived } }] } : filter;
+};
+
+/**
+ * Slots that overlap `slot` in time on the same day and share its room, any of its lecturers,
+ * or its course and semester. `module` is the slot's module document (with course,
+ * semester and lecturers). Returns [{ reason, slot }] with the other slot's module and room populated.
+ */
+timetableSlotSchema.statics.findClashes = async function (slot, module) {
+  const query = {
+    day: slot.day,
+    startTime: { $lt: slot.endTime },
+    endTime: { $gt: slot.startTime },
+  };
+  if (slot._id) query._id = { $ne: slot._id };
+  const overlapping = await this.find(query)
+    .populate('module', 'name code course semester lecturers')
+    .populate('room', 'code');
+
+  const clashes = [];
+  overlapping.forEach((other) => {
+    if (!other.module) return;
+    if (sameId(other.room, slot.room)) clashes.push({ reason: 'room', slot: other });
+    if ((module.lecturers || []).some((id) => (other.module.lecturers || []).some((o) => sameId(id, o)))) {
+      clashes.push({ reason: 'lecturer', slot: other });
+    }
+    if (sameId(module.course, other.module.course) && module.semester === other.module.semester) {
+      clashes.push({ reason: 'cohort', slot: other });
+    }
+  });
+  return clashes;
+};
+
+const TimetableSlot = mongoose.model('TimetableSlot', timetableSlotSchema);
+TimetableSlot.DAYS = DAYS;
+module.exports = TimetableSlot;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { auditTrail } = require('../utils/audit');
+
+const MIN_PASSWORD_LENGTH = 6;
 
 const userSchema = new mongoose.Schema(
   {
@@ -11,9 +14,31 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
-    password: { type: String, required: true, minlength: 6 },
-    role: { type: String, enum: ['admin', 'user', 'student'], default: 'admin' },
+    password: { type: String, required: true, minlength: MIN_PASSWORD_LENGTH },
+    // Primary role; `roles` holds any additional ones. Role names refer to Role documents
+    // or the built-in roles in utils/permissions. New accounts get no permissions until given a role.
+    role: { type: String, lowercase: true, trim: true, default: 'user' },
+    roles: [{ type: String, lowercase: true, trim: true }],
+    // Departments a coordinator is limited to; empty means every department
+    departments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
     isActive: { type: Boolean, default: true },
+    passwordChangedAt: { type: Date },
+    // Login lockout (utils/loginThrottle): failures since the last success or lockout, the
+    // current lock and how many lockouts in a row the account has had
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date },
+    lockedUntil: { type: Date },
+    lockoutCount: { type: Number, default: 0 },
+    // TOTP second factor (utils/twoFactor). The secrets and hashed recovery codes are only loaded
+    // when asked for; lastUsedStep stops a code being used twice.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number },
+      enabledAt: { type: Date },
+    },
   },
   { timestamps: true }
 );
@@ -22,6 +47,7 @@ userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) this.passwordChangedAt = Date.now();
   next();
 });
 
@@ -29,5 +55,75 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.methods.isLocked = function (now = new Date()) {
+  return Boolean(this.lockedUntil && this.lockedUntil > now);
+};
+
+// Primary role followed by any additional roles, without duplicates
+userSchema.methods.roleNames = function () {
+  return [...new Set([this.role, ...(this.roles || [])].filter(Boolean))];
+};
+
+// What is kept on req.session.user once signed in (also built for bearer-token requests).
+// departmentScoped comes from the user's roles (Role.departmentScoped, see utils/departmentScope).
+userSchema.methods.sessionUser = async function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    roles: this.roleNames(),
+    departments: (this.departments || []).map(String),
+    departmentScoped: await mongoose.model('Role').isDepartmentScoped(this.roleNames()),
+    isActive: this.isActive,
+  };
+};
+
+// True when `user` is the only active account holding the admin role
+userSchema.statics.isLastActiveAdmin = async function (user) {
+  if (!user.isActive || !user.roleNames().includes('admin')) return false;
+  const others = await this.countDocuments({
+    _id: { $ne: user._id },
+    isActive: true,
+    $or: [{ role: 'admin' }, { roles: 'admin' }],
+  });
+  return others === 0;
+};
+
+// Filter matching accounts that belong to any of `departments`: given one directly, or linked to a
+// student or faculty record in one. Keeps department-scoped user managers to their own accounts.
+userSchema.statics.departmentFilter = async function (departments) {
+  const linked = { department: { $in: departments }, user: { $ne: null } };
+  const [students, faculty] = await Promise.all([
+    mongoose.model('Student').distinct('user', linked),
+    mongoose.model('Faculty').distinct('user', linked),
+  ]);
+  return { $or: [{ departments: { $in: departments } }, { _id: { $in: [...students, ...faculty] } }] };
+};
+
+// True when this account belongs to any of `departments` (see departmentFilter)
+userSchema.methods.inDepartments = async function (departments) {
+  const ids = departments.map(String);
+  if ((this.departments || []).some((d) => ids.includes(String(d)))) return true;
+  const linked = { user: this._id, department: { $in: ids } };
+  const found = await Promise.all([mongoose.model('Student').exists(linked), mongoose.model('Faculty').exists(linked)]);
+  return found.some(Boolean);
+};
+
+// Failed attempts are counted on every wrong password; lockouts themselves are SecurityEvents
+userSchema.plugin(auditTrail, {
+  redact: ['password', 'twoFactor.secret', 'twoFactor.pendingSecret', 'twoFactor.recoveryCodes'],
+  ignore: ['failedLoginAttempts', 'lastFailedLoginAt', 'twoFactor.lastUsedStep'],
+});
+
 const User = mongoose.model('User', userSchema);
+User.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+// First problem with a new password and its confirmation, or null
+User.passwordProblem = (password, confirmPassword) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (confirmPassword !== undefined && password !== confirmPassword) return 'Passwords do not match';
+  return null;
+};
 module.exports = User;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Records stay this long; sessions living longer than this can no longer be ended remotely
+const RETENTION_DAYS = parseInt(process.env.SESSION_RECORD_DAYS) || 90;
+
+// Which express-session ids belong to which user, so a user's other sessions can be ended
+// (utils/sessions). The session data itself stays in the session store.
+const userSessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    sid: { type: String, required: true, unique: true },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+userSessionSchema.index({ user: 1 });
+userSessionSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const UserSession = mongoose.model('UserSession', userSessionSchema);
+module.exports = UserSession;
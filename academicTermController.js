@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const AcademicTerm = require('../models/AcademicTerm');
+const Enrollment = require('../models/Enrollment');
+const ModuleRegistration = require('../models/ModuleRegistration');
+const Invoice = require('../models/Invoice');
+const ScholarshipAward = require('../models/ScholarshipAward');
+
+const DATE_FIELDS = [
+  'startDate',
+  'endDate',
+  'registrationOpensAt',
+  'registrationClosesAt',
+  'addDropDeadline',
+  'gradeSubmissionDeadline',
+];
+
+// Copy the submitted fields onto a term; blank dates are left for validation to report
+const assignTermFields = (term, body) => {
+  if (body.year !== undefined) term.year = parseInt(body.year) || undefined;
+  if (body.term !== undefined) term.term = String(body.term).trim().toLowerCase();
+  DATE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) term[field] = body[field] || undefined;
+  });
+};
+
+// First validation or duplicate error for a term about to be saved, or null
+const termError = async (term) => {
+  const validation = term.validateSync();
+  if (validation) return Object.values(validation.errors)[0].message;
+  // validateSync skips the schema's pre('validate') hook, so check the date order here too
+  const dateError = term.dateError();
+  if (dateError) return dateError;
+  const duplicate = await AcademicTerm.findOne({ year: term.year, term: term.term, _id: { $ne: term._id } })
+    .withDeleted()
+    .select('deletedAt');
+  if (!duplicate) return null;
+  return duplicate.deletedAt ? `${term.name} is in the recycle bin; restore it instead` : `${term.name} already exists`;
+};
+
+// Load the term in :id; null once a 404 has been sent
+const loadTerm = async (req, res) => {
+  const term = mongoose.isValidObjectId(req.params.id) ? await AcademicTerm.findById(req.params.id) : null;
+  if (!term) {
+    if (req.accepts('json')) res.status(404).json({ message: 'Term not found' });
+    else {
+      req.flash('error', 'Term not found');
+      res.redirect('/terms');
+    }
+  }
+  return term;
+};
+
+// GET /terms — every term, latest first, with the one whose registration or add/drop period is running
+const getTerms = asyncHandler(async (req, res) => {
+  const [terms, active] = await Promise.all([
+    AcademicTerm.find().sort({ startDate: -1 }),
+    AcademicTerm.activeForRegistration(),
+  ]);
+  if (req.accepts('json')) return res.json({ data: terms, active });
+  res.render('terms/index', { title: 'Academic Terms', terms, active });
+});
+
+// GET /terms/new — requirePermission('terms:write')
+const showNewTermForm = (req, res) => {
+  res.render('terms/new', { title: 'Add Term', terms: AcademicTerm.TERMS });
+};
+
+// POST /terms — requirePermission('terms:write')
+const createTerm = asyncHandler(async (req, res) => {
+  const term = new AcademicTerm();
+  assignTermFields(term, req.body);
+  const error = await termError(term);
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect('/terms/new');
+  }
+  await term.save();
+  if (req.accepts('json')) return res.status(201).json(term);
+  req.flash('success', `${term.name} created`);
+  res.redirect('/terms');
+});
+
+// GET /terms/:id/edit — requirePermission('terms:write')
+const showEditTermForm = asyncHandler(async (req, res) => {
+  const term = await loadTerm(req, res);
+  if (!term) return;
+  res.render('terms/edit', { title: `Edit ${term.name}`, term, terms: AcademicTerm.TERMS });
+});
+
+// PUT /terms/:id — requirePermission('terms:write'). Moving a deadline applies to existing
+// enrollments and registrations in the term straight away.
+const updateTerm = asyncHandler(async (req, res) => {
+  const term = await loadTerm(req, res);
+  if (!term) return;
+  assignTermFields(term, req.body);
+  const error = await termError(term);
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/terms/${term._id}/edit`);
+  }
+  await term.save();
+  if (req.accepts('json')) return res.json(term);
+  req.flash('success', `${term.name} updated`);
+  res.redirect('/terms');
+});
+
+// DELETE /terms/:id — requirePermission('terms:write'). Archives the term to the recycle bin; only
+// terms nothing was enrolled, registered, invoiced or awarded in.
+const deleteTerm = asyncHandler(async (req, res) => {
+  const term = await loadTerm(req, res);
+  if (!term) return;
+  const used = await Promise.all([
+    Enrollment.exists({ term: term._id }),
+    ModuleRegistration.exists({ term: term._id }),
+    Invoice.exists({ term: term._id }),
+    ScholarshipAward.exists({ $or: [{ startTerm: term._id }, { endTerm: term._id }] }),
+  ]);
+  if (used.some(Boolean)) {
+    const message = 'Cannot delete a term with enrollments, module registrations, invoices or scholarship awards';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect('/terms');
+  }
+  await term.softDelete(req.session.user._id);
+  if (req.accepts('json')) return res.json({ message: 'Term moved to the recycle bin' });
+  req.flash('success', `${term.name} moved to the recycle bin`);
+  res.redirect('/terms');
+});
+
+module.exports = { getTerms, showNewTermForm, createTerm, showEditTermForm, updateTerm, deleteTerm };
@@ -0,0 +1,69 @@
+const { sendMail } = require('./mailer');
+
+const appUrl = (req) => process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+
+// Wording for each reason a single-use password link (models/PasswordResetToken) is mailed
+const LINK_MAILS = {
+  // The user asked on the forgot-password form
+  reset: {
+    subject: 'Reset your password',
+    intro: 'Someone asked to reset the password for your Smart University account. To choose a new password, open:',
+    outro: 'If you did not ask for this, you can ignore this email.',
+  },
+  // An admin forced a reset; the old password already no longer works
+  forced: {
+    subject: 'Your password has been reset',
+    intro: 'An administrator has reset the password for your Smart University account. To choose a new password, open:',
+    outro: 'Your previous password no longer works.',
+  },
+  // An admin created the account
+  invite: {
+    subject: 'Your Smart University account',
+    intro: 'An account has been created for you on the Smart University portal. To choose your password and sign in, open:',
+    outro: 'If you were not expecting this, please contact the university office.',
+  },
+};
+
+// "60 minutes", "3 days"
+const duration = (minutes) => {
+  const [value, unit] = minutes % (24 * 60) === 0 ? [minutes / (24 * 60), 'day'] : [minutes, 'minute'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+// Mail `user` a link to /reset-password/:token; `kind` is a key of LINK_MAILS
+function sendPasswordLink(req, user, token, { kind = 'reset', ttlMinutes }) {
+  const { subject, intro, outro } = LINK_MAILS[kind];
+  return sendMail({
+    to: user.email,
+    subject,
+    text: [
+      `Hello ${user.name},`,
+      '',
+      intro,
+      '',
+      `${appUrl(req)}/reset-password/${token}`,
+      '',
+      `The link works once and expires in ${duration(ttlMinutes)}. ${outro}`,
+    ].join('\n'),
+  });
+}
+
+// Warn `user` that two-factor sign-in is being set up on their account from the login page, where only
+// their password has been checked so far
+function sendTwoFactorSetupNotice(req, user) {
+  return sendMail({
+    to: user.email,
+    subject: 'Two-factor sign-in is being set up on your account',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      `Someone signed in to your Smart University account from ${req.ip} and is setting up two-factor sign-in,`,
+      'which your role requires.',
+      '',
+      'If this was you, there is nothing else to do. If it was not, your password is known to someone else:',
+      `reset it now at ${appUrl(req)}/forgot-password and contact the university office.`,
+    ].join('\n'),
+  });
+}
+
+module.exports = { appUrl, sendPasswordLink, sendTwoFactorSetupNotice };
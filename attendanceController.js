@@ -0,0 +1,229 @@
+const asyncHandler = require('express-async-handler');
+const AttendanceSession = require('../models/AttendanceSession');
+const Module = require('../models/Module');
+const Student = require('../models/Student');
+const Department = require('../models/Department');
+const Course = require('../models/Course');
+const { inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+
+const { ATTENDANCE_STATUSES } = AttendanceSession;
+const DEFAULT_THRESHOLD = 75;
+
+// Students expected at a module's sessions: active students of its course
+const moduleRoster = (module) =>
+  Student.find({ course: module.course, status: 'active' }).select('name rollNumber').sort({ rollNumber: 1 });
+
+// Accepts [{ student, status, note }] or the register form's attendance[<studentId>]=status shape
+const normalizeRecords = (attendance) =>
+  (Array.isArray(attendance)
+    ? attendance
+    : Object.entries(attendance || {}).map(([student, status]) => ({ student, status }))
+  ).map((r) => ({ student: String(r.student), status: r.status, note: r.note }));
+
+// Every roster student must be marked exactly once with a known status; returns an error or null
+const checkRecords = (records, roster) => {
+  const rosterIds = new Set(roster.map((s) => String(s._id)));
+  const seen = new Set();
+  for (const r of records) {
+    if (!rosterIds.has(r.student)) return 'Attendance includes a student who is not enrolled in this module';
+    if (seen.has(r.student)) return 'A student is marked more than once';
+    if (!ATTENDANCE_STATUSES.includes(r.status)) return `Status must be one of ${ATTENDANCE_STATUSES.join(', ')}`;
+    seen.add(r.student);
+  }
+  if (seen.size !== rosterIds.size) return 'Every enrolled student must be marked';
+  return null;
+};
+
+// Module id of the attendance session in req.params.id, for teachesModule('attendance:write', sessionModuleId)
+const sessionModuleId = async (req) => {
+  const session = await AttendanceSession.findById(req.params.id).select('module');
+  return session && session.module;
+};
+
+// GET /modules/:id/attendance — teachesModule('attendance:write')
+const getModuleAttendance = asyncHandler(async (req, res) => {
+  const module = await Module.findById(req.params.id).populate('course', 'name code');
+  if (!module) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Module not found' });
+    req.flash('error', 'Module not found');
+    return res.redirect('/modules');
+  }
+  if (!inScope(req, module.department)) return denyOutOfScope(req, res, '/modules');
+  const [sessions, roster, summary] = await Promise.all([
+    AttendanceSession.find({ module: module._id }).select('-records').sort({ heldAt: -1 }),
+    moduleRoster(module),
+    AttendanceSession.summarize({ module: module._id }),
+  ]);
+  const byStudent = new Map(summary.map((s) => [String(s.student), s]));
+  const students = roster.map((student) => ({ student, attendance: byStudent.get(String(student._id)) || null }));
+
+  if (req.accepts('json')) return res.json({ module, sessions, students });
+  res.render('attendance/module', { title: `${module.code} Attendance`, module, sessions, students });
+});
+
+// GET /modules/:id/attendance/new — teachesModule('attendance:write')
+const showNewSessionForm = asyncHandler(async (req, res) => {
+  const module = await Module.findById(req.params.id);
+  if (!module) {
+    req.flash('error', 'Module not found');
+    return res.redirect('/modules');
+  }
+  if (!inScope(req, module.department)) return denyOutOfScope(req, res, '/modules');
+  const roster = await moduleRoster(module);
+  res.render('attendance/new', { title: `Take Attendance: ${module.code}`, module, roster, statuses: ATTENDANCE_STATUSES });
+});
+
+// POST /modules/:id/attendance { heldAt, durationMinutes, topic, attendance } — teachesModule('attendance:write')
+const recordSession = asyncHandler(async (req, res) => {
+  const module = await Module.findById(req.params.id);
+  if (!module) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Module not found' });
+    req.flash('error', 'Module not found');
+    return res.redirect('/modules');
+  }
+  if (!inScope(req, module.department)) return denyOutOfScope(req, res, '/modules');
+  const { heldAt, durationMinutes, topic, attendance } = req.body;
+  const records = normalizeRecords(attendance);
+  const error = !heldAt || isNaN(new Date(heldAt)) ? 'Session date and time are required' : checkRecords(records, await moduleRoster(module));
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/modules/${module._id}/attendance/new`);
+  }
+
+  const session = await AttendanceSession.create({
+    module: module._id,
+    heldAt,
+    durationMinutes: parseInt(durationMinutes) || 60,
+    topic,
+    recordedBy: req.session.user._id,
+    records,
+  });
+
+  if (req.accepts('json')) return res.status(201).json(session);
+  req.flash('success', 'Attendance recorded');
+  res.redirect(`/modules/${module._id}/attendance`);
+});
+
+// GET /attendance/:id — teachesModule('attendance:write', sessionModuleId)
+const getSession = asyncHandler(async (req, res) => {
+  const session = await AttendanceSession.findById(req.params.id)
+    .populate('module', 'name code course department')
+    .populate('records.student', 'name rollNumber');
+  if (!session) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Attendance session not found' });
+    req.flash('error', 'Attendance session not found');
+    return res.redirect('/modules');
+  }
+  if (session.module && !inScope(req, session.module.department)) return denyOutOfScope(req, res, '/modules');
+  if (req.accepts('json')) return res.json(session);
+  res.render('attendance/show', { title: 'Attendance Session', session, statuses: ATTENDANCE_STATUSES });
+});
+
+// PUT /attendance/:id — correct individual marks; students not in the body keep their status.
+// Guard with teachesModule('attendance:write', sessionModuleId).
+const updateSession = asyncHandler(async (req, res) => {
+  const session = await AttendanceSession.findById(req.params.id).populate('module', 'department');
+  if (!session) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Attendance session not found' });
+    req.flash('error', 'Attendance session not found');
+    return res.redirect('/modules');
+  }
+  if (session.module && !inScope(req, session.module.department)) return denyOutOfScope(req, res, '/modules');
+  const { heldAt, durationMinutes, topic, attendance } = req.body;
+  const changes = normalizeRecords(attendance);
+  const invalid = changes.find(
+    (c) => !ATTENDANCE_STATUSES.includes(c.status) || !session.records.some((r) => String(r.student) === c.student)
+  );
+  if (invalid) {
+    const message = 'Attendance changes must use a known status for a student on this session';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(`/attendance/${session._id}`);
+  }
+
+  changes.forEach((c) => {
+    const record = session.records.find((r) => String(r.student) === c.student);
+    record.status = c.status;
+    if (c.note !== undefined) record.note = c.note;
+  });
+  if (heldAt) session.heldAt = heldAt;
+  if (durationMinutes) session.durationMinutes = parseInt(durationMinutes) || session.durationMinutes;
+  if (topic !== undefined) session.topic = topic;
+  const updated = await session.save();
+
+  if (req.accepts('json')) return res.json(updated);
+  req.flash('success', 'Attendance updated');
+  res.redirect(`/attendance/${updated._id}`);
+});
+
+// GET /portal/attendance — the logged-in student's attendance per module
+const getMyAttendance = asyncHandler(async (req, res) => {
+  const student = await Student.findOne({ user: req.session.user._id });
+  if (!student) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'No student record is linked to your account' });
+    req.flash('error', 'No student record is linked to your account');
+    return res.redirect('/');
+  }
+  const summary = await AttendanceSession.summarize({ 'records.student': student._id }, [student._id]);
+  const modules = await Module.find({ _id: { $in: summary.map((s) => s.module) } }).select('name code semester');
+  const byId = new Map(modules.map((m) => [String(m._id), m]));
+  const attendance = summary
+    .map((s) => ({ ...s, module: byId.get(String(s.module)) }))
+    .filter((s) => s.module)
+    .sort((a, b) => a.module.code.localeCompare(b.module.code));
+
+  if (req.accepts('json')) return res.json(attendance);
+  res.render('portal/attendance', { title: 'My Attendance', attendance });
+});
+
+// GET /attendance/report?threshold=75&department=&course= — requirePermission('attendance:report')
+const getLowAttendanceReport = asyncHandler(async (req, res) => {
+  const { department, course } = req.query;
+  const parsed = parseFloat(req.query.threshold);
+  const threshold = parsed >= 0 && parsed <= 100 ? parsed : DEFAULT_THRESHOLD;
+
+  const moduleQuery = {};
+  if (department) moduleQuery.department = department;
+  if (course) moduleQuery.course = course;
+  applyScope(req, moduleQuery);
+  const modules = await Module.find(moduleQuery).select('name code course department');
+  const summary = await AttendanceSession.summarize({ module: { $in: modules.map((m) => m._id) } });
+  const below = summary.filter((s) => s.percent !== null && s.percent < threshold);
+
+  const students = await Student.find({ _id: { $in: below.map((s) => s.student) } })
+    .select('name rollNumber department course')
+    .populate('department', 'name code')
+    .populate('course', 'name code');
+  const moduleById = new Map(modules.map((m) => [String(m._id), m]));
+  const studentById = new Map(students.map((s) => [String(s._id), s]));
+  const rows = below
+    .map((s) => ({ ...s, module: moduleById.get(String(s.module)), student: studentById.get(String(s.student)) }))
+    .filter((r) => r.student)
+    .sort((a, b) => a.percent - b.percent);
+
+  if (req.accepts('json')) return res.json({ threshold, total: rows.length, rows });
+  const [departments, courses] = await Promise.all([
+    Department.find(applyScope(req, {}, '_id')).select('name code').sort({ name: 1 }).lean(),
+    Course.find(applyScope(req, {})).select('name code department').sort({ name: 1 }).lean(),
+  ]);
+  res.render('attendance/report', {
+    title: 'Low Attendance Report',
+    rows,
+    threshold,
+    departments,
+    courses,
+    filters: { department: department || '', course: course || '' },
+  });
+});
+
+module.exports = {
+  getModuleAttendance,
+  showNewSessionForm,
+  recordSession,
+  getSession,
+  updateSession,
+  getMyAttendance,
+  getLowAttendanceReport,
+  sessionModuleId,
+};
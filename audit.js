@@ -0,0 +1,170 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditLog = require('../models/AuditLog');
+const Role = require('../models/Role');
+const { grants } = require('../utils/permissions');
+
+// Who is making the current change. Set per request by middleware/auditMiddleware; absent for
+// scripts, in which case entries are written without an actor.
+const actorStore = new AsyncLocalStorage();
+
+const runWithAuditActor = (actor, fn) => actorStore.run(actor, fn);
+const currentActor = () => actorStore.getStore() || {};
+
+// Fields that change on every write and say nothing about what the user did
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED = '[redacted]';
+
+// Plain JSON view of a document: ObjectIds become strings and Dates ISO strings
+const snapshot = (doc) => (doc ? JSON.parse(JSON.stringify(doc.toObject ? doc.toObject({ depopulate: true }) : doc)) : {});
+
+// Nested objects become dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length) {
+    Object.keys(value).forEach((key) => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+// Field-level differences between two snapshots: [{ path, before, after }]
+const diffSnapshots = (before, after, { ignore = [], redact = [] } = {}) => {
+  const a = flatten(before);
+  const b = flatten(after);
+  const skip = (path) => [...ALWAYS_IGNORED, ...ignore].some((f) => path === f || path.startsWith(`${f}.`));
+  const hidden = (path) => redact.some((f) => path === f || path.startsWith(`${f}.`));
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((path) => !skip(path) && JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+    .sort()
+    .map((path) =>
+      hidden(path)
+        ? { path, before: a[path] === undefined ? undefined : REDACTED, after: b[path] === undefined ? undefined : REDACTED }
+        : { path, before: a[path], after: b[path] }
+    );
+};
+
+// Setting or clearing deletedAt (utils/softDelete) is an archive or a restore rather than an edit
+const saveAction = (changes) => {
+  const deleted = changes.find((c) => c.path === 'deletedAt');
+  if (!deleted) return 'update';
+  return deleted.after ? 'delete' : 'restore';
+};
+
+// Removing a document that could have been archived is a purge
+const removeAction = (schema) => (schema.path('deletedAt') ? 'purge' : 'delete');
+
+const entryFor = (entity, action, id, changes, actor) => ({
+  entity,
+  entityId: id,
+  action,
+  actor: actor.user,
+  actorEmail: actor.email,
+  ip: actor.ip,
+  changes,
+});
+
+// Entries are written in the caller's transaction, if any, so they roll back with the change
+const record = (entries, session) =>
+  entries.length ? AuditLog.insertMany(entries, session ? { session } : {}) : Promise.resolve();
+
+/**
+ * Mongoose plugin that appends an AuditLog entry for every create, update and delete of the
+ * model's documents, through document saves/removes as well as query updates and deletes.
+ * Options: `ignore` paths left out of diffs, `redact` paths whose values are never stored.
+ * Upserts via query updates are not recorded.
+ */
+function auditTrail(schema, { ignore = [], redact = [] } = {}) {
+  const diffOptions = { ignore, redact };
+
+  // Document saves: the snapshot taken when the document was loaded is the "before" state
+  schema.post('init', function () {
+    this.$locals.auditSnapshot = snapshot(this);
+  });
+  schema.pre('save', function () {
+    // Captured up front: post hooks can run outside the request's async context
+    this.$locals.auditActor = currentActor();
+    this.$locals.auditIsNew = this.isNew;
+  });
+  schema.post('save', async function () {
+    const after = snapshot(this);
+    const before = this.$locals.auditIsNew ? {} : this.$locals.auditSnapshot || {};
+    const changes = diffSnapshots(before, after, diffOptions);
+    this.$locals.auditSnapshot = after;
+    if (!this.$locals.auditIsNew && changes.length === 0) return;
+    const action = this.$locals.auditIsNew ? 'create' : saveAction(changes);
+    await record([entryFor(this.constructor.modelName, action, this._id, changes, this.$locals.auditActor)], this.$session());
+  });
+
+  // insertMany keeps documents it is given, so hydrate them here to carry the actor per call
+  schema.pre('insertMany', function (next, docs) {
+    const actor = currentActor();
+    (Array.isArray(docs) ? docs : [docs]).forEach((doc, i, list) => {
+      if (!(doc instanceof this)) list[i] = doc = new this(doc);
+      doc.$locals.auditActor = actor;
+    });
+    next();
+  });
+  schema.post('insertMany', async function (docs) {
+    const entries = docs.map((doc) =>
+      entryFor(this.modelName, 'create', doc._id, diffSnapshots({}, snapshot(doc), diffOptions), doc.$locals.auditActor || {})
+    );
+    await record(entries, docs.length ? docs[0].$session() : null);
+  });
+
+  // Document removes (doc.remove() and doc.deleteOne())
+  schema.pre(['remove', 'deleteOne'], { document: true, query: false }, function () {
+    this.$locals.auditActor = currentActor();
+  });
+  schema.post(['remove', 'deleteOne'], { document: true, query: false }, async function () {
+    const before = this.$locals.auditSnapshot || snapshot(this);
+    const entry = entryFor(this.constructor.modelName, removeAction(schema), this._id, diffSnapshots(before, {}, diffOptions), this.$locals.auditActor || {});
+    await record([entry], this.$session());
+  });
+
+  // Query updates and deletes: load the affected documents first so there is something to diff.
+  // Archived documents count too, since updates and deletes are not filtered by utils/softDelete.
+  const findAll = (model, filter, session) => {
+    const find = model.find(filter).session(session || null).lean();
+    return find.withDeleted ? find.withDeleted() : find;
+  };
+  const loadAffected = (query, single) => {
+    const find = findAll(query.model, query.getFilter(), query.getOptions().session);
+    return single ? find.sort(query.getOptions().sort || {}).limit(1) : find;
+  };
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function () {
+    this.$audit = { actor: currentActor(), before: await loadAffected(this, this.op !== 'updateMany') };
+  });
+  schema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], async function () {
+    const { actor, before } = this.$audit || {};
+    if (!before || before.length === 0) return;
+    const session = this.getOptions().session;
+    const after = await findAll(this.model, { _id: { $in: before.map((d) => d._id) } }, session);
+    const afterById = new Map(after.map((d) => [String(d._id), d]));
+    const entries = before
+      .map((doc) => entryFor(this.model.modelName, 'update', doc._id, diffSnapshots(snapshot(doc), snapshot(afterById.get(String(doc._id))), diffOptions), actor))
+      .filter((e) => e.changes.length);
+    await record(entries, session);
+  });
+
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], { document: false, query: true }, async function () {
+    this.$audit = { actor: currentActor(), before: await loadAffected(this, this.op !== 'deleteMany') };
+  });
+  schema.post(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], { document: false, query: true }, async function () {
+    const { actor, before } = this.$audit || {};
+    if (!before || before.length === 0) return;
+    const entries = before.map((doc) => entryFor(this.model.modelName, removeAction(schema), doc._id, diffSnapshots(snapshot(doc), {}, diffOptions), actor));
+    await record(entries, this.getOptions().session);
+  });
+}
+
+// History for a show page's history tab, or null when the viewer may not read the audit log
+async function historyForViewer(req, entity, entityId) {
+  const user = req.session && req.session.user;
+  if (!user) return null;
+  const scopes = req.session.apiToken ? req.session.apiToken.scopes : null;
+  const permissions = await Role.permissionsFor(user.roles && user.roles.length ? user.roles : [user.role], scopes);
+  return grants(permissions, 'audit:read') ? AuditLog.historyFor(entity, entityId) : null;
+}
+
+module.exports = { auditTrail, runWithAuditActor, currentActor, diffSnapshots, historyForViewer };
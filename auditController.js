@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const AuditLog = require('../models/AuditLog');
+const { paginate, escapeRegex, endOf } = require('../utils/listQuery');
+
+const { AUDITED_ENTITIES, AUDIT_ACTIONS } = AuditLog;
+
+// "students", "Student" and "student" all name the Student entity
+const entityName = (value) => {
+  const name = String(value || '').toLowerCase().replace(/s$/, '');
+  return AUDITED_ENTITIES.find((e) => e.toLowerCase() === name);
+};
+
+// Builds the filter from ?entity=&entityId=&action=&actor=&from=&to=; returns { filter, error }
+const buildAuditFilter = ({ entity, entityId, action, actor, from, to }) => {
+  const filter = {};
+  if (entity) {
+    filter.entity = entityName(entity);
+    if (!filter.entity) return { error: `Entity must be one of: ${AUDITED_ENTITIES.join(', ')}` };
+  }
+  if (entityId) {
+    if (!mongoose.isValidObjectId(entityId)) return { error: 'Invalid record id' };
+    filter.entityId = entityId;
+  }
+  if (action) {
+    if (!AUDIT_ACTIONS.includes(action)) return { error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` };
+    filter.action = action;
+  }
+  // Actor by user id or by email (partial match, so "@cs." finds a whole department's staff)
+  if (actor) {
+    if (mongoose.isValidObjectId(actor)) filter.actor = actor;
+    else filter.actorEmail = { $regex: escapeRegex(String(actor).toLowerCase()) };
+  }
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = new Date(from);
+    if (to) filter.at.$lt = endOf(to);
+    if (Object.values(filter.at).some((d) => isNaN(d))) return { error: 'Dates must be in YYYY-MM-DD format' };
+  }
+  return { filter };
+};
+
+// GET /audit — searchable audit log; requirePermission('audit:read')
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { filter, error } = buildAuditFilter(req.query);
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect('/audit');
+  }
+  const { docs: entries, meta } = await paginate(AuditLog, filter, req, {
+    sort: { at: -1 },
+    populate: [{ path: 'actor', select: 'name email' }],
+  });
+
+  if (req.accepts('json')) return res.json({ data: entries, meta });
+  res.render('audit/index', {
+    title: 'Audit Log',
+    entries,
+    pagination: meta,
+    entities: AUDITED_ENTITIES,
+    actions: AUDIT_ACTIONS,
+    filters: {
+      entity: req.query.entity || '',
+      entityId: req.query.entityId || '',
+      action: req.query.action || '',
+      actor: req.query.actor || '',
+      from: req.query.from || '',
+      to: req.query.to || '',
+    },
+  });
+});
+
+// GET /audit/:entity/:id — full history of one record, newest first; requirePermission('audit:read')
+const getRecordHistory = asyncHandler(async (req, res) => {
+  const entity = entityName(req.params.entity);
+  if (!entity || !mongoose.isValidObjectId(req.params.id)) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Record not found' });
+    req.flash('error', 'Record not found');
+    return res.redirect('/audit');
+  }
+  const history = await AuditLog.historyFor(entity, req.params.id, 500);
+
+  if (req.accepts('json')) return res.json({ entity, entityId: req.params.id, history });
+  res.render('audit/history', { title: `${entity} History`, entity, entityId: req.params.id, history });
+});
+
+module.exports = { getAuditLogs, getRecordHistory };
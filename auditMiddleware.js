@@ -0,0 +1,10 @@
+const { runWithAuditActor } = require('../utils/audit');
+
+// Mount after the session middleware: every change made while handling the request is
+// attributed to the logged-in user (or to no one) and the client IP in the audit log.
+function auditContext(req, res, next) {
+  const user = req.session && req.session.user;
+  runWithAuditActor({ user: user ? user._id : undefined, email: user ? user.email : undefined, ip: req.ip }, next);
+}
+
+module.exports = { auditContext };
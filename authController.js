@@ -1,5 +1,29 @@
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const ApiToken = require('../models/ApiToken');
+const { sendPasswordLink } = require('../utils/accountMail');
+const { trackSession, forgetSession, endSessions, endOtherSessions } = require('../utils/sessions');
+const { retryMessage, ipBlockedUntil, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+const {
+  twoFactorRequired,
+  beginEnrollment,
+  noteLoginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+
+// A new reset link is not mailed again within this long of the previous one
+const RESET_RESEND_MS = 60 * 1000;
+const RESET_REQUESTED = 'If an account exists for that email, a password reset link has been sent to it';
+const RESET_LINK_INVALID = 'This password reset link is invalid or has expired';
+// How long after the password step the second step may be completed
+const PENDING_LOGIN_MS = 5 * 60 * 1000;
+const LOGIN_EXPIRED = 'Your login has expired; please log in again';
+const SETUP_UNAVAILABLE =
+  'Two-factor sign-in cannot be set up right now because we could not email you. Please try again later.';
+const lockedMessage = (until) => `This account is locked after repeated failed logins. ${retryMessage(until)}`;
+const { passwordProblem } = User;
 
 // Render login page
 const showLogin = (req, res) => {
@@ -7,11 +31,32 @@ const showLogin = (req, res) => {
   res.render('auth/login', { title: 'Admin Login' });
 };
 
-// Handle login
+// Start the session of a fully authenticated user. Failures are only cleared here, so passing
+// the password step alone does not reset a run of lockouts.
+async function signIn(req, user) {
+  await clearLoginFailures(user);
+  delete req.session.pendingLogin;
+  req.session.user = await user.sessionUser();
+  await trackSession(req, user);
+}
+
+// Handle login. Failures count towards the account and address lockouts in utils/loginThrottle.
+// Accounts with two-factor sign-in, or whose role requires it, continue at /login/two-factor.
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
-  const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
-  if (!user || !(await user.matchPassword(password))) {
+  const refuse = (status, message) => {
+    if (req.accepts('json')) return res.status(status).json({ message });
+    req.flash('error', message);
+    return res.redirect('/login');
+  };
+  const blockedUntil = await ipBlockedUntil(req.ip);
+  if (blockedUntil) return refuse(429, `Too many failed logins from your network. ${retryMessage(blockedUntil)}`);
+
+  const user = await User.findOne({ email: String(email || '').toLowerCase(), isActive: true });
+  if (user && user.isLocked()) return refuse(423, lockedMessage(user.lockedUntil));
+  if (!user || !(await user.matchPassword(String(password || '')))) {
+    const { lockedUntil } = await recordLoginFailure(req, user);
+    if (lockedUntil) return refuse(423, lockedMessage(lockedUntil));
     if (req.accepts('json')) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
@@ -19,13 +64,17 @@ const login = asyncHandler(async (req, res) => {
     return res.redirect('/login');
   }
 
-  req.session.user = {
-    _id: user._id,
-    name: user.name,
-    email: user.email,
-    role: user.role,
-    isActive: user.isActive,
-  };
+  if (user.twoFactor.enabled || (await twoFactorRequired(user))) {
+    const enroll = !user.twoFactor.enabled;
+    req.session.pendingLogin = { user: String(user._id), enroll, startedAt: Date.now() };
+    if (req.accepts('json')) {
+      const message = enroll ? 'Two-factor sign-in must be set up to continue' : 'Two-factor code required';
+      return res.status(202).json({ message, twoFactorRequired: true, enrollmentRequired: enroll });
+    }
+    return res.redirect('/login/two-factor');
+  }
+
+  await signIn(req, user);
   if (req.accepts('json')) {
     return res.json({ message: 'Logged in', user: req.session.user });
   }
@@ -33,14 +82,254 @@ const login = asyncHandler(async (req, res) => {
   res.redirect('/');
 });
 
-// Handle logout
-const logout = (req, res) => {
+// The account waiting on its second step, or null when there is none or it has expired
+async function pendingLoginUser(req) {
+  const pending = req.session.pendingLogin;
+  if (!pending || Date.now() - pending.startedAt > PENDING_LOGIN_MS) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  return User.findOne({ _id: pending.user, isActive: true });
+}
+
+// GET /login/two-factor — the code form, or for an account that must enroll, the QR code and
+// secret to scan (JSON: { enrollmentRequired, secret, otpauthUrl, qrCode })
+const showTwoFactorLogin = asyncHandler(async (req, res) => {
+  const user = await pendingLoginUser(req);
+  if (!user) {
+    if (req.accepts('json')) return res.status(401).json({ message: LOGIN_EXPIRED });
+    req.flash('error', LOGIN_EXPIRED);
+    return res.redirect('/login');
+  }
+  if (!req.session.pendingLogin.enroll) {
+    if (req.accepts('json')) return res.json({ enrollmentRequired: false });
+    return res.render('auth/two-factor', { title: 'Two-Factor Sign-In' });
+  }
+  // Once per login attempt, so reloading the setup page does not mail the owner again
+  if (!req.session.pendingLogin.notified) {
+    try {
+      await noteLoginEnrollment(user, req);
+    } catch (err) {
+      if (req.accepts('json')) return res.status(503).json({ message: SETUP_UNAVAILABLE });
+      req.flash('error', SETUP_UNAVAILABLE);
+      return res.redirect('/login');
+    }
+    req.session.pendingLogin.notified = true;
+  }
+  const enrollment = await beginEnrollment(user);
+  if (req.accepts('json')) return res.json({ enrollmentRequired: true, ...enrollment });
+  res.render('auth/two-factor-setup', { title: 'Set Up Two-Factor Sign-In', ...enrollment });
+});
+
+// POST /login/two-factor { code } or { recoveryCode } — the second login step. When enrolling,
+// `code` confirms the new secret and the response carries the recovery codes, shown only once.
+// Wrong codes count towards the account lockout like wrong passwords.
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const refuse = (status, message, redirectTo = '/login') => {
+    if (req.accepts('json')) return res.status(status).json({ message });
+    req.flash('error', message);
+    return res.redirect(redirectTo);
+  };
+  const user = await pendingLoginUser(req);
+  if (!user) return refuse(401, LOGIN_EXPIRED);
+  const blockedUntil = await ipBlockedUntil(req.ip);
+  if (blockedUntil) return refuse(429, `Too many failed logins from your network. ${retryMessage(blockedUntil)}`);
+  if (user.isLocked()) {
+    delete req.session.pendingLogin;
+    return refuse(423, lockedMessage(user.lockedUntil));
+  }
+
+  const { code, recoveryCode } = req.body;
+  const { enroll, notified } = req.session.pendingLogin;
+  // The owner must have been told about the enrollment (GET /login/two-factor) before it can finish
+  if (enroll && !notified) return refuse(409, 'Open the two-factor setup page first', '/login/two-factor');
+  const recoveryCodes = enroll ? await confirmEnrollment(user, code, req) : null;
+  const verified = enroll ? Boolean(recoveryCodes) : await verifySecondFactor(user, { code, recoveryCode }, req);
+  if (!verified) {
+    const { lockedUntil } = await recordLoginFailure(req, user);
+    if (lockedUntil) {
+      delete req.session.pendingLogin;
+      return refuse(423, lockedMessage(lockedUntil));
+    }
+    return refuse(401, 'That code is not valid', '/login/two-factor');
+  }
+
+  await signIn(req, user);
+  if (req.accepts('json')) {
+    return res.json({ message: 'Logged in', user: req.session.user, ...(recoveryCodes ? { recoveryCodes } : {}) });
+  }
+  if (recoveryCodes) {
+    return res.render('account/recovery-codes', { title: 'Recovery Codes', recoveryCodes });
+  }
+  if (verified === 'recovery') {
+    req.flash('success', 'Logged in with a recovery code; it cannot be used again');
+  } else {
+    req.flash('success', 'Logged in successfully');
+  }
+  res.redirect('/');
+});
+
+// POST /api/token { email, password, code | recoveryCode, name, scopes, expiresInDays } — a personal
+// access token for API clients that cannot keep a session; JSON only. Failures count towards the
+// same lockouts as login. Accounts with two-factor sign-in send their code with the request; those
+// whose role requires it must first enroll by logging in through the browser.
+const issueApiToken = asyncHandler(async (req, res) => {
+  const { email, password, code, recoveryCode } = req.body;
+  const refuse = (status, message, extra = {}) => res.status(status).json({ message, ...extra });
+  const { name, scopes, days, error } = ApiToken.parseRequest(req.body);
+  if (error) return refuse(400, error);
+  const blockedUntil = await ipBlockedUntil(req.ip);
+  if (blockedUntil) return refuse(429, `Too many failed logins from your network. ${retryMessage(blockedUntil)}`);
+
+  const user = await User.findOne({ email: String(email || '').toLowerCase(), isActive: true });
+  if (user && user.isLocked()) return refuse(423, lockedMessage(user.lockedUntil));
+  const failed = async (message) => {
+    const { lockedUntil } = await recordLoginFailure(req, user);
+    return lockedUntil ? refuse(423, lockedMessage(lockedUntil)) : refuse(401, message);
+  };
+  if (!user || !(await user.matchPassword(String(password || '')))) return failed('Invalid credentials');
+  if (user.twoFactor.enabled) {
+    if (!code && !recoveryCode) return refuse(401, 'Two-factor code required', { twoFactorRequired: true });
+    if (!(await verifySecondFactor(user, { code, recoveryCode }, req))) return failed('That code is not valid');
+  } else if (await twoFactorRequired(user)) {
+    return refuse(403, 'Your role requires two-factor sign-in; log in through the browser to set it up first');
+  }
+
+  await clearLoginFailures(user);
+  const { token, record } = await ApiToken.issue(user, { name, scopes, days, ip: req.ip });
+  res.status(201).json({ token, ...record.toJSON() });
+});
+
+// Handle logout. API tokens are revoked rather than logged out (DELETE /account/tokens/:id).
+const logout = asyncHandler(async (req, res) => {
+  if (req.session.apiToken) return res.status(400).json({ message: 'API tokens are revoked, not logged out' });
+  await forgetSession(req);
   req.session.destroy(() => {
     if (req.accepts('json')) {
       return res.json({ message: 'Logged out' });
     }
     res.redirect('/login');
   });
+});
+
+// GET /forgot-password
+const showForgotPassword = (req, res) => {
+  if (req.session.user) return res.redirect('/');
+  res.render('auth/forgot-password', { title: 'Forgot Password' });
+};
+
+// POST /forgot-password { email } — mails a single-use reset link. The answer is the same whether
+// or not the account exists, so the form cannot be used to find out who has one.
+const requestPasswordReset = asyncHandler(async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const user = email ? await User.findOne({ email, isActive: true }) : null;
+  const recent =
+    user && (await PasswordResetToken.exists({ user: user._id, createdAt: { $gt: new Date(Date.now() - RESET_RESEND_MS) } }));
+  if (user && !recent) {
+    const token = await PasswordResetToken.issue(user, req.ip);
+    try {
+      await sendPasswordLink(req, user, token, { ttlMinutes: PasswordResetToken.TTL_MINUTES });
+    } catch (err) {
+      // Not reported to the requester, who must not learn the account exists; withdrawing the link
+      // lets them ask again straight away
+      await PasswordResetToken.withdraw(token);
+    }
+  }
+
+  if (req.accepts('json')) return res.json({ message: RESET_REQUESTED });
+  req.flash('success', RESET_REQUESTED);
+  res.redirect('/login');
+});
+
+// GET /reset-password/:token
+const showResetPassword = asyncHandler(async (req, res) => {
+  if (!(await PasswordResetToken.findValid(req.params.token))) {
+    req.flash('error', RESET_LINK_INVALID);
+    return res.redirect('/forgot-password');
+  }
+  res.render('auth/reset-password', { title: 'Reset Password', token: req.params.token });
+});
+
+// POST /reset-password/:token { password, confirmPassword } — uses the token up, sets the password
+// and logs the account out everywhere
+const resetPassword = asyncHandler(async (req, res) => {
+  const { password, confirmPassword } = req.body;
+  const fail = (message, redirectTo) => {
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(redirectTo);
+  };
+  const problem = passwordProblem(password, confirmPassword);
+  if (problem) return fail(problem, `/reset-password/${encodeURIComponent(req.params.token)}`);
+
+  const record = await PasswordResetToken.consume(req.params.token);
+  const user = record ? await User.findOne({ _id: record.user, isActive: true }) : null;
+  if (!user) return fail(RESET_LINK_INVALID, '/forgot-password');
+  user.password = password;
+  // Proving control of the mailbox also lifts a login lockout
+  user.failedLoginAttempts = 0;
+  user.lockedUntil = undefined;
+  await user.save();
+  await endSessions(req.sessionStore, user._id);
+  // Whoever knew the old password may also have issued tokens with it
+  await ApiToken.revokeAll(user, user._id, req.ip);
+
+  if (req.accepts('json')) return res.json({ message: 'Password reset' });
+  req.flash('success', 'Your password has been reset; please log in');
+  res.redirect('/login');
+});
+
+// GET /account/password — protect, requireSession
+const showChangePassword = (req, res) => {
+  res.render('account/password', { title: 'Change Password' });
 };
 
-module.exports = { showLogin, login, logout };
+// POST /account/password { currentPassword, password, confirmPassword, revokeTokens } — protect,
+// requireSession. Every other session of the account is logged out; this one stays signed in. With
+// revokeTokens the account's API tokens stop working too.
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, password, confirmPassword } = req.body;
+  const revokeTokens = ['on', 'true', true].includes(req.body.revokeTokens);
+  const fail = (status, message) => {
+    if (req.accepts('json')) return res.status(status).json({ message });
+    req.flash('error', message);
+    return res.redirect('/account/password');
+  };
+  const user = await User.findById(req.session.user._id);
+  if (!user || !(await user.matchPassword(String(currentPassword || '')))) return fail(400, 'Current password is incorrect');
+  const problem = passwordProblem(password, confirmPassword);
+  if (problem) return fail(400, problem);
+  if (await user.matchPassword(password)) return fail(400, 'The new password must differ from the current one');
+
+  user.password = password;
+  await user.save();
+  const ended = await endOtherSessions(req, user._id);
+  // Reset links sent before the change no longer apply
+  await PasswordResetToken.updateMany({ user: user._id, usedAt: null }, { $set: { usedAt: Date.now() } });
+  const revoked = revokeTokens ? await ApiToken.revokeAll(user, user._id, req.ip) : 0;
+
+  if (req.accepts('json')) {
+    return res.json({ message: 'Password changed', endedSessions: ended, revokedTokens: revoked });
+  }
+  const notes = [
+    ended ? `signed out of ${ended} other sessions` : null,
+    revoked ? `revoked ${revoked} API tokens` : null,
+  ].filter(Boolean);
+  req.flash('success', notes.length ? `Password changed; ${notes.join(' and ')}` : 'Password changed');
+  res.redirect('/account/password');
+});
+
+module.exports = {
+  showLogin,
+  login,
+  showTwoFactorLogin,
+  verifyTwoFactorLogin,
+  issueApiToken,
+  logout,
+  showForgotPassword,
+  requestPasswordReset,
+  showResetPassword,
+  resetPassword,
+  showChangePassword,
+  changePassword,
+};
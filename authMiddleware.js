@@ -1,38 +1,189 @@
-function protect(req, res, next) {
-  if (req.session && req.session.user && req.session.user.isActive !== false) {
-    return next();
-  }
-  if (req.accepts('json')) {
-    return res.status(401).json({ message: 'Not authenticated' });
+const Faculty = require('../models/Faculty');
+const Module = require('../models/Module');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const { grants, withinScopes } = require('../utils/permissions');
+
+// Every role held by the session user (older sessions only carry `role`)
+const userRoles = (user) => (user.roles && user.roles.length ? user.roles : [user.role]);
+
+// Scopes of the API token the request came with, or null for a browser session
+const tokenScopes = (req) => (req.session && req.session.apiToken ? req.session.apiToken.scopes : null);
+
+// Role checks (admin, requireRole) are all-or-nothing, so only tokens scoped "*" pass them
+const fullAccess = (req) => {
+  const scopes = tokenScopes(req);
+  return !scopes || scopes.includes('*');
+};
+
+// The signed-in user as the database has it now. Sessions keep a copy of the user's roles and
+// departments from login, so it is re-read once per request: role and scope changes take effect
+// on sessions that are already signed in, and a deactivated account is signed out. Bearer-token
+// requests are loaded fresh by bearerAuth.
+async function currentUser(req) {
+  const user = req.session && req.session.user;
+  if (!user || req.session.apiToken || req.sessionUserLoaded) return user;
+  req.sessionUserLoaded = true;
+  const record = await User.findById(user._id);
+  if (!record || !record.isActive) {
+    delete req.session.user;
+    return undefined;
   }
-  req.flash('error', 'Please log in to continue');
-  return res.redirect('/login');
+  req.session.user = await record.sessionUser();
+  return req.session.user;
 }
 
-function admin(req, res, next) {
-  const user = req.session && req.session.user;
-  if (user && user.role === 'admin' && user.isActive !== false) {
+// Authentication for API clients with "Authorization: Bearer <token>" (see models/ApiToken).
+// Mount BEFORE express-session: the request gets a req.session of its own holding the token's
+// user, which express-session then leaves alone (no cookie, nothing stored), so protect,
+// requirePermission and every controller treat it like a signed-in session. The token is on
+// req.session.apiToken. A bad or expired token is refused rather than falling back to a cookie.
+async function bearerAuth(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (!match) return next();
+  try {
+    const record = await ApiToken.authenticate(match[1], req.ip);
+    const user = record ? await User.findOne({ _id: record.user, isActive: true }) : null;
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+    req.session = { user: await user.sessionUser(), apiToken: { _id: record._id, scopes: record.scopes } };
     return next();
+  } catch (err) {
+    return next(err);
   }
-  if (req.accepts('json')) {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-  req.flash('error', 'Admin access required');
-  return res.redirect('/');
 }
 
-function requireRole(role) {
-  return (req, res, next) => {
-    const user = req.session && req.session.user;
-    if (user && user.role === role && user.isActive !== false) {
+// For routes that manage sign-in itself (passwords, two-factor, API tokens, sessions): refuses
+// API tokens, so a leaked token cannot be used to take the account over
+function requireSession(req, res, next) {
+  if (!tokenScopes(req)) return next();
+  return res.status(403).json({ message: 'This needs a signed-in browser session; API tokens cannot be used' });
+}
+
+async function protect(req, res, next) {
+  try {
+    const user = await currentUser(req);
+    if (user && user.isActive !== false) {
       return next();
     }
     if (req.accepts('json')) {
-      return res.status(403).json({ message: `${role} access required` });
+      return res.status(401).json({ message: 'Not authenticated' });
     }
-    req.flash('error', `${role} access required`);
+    req.flash('error', 'Please log in to continue');
     return res.redirect('/login');
+  } catch (err) {
+    return next(err);
+  }
+}
+
+async function admin(req, res, next) {
+  try {
+    const user = await currentUser(req);
+    if (user && userRoles(user).includes('admin') && user.isActive !== false && fullAccess(req)) {
+      return next();
+    }
+    if (req.accepts('json')) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    req.flash('error', 'Admin access required');
+    return res.redirect('/');
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// requireRole('faculty') or requireRole('admin', 'faculty') — any of the listed roles
+function requireRole(...roles) {
+  const label = roles.join(' or ');
+  return async (req, res, next) => {
+    try {
+      const user = await currentUser(req);
+      if (user && userRoles(user).some((r) => roles.includes(r)) && user.isActive !== false && fullAccess(req)) {
+        return next();
+      }
+      if (req.accepts('json')) {
+        return res.status(403).json({ message: `${label} access required` });
+      }
+      req.flash('error', `${label} access required`);
+      return res.redirect('/login');
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+// requirePermission('students:write') or several, all of which must be granted by the user's roles
+// (and, for API clients, the token's scopes). The resolved permission set is left on req.permissions.
+function requirePermission(...permissions) {
+  const label = permissions.join(', ');
+  return async (req, res, next) => {
+    try {
+      const user = await currentUser(req);
+      if (user && user.isActive !== false) {
+        const granted = await Role.permissionsFor(userRoles(user), tokenScopes(req));
+        if (permissions.every((p) => grants(granted, p))) {
+          req.permissions = granted;
+          return next();
+        }
+      }
+      if (req.accepts('json')) {
+        return res.status(403).json({ message: `Permission required: ${label}` });
+      }
+      req.flash('error', 'You do not have permission to do that');
+      return res.redirect('/');
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+// Module-scoped permission check: users granted `permission` may act on any module; users granted
+// `${permission}:own` only on modules listing their Faculty record in Module.lecturers.
+// getModuleId(req) may return the id or a promise of it (e.g. looked up from an attendance session).
+// On success the caller's Faculty record, if any, is available as req.faculty.
+function teachesModule(permission, getModuleId = (req) => req.params.id) {
+  return async (req, res, next) => {
+    try {
+      const user = await currentUser(req);
+      if (user && user.isActive !== false) {
+        const granted = await Role.permissionsFor(userRoles(user), tokenScopes(req));
+        if (grants(granted, permission)) {
+          req.permissions = granted;
+          return next();
+        }
+        if (grants(granted, `${permission}:own`)) {
+          const [faculty, moduleId] = await Promise.all([
+            Faculty.findOne({ user: user._id, isActive: true }).select('_id department'),
+            getModuleId(req),
+          ]);
+          if (faculty && moduleId && (await Module.exists({ _id: moduleId, lecturers: faculty._id }))) {
+            req.permissions = granted;
+            req.faculty = faculty;
+            return next();
+          }
+        }
+      }
+      if (req.accepts('json')) {
+        return res.status(403).json({ message: 'You can only manage modules you teach' });
+      }
+      req.flash('error', 'You can only manage modules you teach');
+      return res.redirect('/');
+    } catch (err) {
+      return next(err);
+    }
   };
 }
 
-module.exports = { protect, admin, requireRole };
+module.exports = {
+  bearerAuth,
+  requireSession,
+  protect,
+  admin,
+  requireRole,
+  requirePermission,
+  teachesModule,
+  userRoles,
+};
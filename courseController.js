@@ -1,14 +1,19 @@
 const mongoose = require('mongoose');
 const Course = require('../models/Course');
 const Department = require('../models/Department');
+const Enrollment = require('../models/Enrollment');
 const asyncHandler = require('express-async-handler');
+const { paginate, dropdownOptions } = require('../utils/listQuery');
+const { historyForViewer } = require('../utils/audit');
+const { inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+const { isExportFormat, streamExport, exportDate, refField } = require('../utils/spreadsheet');
 
-// @desc    Get all courses
-// @route   GET /api/courses
-// @access  Public
-const getCourses = asyncHandler(async (req, res) => {
-    const { department, search } = req.query;
-    let query = {};
+// Blank form fields leave the schema default (or current value) in place
+const optionalInt = (value) => (value === undefined || value === '' ? undefined : parseInt(value));
+
+// Filters shared by the list and export endpoints
+const buildCourseFilter = ({ department, search }) => {
+    const query = {};
 
     if (department) {
         query.department = department;
@@ -18,21 +23,37 @@ const getCourses = asyncHandler(async (req, res) => {
         query.$text = { $search: search };
     }
 
-    const courses = await Course.find(query)
-        .populate('department', 'name code')
-        .sort({ name: 1 });
+    return query;
+};
+
+// @desc    Get all courses (paginated: ?page=&limit=&sort=&fields=)
+// @route   GET /api/courses
+// @access  Public
+const getCourses = asyncHandler(async (req, res) => {
+    const { department, search } = req.query;
+    const query = applyScope(req, buildCourseFilter(req.query));
+
+    const { docs: courses, meta } = await paginate(Course, query, req, {
+        sort: { name: 1 },
+        populate: [{ path: 'department', select: 'name code' }]
+    });
     
     if (req.accepts('json')) {
-        return res.json(courses);
+        return res.json({ data: courses, meta });
     }
     
-    // For HTML response, get departments for filter dropdown
-    const departments = await Department.find({}).sort({ name: 1 });
+    // For HTML response, get departments for filter dropdown (searched with ?departmentSearch=)
+    const departments = await dropdownOptions(Department, applyScope(req, {}, '_id'), req, {
+        param: 'departmentSearch',
+        selected: department
+    });
     
     res.render('courses/index', {
         title: 'All Courses',
         courses,
-        departments,
+        departments: departments.options,
+        dropdowns: { departments },
+        pagination: meta,
         selectedDepartment: department || '',
         searchQuery: search || ''
     });
@@ -54,36 +75,44 @@ const getCourse = asyncHandler(async (req, res) => {
         return res.redirect('/courses');
     }
 
+    if (!inScope(req, course.department)) return denyOutOfScope(req, res, '/courses');
+
     if (req.accepts('json')) {
         return res.json(course);
     }
 
+    const history = await historyForViewer(req, 'Course', course._id);
+
     res.render('courses/show', {
         title: course.name,
-        course
+        course,
+        history
     });
 });
 
 // @desc    Show new course form
 // @route   GET /courses/new
-// @access  Private/Admin
+// @access  Private (courses:write)
 const showNewCourseForm = asyncHandler(async (req, res) => {
-    const departments = await Department.find({ isActive: true }).sort({ name: 1 });
+    const departments = await dropdownOptions(Department, applyScope(req, { isActive: true }, '_id'), req, {
+        param: 'departmentSearch'
+    });
     
-    if (departments.length === 0) {
+    if (departments.options.length === 0 && !departments.search) {
         req.flash('error', 'No active departments found. Please create a department first.');
         return res.redirect('/departments/new');
     }
     
     res.render('courses/new', { 
         title: 'Add New Course',
-        departments 
+        departments: departments.options,
+        dropdowns: { departments }
     });
 });
 
 // @desc    Create new course
 // @route   POST /api/courses
-// @access  Private/Admin
+// @access  Private (courses:write)
 const createCourse = asyncHandler(async (req, res) => {
     const { 
         name, 
@@ -94,11 +123,18 @@ const createCourse = asyncHandler(async (req, res) => {
         credits, 
         fee, 
         startDate, 
-        endDate 
+        endDate,
+        minSemesterCredits,
+        maxSemesterCredits,
+        capacity
     } = req.body;
+
+    if (!inScope(req, department)) {
+        return denyOutOfScope(req, res, '/courses/new');
+    }
     
     // Check if course with same code already exists
-    const courseExists = await Course.findOne({ code });
+    const courseExists = await Course.findOne({ code }).withDeleted();
 
     if (courseExists) {
         if (req.accepts('json')) {
@@ -130,9 +166,22 @@ const createCourse = asyncHandler(async (req, res) => {
         credits: parseInt(credits),
         fee: parseFloat(fee),
         startDate,
-        endDate
+        endDate,
+        minSemesterCredits: optionalInt(minSemesterCredits),
+        maxSemesterCredits: optionalInt(maxSemesterCredits),
+        capacity: optionalInt(capacity)
     });
 
+    if (course.minSemesterCredits > course.maxSemesterCredits) {
+        if (req.accepts('json')) {
+            return res.status(400).json({ 
+                message: 'Maximum semester credits cannot be below the minimum' 
+            });
+        }
+        req.flash('error', 'Maximum semester credits cannot be below the minimum');
+        return res.redirect('/courses/new');
+    }
+
     const createdCourse = await course.save();
 
     if (req.accepts('json')) {
@@ -145,18 +194,24 @@ const createCourse = asyncHandler(async (req, res) => {
 
 // @desc    Show edit course form
 // @route   GET /courses/:id/edit
-// @access  Private/Admin
+// @access  Private (courses:write)
 const showEditCourseForm = asyncHandler(async (req, res) => {
-    const [course, departments] = await Promise.all([
-        Course.findById(req.params.id),
-        Department.find({ isActive: true }).sort({ name: 1 })
-    ]);
+    const course = await Course.findById(req.params.id);
 
     if (!course) {
         req.flash('error', 'Course not found');
         return res.redirect('/courses');
     }
 
+    if (!inScope(req, course.department)) {
+        return denyOutOfScope(req, res, `/courses/${course._id}`);
+    }
+
+    const departments = await dropdownOptions(Department, applyScope(req, { isActive: true }, '_id'), req, {
+        param: 'departmentSearch',
+        selected: course.department
+    });
+
     // Format dates for date input fields
     const formatDate = (date) => {
         if (!date) return '';
@@ -178,13 +233,14 @@ const showEditCourseForm = asyncHandler(async (req, res) => {
             startDate: formatDate(course.startDate),
             endDate: formatDate(course.endDate)
         },
-        departments
+        departments: departments.options,
+        dropdowns: { departments }
     });
 });
 
 // @desc    Update course
 // @route   PUT /api/courses/:id
-// @access  Private/Admin
+// @access  Private (courses:write)
 const updateCourse = asyncHandler(async (req, res) => {
     const { 
         name, 
@@ -196,7 +252,10 @@ const updateCourse = asyncHandler(async (req, res) => {
         fee, 
         startDate, 
         endDate,
-        isActive
+        isActive,
+        minSemesterCredits,
+        maxSemesterCredits,
+        capacity
     } = req.body;
     
     const course = await Course.findById(req.params.id);
@@ -209,11 +268,16 @@ const updateCourse = asyncHandler(async (req, res) => {
         return res.redirect('/courses');
     }
 
+    // Both the current and the new department must be within a coordinator's scope
+    if (!inScope(req, course.department) || !inScope(req, department)) {
+        return denyOutOfScope(req, res, `/courses/${course._id}`);
+    }
+
     // Check if another course exists with the same code
     const courseExists = await Course.findOne({
         _id: { $ne: course._id },
         code: code.toUpperCase()
-    });
+    }).withDeleted();
 
     if (courseExists) {
         if (req.accepts('json')) {
@@ -247,9 +311,28 @@ const updateCourse = asyncHandler(async (req, res) => {
     course.startDate = startDate;
     course.endDate = endDate;
     course.isActive = isActive === 'on';
+    if (optionalInt(minSemesterCredits) !== undefined) course.minSemesterCredits = optionalInt(minSemesterCredits);
+    if (optionalInt(maxSemesterCredits) !== undefined) course.maxSemesterCredits = optionalInt(maxSemesterCredits);
+    // An empty capacity field removes the limit
+    if (capacity !== undefined) course.capacity = optionalInt(capacity) || null;
+
+    if (course.minSemesterCredits > course.maxSemesterCredits) {
+        if (req.accepts('json')) {
+            return res.status(400).json({ 
+                message: 'Maximum semester credits cannot be below the minimum' 
+            });
+        }
+        req.flash('error', 'Maximum semester credits cannot be below the minimum');
+        return res.redirect(`/courses/${course._id}/edit`);
+    }
 
     const updatedCourse = await course.save();
 
+    // Extra seats go to the waitlist straight away
+    if (course.capacity === null || course.capacity > updatedCourse.enrolledCount) {
+        await Enrollment.fillSeats(updatedCourse._id);
+    }
+
     if (req.accepts('json')) {
         return res.json(updatedCourse);
     }
@@ -258,9 +341,9 @@ const updateCourse = asyncHandler(async (req, res) => {
     res.redirect(`/courses/${updatedCourse._id}`);
 });
 
-// @desc    Delete course
+// @desc    Delete course (archived to the recycle bin)
 // @route   DELETE /api/courses/:id
-// @access  Private/Admin
+// @access  Private (courses:delete)
 const deleteCourse = asyncHandler(async (req, res) => {
     const course = await Course.findById(req.params.id);
 
@@ -272,6 +355,10 @@ const deleteCourse = asyncHandler(async (req, res) => {
         return res.redirect('/courses');
     }
 
+    if (!inScope(req, course.department)) {
+        return denyOutOfScope(req, res, `/courses/${course._id}`);
+    }
+
     // Check if there are any modules associated with this course
     const moduleCount = await mongoose.model('Module').countDocuments({ 
         course: course._id 
@@ -287,16 +374,48 @@ const deleteCourse = asyncHandler(async (req, res) => {
         return res.redirect(`/courses/${course._id}`);
     }
 
-    await course.remove();
+    await course.softDelete(req.session.user._id);
 
     if (req.accepts('json')) {
-        return res.json({ message: 'Course removed' });
+        return res.json({ message: 'Course moved to the recycle bin' });
     }
 
-    req.flash('success', 'Course deleted successfully');
+    req.flash('success', 'Course moved to the recycle bin');
     res.redirect('/courses');
 });
 
+const COURSE_EXPORT_COLUMNS = [
+    { key: 'code', header: 'Code', value: c => c.code },
+    { key: 'name', header: 'Name', value: c => c.name },
+    { key: 'departmentCode', header: 'Department Code', value: c => refField(c.department, 'code') },
+    { key: 'departmentName', header: 'Department Name', value: c => refField(c.department, 'name') },
+    { key: 'duration', header: 'Duration (years)', value: c => c.duration },
+    { key: 'credits', header: 'Credits', value: c => c.credits },
+    { key: 'fee', header: 'Fee', value: c => c.fee },
+    { key: 'startDate', header: 'Start Date', value: c => exportDate(c.startDate) },
+    { key: 'endDate', header: 'End Date', value: c => exportDate(c.endDate) },
+    { key: 'isActive', header: 'Active', value: c => c.isActive },
+    { key: 'description', header: 'Description', value: c => c.description || '' }
+];
+
+// @desc    Export courses as CSV, XLSX or NDJSON (same filters as getCourses)
+// @route   GET /courses/export?format=csv|xlsx|ndjson
+// @access  Private (courses:export)
+const exportCourses = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!isExportFormat(format)) {
+        return res.status(400).json({ message: 'Format must be csv, xlsx or ndjson' });
+    }
+
+    const cursor = Course.find(applyScope(req, buildCourseFilter(req.query)))
+        .populate('department', 'name code')
+        .sort({ code: 1 })
+        .lean()
+        .cursor();
+
+    await streamExport(res, cursor, { format, filename: 'courses', columns: COURSE_EXPORT_COLUMNS });
+});
+
 module.exports = {
     getCourses,
     getCourse,
@@ -304,5 +423,6 @@ module.exports = {
     createCourse,
     showEditCourseForm,
     updateCourse,
-    deleteCourse
+    deleteCourse,
+    exportCourses
 };
@@ -1,20 +1,29 @@
 const mongoose = require('mongoose');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const asyncHandler = require('express-async-handler');
+const { paginate } = require('../utils/listQuery');
+const { historyForViewer } = require('../utils/audit');
+const { validateGradeBoundaries } = require('../utils/grading');
+const { scopeOf, inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
 
-// @desc    Get all departments
+// @desc    Get all departments (paginated: ?page=&limit=&sort=&fields=)
 // @route   GET /api/departments
 // @access  Public
 const getDepartments = asyncHandler(async (req, res) => {
-    const departments = await Department.find({}).sort({ name: 1 });
+    const { docs: departments, meta } = await paginate(Department, applyScope(req, {}, '_id'), req, {
+        sort: { name: 1 },
+        populate: [{ path: 'headOfDepartment', select: 'name designation' }]
+    });
     
     if (req.accepts('json')) {
-        return res.json(departments);
+        return res.json({ data: departments, meta });
     }
     
     res.render('departments/index', {
         title: 'All Departments',
-        departments
+        departments,
+        pagination: meta
     });
 });
 
@@ -23,7 +32,8 @@ const getDepartments = asyncHandler(async (req, res) => {
 // @access  Public
 const getDepartment = asyncHandler(async (req, res) => {
     const department = await Department.findById(req.params.id)
-        .populate('courses');
+        .populate('courses')
+        .populate('headOfDepartment', 'name designation email');
 
     if (!department) {
         if (req.accepts('json')) {
@@ -33,32 +43,48 @@ const getDepartment = asyncHandler(async (req, res) => {
         return res.redirect('/departments');
     }
 
+    if (!inScope(req, department._id)) return denyOutOfScope(req, res, '/departments');
+
     if (req.accepts('json')) {
         return res.json(department);
     }
 
+    const history = await historyForViewer(req, 'Department', department._id);
+
     res.render('departments/show', {
         title: department.name,
-        department
+        department,
+        history
     });
 });
 
 // @desc    Show new department form
 // @route   GET /departments/new
-// @access  Private/Admin
-const showNewDepartmentForm = (req, res) => {
-    res.render('departments/new', { title: 'Add New Department' });
-};
+// @access  Private (departments:write)
+const showNewDepartmentForm = asyncHandler(async (req, res) => {
+    // Department-scoped coordinators cannot create departments
+    if (scopeOf(req)) {
+        return denyOutOfScope(req, res, '/departments');
+    }
+
+    const faculty = await Faculty.find({ isActive: true }).select('name designation').sort({ name: 1 });
+    res.render('departments/new', { title: 'Add New Department', faculty });
+});
 
 // @desc    Create new department
 // @route   POST /api/departments
-// @access  Private/Admin
+// @access  Private (departments:write)
 const createDepartment = asyncHandler(async (req, res) => {
     const { name, code, description, headOfDepartment } = req.body;
+
+    // Department-scoped coordinators cannot create departments
+    if (scopeOf(req)) {
+        return denyOutOfScope(req, res, '/departments');
+    }
     
     const departmentExists = await Department.findOne({ 
         $or: [{ name }, { code }] 
-    });
+    }).withDeleted();
 
     if (departmentExists) {
         if (req.accepts('json')) {
@@ -74,7 +100,7 @@ const createDepartment = asyncHandler(async (req, res) => {
         name,
         code: code.toUpperCase(),
         description,
-        headOfDepartment
+        headOfDepartment: headOfDepartment || undefined
     });
 
     const createdDepartment = await department.save();
@@ -89,24 +115,32 @@ const createDepartment = asyncHandler(async (req, res) => {
 
 // @desc    Show edit department form
 // @route   GET /departments/:id/edit
-// @access  Private/Admin
+// @access  Private (departments:write)
 const showEditDepartmentForm = asyncHandler(async (req, res) => {
-    const department = await Department.findById(req.params.id);
+    const [department, faculty] = await Promise.all([
+        Department.findById(req.params.id),
+        Faculty.find({ department: req.params.id, isActive: true }).select('name designation').sort({ name: 1 })
+    ]);
 
     if (!department) {
         req.flash('error', 'Department not found');
         return res.redirect('/departments');
     }
 
+    if (!inScope(req, department._id)) {
+        return denyOutOfScope(req, res, '/departments');
+    }
+
     res.render('departments/edit', {
         title: 'Edit Department',
-        department
+        department,
+        faculty
     });
 });
 
 // @desc    Update department
 // @route   PUT /api/departments/:id
-// @access  Private/Admin
+// @access  Private (departments:write)
 const updateDepartment = asyncHandler(async (req, res) => {
     const { name, code, description, headOfDepartment, isActive } = req.body;
     
@@ -120,6 +154,10 @@ const updateDepartment = asyncHandler(async (req, res) => {
         return res.redirect('/departments');
     }
 
+    if (!inScope(req, department._id)) {
+        return denyOutOfScope(req, res, '/departments');
+    }
+
     // Check if another department exists with the same name or code
     const departmentExists = await Department.findOne({
         _id: { $ne: department._id },
@@ -127,7 +165,7 @@ const updateDepartment = asyncHandler(async (req, res) => {
             { name },
             { code: code.toUpperCase() }
         ]
-    });
+    }).withDeleted();
 
     if (departmentExists) {
         if (req.accepts('json')) {
@@ -142,7 +180,7 @@ const updateDepartment = asyncHandler(async (req, res) => {
     department.name = name;
     department.code = code.toUpperCase();
     department.description = description;
-    department.headOfDepartment = headOfDepartment;
+    department.headOfDepartment = headOfDepartment || undefined;
     department.isActive = isActive === 'on';
 
     const updatedDepartment = await department.save();
@@ -155,9 +193,9 @@ const updateDepartment = asyncHandler(async (req, res) => {
     res.redirect(`/departments/${updatedDepartment._id}`);
 });
 
-// @desc    Delete department
+// @desc    Delete department (archived to the recycle bin)
 // @route   DELETE /api/departments/:id
-// @access  Private/Admin
+// @access  Private (departments:delete)
 const deleteDepartment = asyncHandler(async (req, res) => {
     const department = await Department.findById(req.params.id);
 
@@ -169,6 +207,11 @@ const deleteDepartment = asyncHandler(async (req, res) => {
         return res.redirect('/departments');
     }
 
+    // Department-scoped coordinators cannot delete departments
+    if (scopeOf(req)) {
+        return denyOutOfScope(req, res, `/departments/${department._id}`);
+    }
+
     // Check if there are any courses associated with this department
     const courseCount = await mongoose.model('Course').countDocuments({ 
         department: department._id 
@@ -184,16 +227,64 @@ const deleteDepartment = asyncHandler(async (req, res) => {
         return res.redirect(`/departments/${department._id}`);
     }
 
-    await department.remove();
+    await department.softDelete(req.session.user._id);
 
     if (req.accepts('json')) {
-        return res.json({ message: 'Department removed' });
+        return res.json({ message: 'Department moved to the recycle bin' });
     }
 
-    req.flash('success', 'Department deleted successfully');
+    req.flash('success', 'Department moved to the recycle bin');
     res.redirect('/departments');
 });
 
+// @desc    Update department grade boundaries
+// @route   PUT /api/departments/:id/grade-boundaries
+// @access  Private (departments:write)
+const updateGradeBoundaries = asyncHandler(async (req, res) => {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+        if (req.accepts('json')) {
+            return res.status(404).json({ message: 'Department not found' });
+        }
+        req.flash('error', 'Department not found');
+        return res.redirect('/departments');
+    }
+
+    if (!inScope(req, department._id)) {
+        return denyOutOfScope(req, res, '/departments');
+    }
+
+    // Form posts arrive as boundaries[0][letter]=...; rows with no letter are blank form rows
+    const boundaries = Object.values(req.body.boundaries || {})
+        .filter(b => b && String(b.letter || '').trim())
+        .map(b => ({
+            letter: String(b.letter).trim(),
+            minPercent: parseFloat(b.minPercent),
+            gradePoints: parseFloat(b.gradePoints)
+        }))
+        .sort((a, b) => b.minPercent - a.minPercent);
+
+    const error = validateGradeBoundaries(boundaries);
+    if (error) {
+        if (req.accepts('json')) {
+            return res.status(400).json({ message: error });
+        }
+        req.flash('error', error);
+        return res.redirect(`/departments/${department._id}/edit`);
+    }
+
+    department.gradeBoundaries = boundaries;
+    const updatedDepartment = await department.save();
+
+    if (req.accepts('json')) {
+        return res.json(updatedDepartment);
+    }
+
+    req.flash('success', 'Grade boundaries updated successfully');
+    res.redirect(`/departments/${updatedDepartment._id}`);
+});
+
 module.exports = {
     getDepartments,
     getDepartment,
@@ -201,5 +292,6 @@ module.exports = {
     createDepartment,
     showEditDepartmentForm,
     updateDepartment,
-    deleteDepartment
+    deleteDepartment,
+    updateGradeBoundaries
 };
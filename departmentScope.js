@@ -0,0 +1,46 @@
+// Department scoping for coordinators. A session user with a non-empty `departments` list may only
+// see and change records belonging to those departments. An empty list means no restriction,
+// except for holders of a department-scoped role (Role.departmentScoped), who then see nothing:
+// forgetting to assign a coordinator's departments must not give them every department. The session
+// copy is refreshed on each request by currentUser in authMiddleware.
+
+const OUT_OF_SCOPE_MESSAGE = 'You can only manage records in your own department';
+
+// Department ids the caller is limited to, or null when unrestricted
+function scopeOf(req) {
+  const user = req.session && req.session.user;
+  if (!user) return null;
+  const departments = Array.isArray(user.departments) ? user.departments.map(String) : [];
+  if (departments.length === 0 && !user.departmentScoped) return null;
+  return departments;
+}
+
+// True when departmentId (an id, a populated department or null) is within the caller's scope
+function inScope(req, departmentId) {
+  const scope = scopeOf(req);
+  if (!scope) return true;
+  if (!departmentId) return false;
+  return scope.includes(String(departmentId._id || departmentId));
+}
+
+// Restrict a Mongo filter to the caller's departments. A requested department outside the
+// scope yields an empty result rather than an error, like any other non-matching filter.
+function applyScope(req, query, field = 'department') {
+  const scope = scopeOf(req);
+  if (!scope) return query;
+  if (query[field]) {
+    query[field] = scope.includes(String(query[field])) ? query[field] : { $in: [] };
+  } else {
+    query[field] = { $in: scope };
+  }
+  return query;
+}
+
+// Send the 403 for an out-of-scope request. Always returns the response so callers can `return deny(...)`.
+function denyOutOfScope(req, res, redirectTo = '/') {
+  if (req.accepts('json')) return res.status(403).json({ message: OUT_OF_SCOPE_MESSAGE });
+  req.flash('error', OUT_OF_SCOPE_MESSAGE);
+  return res.redirect(redirectTo);
+}
+
+module.exports = { OUT_OF_SCOPE_MESSAGE, scopeOf, inScope, applyScope, denyOutOfScope };
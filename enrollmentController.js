@@ -1,19 +1,30 @@
 const asyncHandler = require('express-async-handler');
 const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
+const AcademicTerm = require('../models/AcademicTerm');
 
-// GET /portal/my-courses
+// GET /portal/my-courses — enrolled and waitlisted courses; waitlisted ones carry their position
 const getMyCourses = asyncHandler(async (req, res) => {
   const userId = req.session.user._id;
-  const enrollments = await Enrollment.find({ user: userId, status: 'enrolled' })
+  const found = await Enrollment.find({ user: userId, status: { $in: ['enrolled', 'waitlisted'] } })
     .populate({ path: 'course', populate: { path: 'department', select: 'name code' } })
+    .populate('term', 'year term')
     .sort({ createdAt: -1 });
+  const enrollments = await Promise.all(
+    found.map(async (e) => ({ ...e.toJSON(), waitlistPosition: await e.waitlistPosition() }))
+  );
 
   if (req.accepts('json')) return res.json(enrollments);
-  res.render('portal/my-courses', { title: 'My Courses', enrollments });
+  res.render('portal/my-courses', {
+    title: 'My Courses',
+    enrollments: enrollments.filter((e) => e.status === 'enrolled'),
+    waitlisted: enrollments.filter((e) => e.status === 'waitlisted'),
+  });
 });
 
-// POST /portal/enroll { courseId }
+// POST /portal/enroll { courseId } — takes a seat if one is free, otherwise joins the waitlist.
+// Only while a term's registration window is open; the enrollment is recorded against that term.
+// Seats are claimed atomically on the course, so concurrent requests cannot overfill it.
 const enrollInCourse = asyncHandler(async (req, res) => {
   const userId = req.session.user._id;
   const { courseId } = req.body;
@@ -23,38 +34,121 @@ const enrollInCourse = asyncHandler(async (req, res) => {
     req.flash('error', 'Course not found');
     return res.redirect('/catalog');
   }
+  const back = `/catalog/course/${courseId}`;
+  const already = async (enrollment) => {
+    const position = await enrollment.waitlistPosition();
+    const message = position ? `Already on the waitlist (position ${position})` : 'Already enrolled';
+    if (req.accepts('json')) return res.json({ message, status: enrollment.status, waitlistPosition: position });
+    req.flash('success', message);
+    return res.redirect(back);
+  };
+
+  const existing = await Enrollment.findOne({ user: userId, course: courseId });
+  if (existing && existing.status !== 'dropped') return already(existing);
+
+  const term = await AcademicTerm.openForRegistration();
+  if (!term) {
+    const message = await AcademicTerm.closedMessage('Enrollment');
+    if (req.accepts('json')) return res.status(403).json({ message });
+    req.flash('error', message);
+    return res.redirect(back);
+  }
+
+  // Nobody jumps the queue: while students are waiting, new requests wait too
+  const queued = await Enrollment.exists({ course: courseId, status: 'waitlisted' });
+  const seat = !queued && (await Course.claimSeat(courseId));
+  const now = Date.now();
+  const fields = seat
+    ? { status: 'enrolled', joinedAt: now, term: term._id }
+    : { status: 'waitlisted', waitlistedAt: now, term: term._id };
+
+  let enrollment;
   try {
-    await Enrollment.create({ user: userId, course: courseId, status: 'enrolled' });
+    // A dropped enrollment is reopened rather than duplicated; only one concurrent request can reopen it
+    enrollment = existing
+      ? await Enrollment.findOneAndUpdate(
+          { _id: existing._id, status: 'dropped' },
+          { $set: fields, $unset: { droppedAt: 1, ...(seat ? { waitlistedAt: 1 } : {}) } },
+          { new: true }
+        )
+      : await Enrollment.create({ user: userId, course: courseId, ...fields });
   } catch (err) {
+    if (seat) await Course.releaseSeat(courseId);
     // Handle duplicate enrollment gracefully
-    if (err && err.code === 11000) {
-      if (req.accepts('json')) return res.json({ message: 'Already enrolled' });
-      req.flash('success', 'Already enrolled');
-      return res.redirect(`/catalog/course/${courseId}`);
-    }
+    if (err && err.code === 11000) return already(await Enrollment.findOne({ user: userId, course: courseId }));
     throw err;
   }
+  if (!enrollment) {
+    if (seat) await Course.releaseSeat(courseId);
+    return already(await Enrollment.findOne({ user: userId, course: courseId }));
+  }
+
+  // A seat may have come free while joining the waitlist
+  if (!seat) {
+    await Enrollment.fillSeats(courseId);
+    enrollment = await Enrollment.findById(enrollment._id);
+  }
 
-  if (req.accepts('json')) return res.status(201).json({ message: 'Enrolled' });
-  req.flash('success', 'Enrolled successfully');
-  res.redirect(`/catalog/course/${courseId}`);
+  if (enrollment.status === 'enrolled') {
+    if (req.accepts('json')) return res.status(201).json({ message: 'Enrolled', status: 'enrolled' });
+    req.flash('success', 'Enrolled successfully');
+    return res.redirect(back);
+  }
+  const position = await enrollment.waitlistPosition();
+  if (req.accepts('json')) {
+    return res.status(202).json({ message: 'Course is full; added to the waitlist', status: 'waitlisted', waitlistPosition: position });
+  }
+  req.flash('success', `Course is full; you are number ${position} on the waitlist`);
+  res.redirect(back);
 });
 
-// POST /portal/drop { courseId }
+// POST /portal/drop { courseId } — the enrollment is kept with status 'dropped'. Dropping a seat
+// hands it straight to the head of the waitlist and is only allowed until the add/drop deadline of
+// the enrollment's term (enrollments from before terms existed use the term now open); a waitlist
+// place can be given up at any time.
 const dropFromCourse = asyncHandler(async (req, res) => {
   const userId = req.session.user._id;
   const { courseId } = req.body;
-  const enrollment = await Enrollment.findOne({ user: userId, course: courseId });
-  if (!enrollment) {
+  const back = `/catalog/course/${courseId}`;
+  const current = await Enrollment.findOne({ user: userId, course: courseId, status: { $in: ['enrolled', 'waitlisted'] } });
+  if (!current) {
     if (req.accepts('json')) return res.status(404).json({ message: 'Enrollment not found' });
     req.flash('error', 'You are not enrolled in this course');
-    return res.redirect(`/catalog/course/${courseId}`);
+    return res.redirect(back);
+  }
+  if (current.status === 'enrolled') {
+    const term = current.term ? await AcademicTerm.findById(current.term) : await AcademicTerm.activeForRegistration();
+    if (!term || !term.isDropOpen()) {
+      const message = term ? `The add/drop deadline for ${term.name} has passed` : 'No add/drop period is open';
+      if (req.accepts('json')) return res.status(403).json({ message });
+      req.flash('error', message);
+      return res.redirect(back);
+    }
+  }
+
+  // Conditional on the status just checked, so a concurrent promotion or drop is not overwritten
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { _id: current._id, status: current.status },
+    { $set: { status: 'dropped', droppedAt: Date.now() }, $unset: { waitlistedAt: 1 } }
+  );
+  if (!enrollment) {
+    const message = 'Your enrollment changed while dropping; please try again';
+    if (req.accepts('json')) return res.status(409).json({ message });
+    req.flash('error', message);
+    return res.redirect(back);
+  }
+  if (enrollment.status === 'enrolled') {
+    const promoted = await Enrollment.promoteNext(courseId);
+    if (!promoted) {
+      await Course.releaseSeat(courseId);
+      // Someone may have joined the waitlist between the two steps
+      await Enrollment.fillSeats(courseId);
+    }
   }
-  await enrollment.deleteOne();
 
   if (req.accepts('json')) return res.json({ message: 'Dropped' });
-  req.flash('success', 'Dropped from course');
-  res.redirect(`/catalog/course/${courseId}`);
+  req.flash('success', enrollment.status === 'waitlisted' ? 'Removed from the waitlist' : 'Dropped from course');
+  res.redirect(back);
 });
 
 module.exports = { getMyCourses, enrollInCourse, dropFromCourse };
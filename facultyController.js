@@ -0,0 +1,210 @@
+const asyncHandler = require('express-async-handler');
+const Faculty = require('../models/Faculty');
+const Department = require('../models/Department');
+const Module = require('../models/Module');
+const User = require('../models/User');
+const { paginate } = require('../utils/listQuery');
+const { inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(/[,\n]/)).map((v) => String(v).trim()).filter(Boolean);
+
+// Resolve the optional "link to login" email to a user id; returns { userId, error }
+const resolveLinkedUser = async (userEmail, facultyId) => {
+  if (!userEmail) return { userId: undefined, error: null };
+  const user = await User.findOne({ email: userEmail.toLowerCase() }).select('_id');
+  if (!user) return { userId: undefined, error: 'No user account exists with that login email' };
+  const taken = await Faculty.findOne({ user: user._id, _id: { $ne: facultyId } }).select('_id');
+  if (taken) return { userId: undefined, error: 'That user account is already linked to another faculty member' };
+  return { userId: user._id, error: null };
+};
+
+// List faculty with filters, paginated
+const getFacultyList = asyncHandler(async (req, res) => {
+  const { department, designation, search } = req.query;
+  const query = {};
+  if (department) query.department = department;
+  if (designation) query.designation = designation;
+  if (search) query.$text = { $search: search };
+
+  const { docs: faculty, meta } = await paginate(Faculty, applyScope(req, query), req, {
+    sort: { name: 1 },
+    populate: [{ path: 'department', select: 'name code' }],
+  });
+
+  if (req.accepts('json')) return res.json({ data: faculty, meta });
+  const departments = await Department.find(applyScope(req, {}, '_id')).select('name code').sort({ name: 1 }).lean();
+  res.render('faculty/index', { title: 'Faculty', faculty, departments, designations: Faculty.DESIGNATIONS, pagination: meta, filters: { department: department||'', designation: designation||'', search: search||'' } });
+});
+
+// Single faculty member with the modules they teach and departments they head
+const getFacultyMember = asyncHandler(async (req, res) => {
+  const member = await Faculty.findById(req.params.id).populate('department', 'name code').populate('user', 'email role isActive');
+  if (!member) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Faculty member not found' });
+    req.flash('error', 'Faculty member not found');
+    return res.redirect('/faculty');
+  }
+  const [modules, headOf] = await Promise.all([
+    Module.find({ lecturers: member._id }).select('name code semester course').populate('course', 'name code').sort({ code: 1 }),
+    Department.find({ headOfDepartment: member._id }).select('name code'),
+  ]);
+  if (req.accepts('json')) return res.json({ ...member.toJSON(), modules, headOf });
+  res.render('faculty/show', { title: member.name, member, modules, headOf });
+});
+
+// New form
+const showNewFacultyForm = asyncHandler(async (req, res) => {
+  const departments = await Department.find(applyScope(req, { isActive: true }, '_id')).sort({ name: 1 });
+  res.render('faculty/new', { title: 'Add Faculty', departments, designations: Faculty.DESIGNATIONS });
+});
+
+// Create
+const createFaculty = asyncHandler(async (req, res) => {
+  const { name, email, employeeId, designation, department, phone, office, specialisations, userEmail } = req.body;
+  if (!inScope(req, department)) return denyOutOfScope(req, res, '/faculty/new');
+  if (email || employeeId) {
+    const or = [];
+    if (email) or.push({ email: email.toLowerCase() });
+    if (employeeId) or.push({ employeeId: employeeId.toUpperCase() });
+    const exists = await Faculty.findOne({ $or: or }).withDeleted();
+    if (exists) {
+      if (req.accepts('json')) return res.status(400).json({ message: 'Email or Employee ID already exists' });
+      req.flash('error', 'Email or Employee ID already exists');
+      return res.redirect('/faculty/new');
+    }
+  }
+  const { userId, error } = await resolveLinkedUser(userEmail);
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect('/faculty/new');
+  }
+
+  const member = await Faculty.create({
+    name,
+    email: email || undefined,
+    employeeId: employeeId || undefined,
+    designation,
+    department,
+    phone,
+    office,
+    specialisations: toList(specialisations),
+    user: userId,
+  });
+  if (req.accepts('json')) return res.status(201).json(member);
+  req.flash('success', 'Faculty member created');
+  res.redirect(`/faculty/${member._id}`);
+});
+
+// Edit form
+const showEditFacultyForm = asyncHandler(async (req, res) => {
+  const [member, departments] = await Promise.all([
+    Faculty.findById(req.params.id).populate('user', 'email'),
+    Department.find(applyScope(req, { isActive: true }, '_id')).sort({ name: 1 }),
+  ]);
+  if (!member) {
+    req.flash('error', 'Faculty member not found');
+    return res.redirect('/faculty');
+  }
+  if (!inScope(req, member.department)) return denyOutOfScope(req, res, `/faculty/${member._id}`);
+  res.render('faculty/edit', { title: 'Edit Faculty', member, departments, designations: Faculty.DESIGNATIONS });
+});
+
+// Update
+const updateFaculty = asyncHandler(async (req, res) => {
+  const { name, email, employeeId, designation, department, phone, office, specialisations, userEmail, isActive } = req.body;
+  const member = await Faculty.findById(req.params.id);
+  if (!member) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Faculty member not found' });
+    req.flash('error', 'Faculty member not found');
+    return res.redirect('/faculty');
+  }
+  if (!inScope(req, member.department) || !inScope(req, department)) {
+    return denyOutOfScope(req, res, `/faculty/${member._id}`);
+  }
+  if (email || employeeId) {
+    const or = [];
+    if (email) or.push({ email: email.toLowerCase() });
+    if (employeeId) or.push({ employeeId: employeeId.toUpperCase() });
+    const exists = await Faculty.findOne({ _id: { $ne: member._id }, $or: or }).withDeleted();
+    if (exists) {
+      if (req.accepts('json')) return res.status(400).json({ message: 'Email or Employee ID already exists' });
+      req.flash('error', 'Email or Employee ID already exists');
+      return res.redirect(`/faculty/${member._id}/edit`);
+    }
+  }
+  const { userId, error } = await resolveLinkedUser(userEmail, member._id);
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/faculty/${member._id}/edit`);
+  }
+
+  member.name = name;
+  member.email = email || undefined;
+  member.employeeId = employeeId || undefined;
+  member.designation = designation || member.designation;
+  member.department = department;
+  member.phone = phone;
+  member.office = office;
+  member.specialisations = toList(specialisations);
+  if (userEmail !== undefined) member.user = userId;
+  member.isActive = isActive === 'on' || isActive === true;
+  const updated = await member.save();
+
+  if (req.accepts('json')) return res.json(updated);
+  req.flash('success', 'Faculty member updated');
+  res.redirect(`/faculty/${updated._id}`);
+});
+
+// Delete (archived to the recycle bin) — only once nothing references the faculty member; otherwise deactivate
+const deleteFaculty = asyncHandler(async (req, res) => {
+  const member = await Faculty.findById(req.params.id);
+  if (!member) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Faculty member not found' });
+    req.flash('error', 'Faculty member not found');
+    return res.redirect('/faculty');
+  }
+  if (!inScope(req, member.department)) return denyOutOfScope(req, res, `/faculty/${member._id}`);
+  const [teaching, heading] = await Promise.all([
+    Module.exists({ lecturers: member._id }),
+    Department.exists({ headOfDepartment: member._id }),
+  ]);
+  if (teaching || heading) {
+    const message = 'Cannot delete a faculty member who teaches modules or heads a department';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(`/faculty/${member._id}`);
+  }
+  await member.softDelete(req.session.user._id);
+  if (req.accepts('json')) return res.json({ message: 'Faculty member moved to the recycle bin' });
+  req.flash('success', 'Faculty member moved to the recycle bin');
+  res.redirect('/faculty');
+});
+
+// GET /portal/teaching — modules taught by the logged-in faculty member
+const getMyModules = asyncHandler(async (req, res) => {
+  const member = await Faculty.findOne({ user: req.session.user._id, isActive: true });
+  if (!member) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'No faculty record is linked to your account' });
+    req.flash('error', 'No faculty record is linked to your account');
+    return res.redirect('/');
+  }
+  const modules = await Module.find({ lecturers: member._id })
+    .populate('course', 'name code')
+    .sort({ semester: 1, code: 1 });
+  if (req.accepts('json')) return res.json(modules);
+  res.render('portal/teaching', { title: 'My Modules', member, modules });
+});
+
+module.exports = {
+  getFacultyList,
+  getFacultyMember,
+  showNewFacultyForm,
+  createFaculty,
+  showEditFacultyForm,
+  updateFaculty,
+  deleteFaculty,
+  getMyModules,
+};
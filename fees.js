@@ -0,0 +1,204 @@
+const Invoice = require('../models/Invoice');
+const Student = require('../models/Student');
+const ScholarshipAward = require('../models/ScholarshipAward');
+const { round2 } = require('./grading');
+const { buildTranscript } = require('./transcript');
+
+// A money amount from a form or JSON body, rounded to cents; NaN when it is not a number
+const toAmount = (value) => {
+  const n = typeof value === 'number' ? value : parseFloat(String(value || '').replace(/,/g, ''));
+  return Number.isFinite(n) ? round2(n) : NaN;
+};
+
+const toList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Extra charges from a request body: either `charges` as [{ description, amount }] (JSON) or the
+ * parallel form fields `chargeDescription` and `chargeAmount`. Blank rows are skipped.
+ * Returns { charges, error }.
+ */
+function parseCharges(body = {}) {
+  const rows = Array.isArray(body.charges)
+    ? body.charges
+    : toList(body.chargeDescription).map((description, i) => ({ description, amount: toList(body.chargeAmount)[i] }));
+  const charges = [];
+  for (const row of rows) {
+    const description = String((row && row.description) || '').trim();
+    if (!description && !(row && row.amount)) continue;
+    const amount = toAmount(row.amount);
+    if (!description) return { charges, error: 'Every charge needs a description' };
+    if (!(amount > 0)) return { charges, error: `Charge "${description}" needs a positive amount` };
+    charges.push({ description, amount });
+  }
+  return { charges, error: null };
+}
+
+const discountLine = (award, amount) => ({
+  kind: 'discount',
+  description: `Scholarship: ${award.scholarship.name}`,
+  amount,
+  scholarship: award.scholarship._id,
+  award: award._id,
+});
+
+/**
+ * Discount lines for the scholarships a student holds for `term`, oldest award first. Eligibility
+ * is checked again for every term, so an award lapses while the student falls below its minimum
+ * CGPA. The discounts together never exceed the tuition.
+ */
+async function scholarshipDiscounts(student, term, tuition) {
+  const awards = (await ScholarshipAward.inEffectFor(student._id, term))
+    .filter((a) => a.scholarship && a.scholarship.isActive)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  if (!awards.length) return [];
+  const needsCgpa = awards.some((a) => typeof (a.scholarship.eligibility || {}).minCgpa === 'number');
+  const cgpa = needsCgpa ? (await buildTranscript(student)).cgpa : null;
+
+  const lines = [];
+  let remaining = tuition;
+  awards.forEach(({ _id, scholarship }) => {
+    if (scholarship.eligibilityProblems(student, cgpa).length) return;
+    const amount = Math.min(scholarship.discountOn(tuition), round2(remaining));
+    if (amount <= 0) return;
+    remaining -= amount;
+    lines.push(discountLine({ _id, scholarship }, amount));
+  });
+  return lines;
+}
+
+/**
+ * Add the discount of a just-approved `award` to the student's issued invoices for terms it covers
+ * that have not ended, so an award approved after invoicing still reaches the current bill. The
+ * discount is worked out by scholarshipDiscounts, with the same active-scheme and eligibility checks
+ * as a new invoice; past terms are left alone because eligibility then cannot be checked. It never
+ * takes an invoice below what has been paid or is pending, as there is no credit to refund from.
+ * Returns { updated: [invoice], skipped: [{ number, reason }] }.
+ */
+async function applyAwardToIssuedInvoices(award) {
+  const student = await Student.findById(award.student._id || award.student);
+  const invoices = await Invoice.find({
+    student: student._id,
+    status: 'issued',
+    'lines.award': { $ne: award._id },
+  }).populate('term', 'year term startDate endDate');
+  const covered = invoices.filter(
+    ({ term }) => term && term.startDate >= award.startsOn && (!award.endsOn || term.startDate <= award.endsOn)
+  );
+  const updated = [];
+  const skipped = [];
+  const now = new Date();
+  for (const issued of covered) {
+    const skip = (reason) => skipped.push({ number: issued.number, reason });
+    if (issued.term.endDate < now) {
+      skip('The term has ended');
+      continue;
+    }
+    const tuition = issued.lines.filter((l) => l.kind === 'tuition').reduce((total, l) => total + l.amount, 0);
+    const lines = await scholarshipDiscounts(student, issued.term, tuition);
+    const line = lines.find((l) => String(l.award) === String(award._id));
+    if (!line) {
+      skip('Not eligible for this term');
+      continue;
+    }
+    let invoice = issued;
+    while (invoice) {
+      const discounted = invoice.lines.filter((l) => l.kind === 'discount').reduce((total, l) => total + l.amount, 0);
+      const amount = Math.min(line.amount, round2(tuition - discounted), invoice.payable);
+      if (!(amount > 0)) {
+        skip(invoice.payable > 0 ? 'Discounts already cover the tuition' : 'Already paid');
+        break;
+      }
+      // Conditional on the amounts just read, so a concurrent line or payment cannot push the
+      // discounts past the tuition or the total below what has been paid
+      const changed = await Invoice.findOneAndUpdate(
+        {
+          _id: invoice._id,
+          status: 'issued',
+          total: invoice.total,
+          amountPaid: invoice.amountPaid,
+          amountPending: invoice.amountPending,
+          'lines.award': { $ne: award._id },
+        },
+        { $push: { lines: { ...line, amount } }, $inc: { total: -amount } },
+        { new: true }
+      );
+      if (changed) {
+        updated.push(changed);
+        break;
+      }
+      invoice = await Invoice.findOne({ _id: invoice._id, status: 'issued', 'lines.award': { $ne: award._id } });
+    }
+  }
+  return { updated, skipped };
+}
+
+/**
+ * Invoice lines for a student for one term: tuition, scholarship discounts on the tuition, then
+ * any extra charges. A course's `fee` is its tuition for one academic term.
+ */
+async function invoiceLines(student, course, term, charges = []) {
+  return [
+    { kind: 'tuition', description: `Tuition: ${course.name} (${course.code}), ${term.name}`, amount: course.fee },
+    ...(await scholarshipDiscounts(student, term, course.fee)),
+    ...charges.map((c) => ({ kind: 'charge', description: c.description, amount: c.amount })),
+  ];
+}
+
+/**
+ * Issue invoices for `term` to every active student matching `filter` that has none for the term
+ * yet. Due on the term's start unless `dueDate` is given.
+ * Returns { created: [invoice], skipped: [{ student, reason }] }.
+ */
+async function generateInvoices(term, filter, { charges = [], dueDate, issuedBy } = {}) {
+  const students = await Student.find({ ...filter, status: 'active' })
+    .populate('course', 'name code fee')
+    .sort({ rollNumber: 1 });
+  const invoiced = new Set(
+    (await Invoice.find({ term: term._id, student: { $in: students.map((s) => s._id) } }).select('student')).map((i) =>
+      String(i.student)
+    )
+  );
+
+  const created = [];
+  const skipped = [];
+  const skip = (student, reason) => skipped.push({ student: { _id: student._id, name: student.name, rollNumber: student.rollNumber }, reason });
+  for (const student of students) {
+    if (invoiced.has(String(student._id))) {
+      skip(student, 'Already invoiced for this term');
+      continue;
+    }
+    // Archived courses are hidden from populate
+    if (!student.course) {
+      skip(student, 'Course not found');
+      continue;
+    }
+    try {
+      created.push(
+        await Invoice.create({
+          number: Invoice.numberFor(term, student),
+          student: student._id,
+          term: term._id,
+          course: student.course._id,
+          department: student.department,
+          lines: await invoiceLines(student, student.course, term, charges),
+          dueDate: dueDate || term.startDate,
+          issuedBy,
+        })
+      );
+    } catch (err) {
+      // Invoiced by a concurrent run
+      if (err && err.code === 11000) skip(student, 'Already invoiced for this term');
+      else throw err;
+    }
+  }
+  return { created, skipped };
+}
+
+module.exports = {
+  toAmount,
+  parseCharges,
+  scholarshipDiscounts,
+  applyAwardToIssuedInvoices,
+  invoiceLines,
+  generateInvoices,
+};
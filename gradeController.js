@@ -0,0 +1,200 @@
+const asyncHandler = require('express-async-handler');
+const Mark = require('../models/Mark');
+const Module = require('../models/Module');
+const Student = require('../models/Student');
+const Department = require('../models/Department');
+const { readSheet } = require('../utils/spreadsheet');
+const { inScope, denyOutOfScope } = require('../utils/departmentScope');
+const { weightedComponents, computeModuleResult } = require('../utils/grading');
+
+// Students of the module's course plus anyone who already has marks for it
+const loadGradebook = async (module) => {
+  const [marks, department] = await Promise.all([
+    Mark.find({ module: module._id }).lean(),
+    Department.findById(module.department).select('gradeBoundaries'),
+  ]);
+  const markedIds = [...new Set(marks.map((m) => String(m.student)))];
+  const students = await Student.find({ $or: [{ course: module.course }, { _id: { $in: markedIds } }] })
+    .select('name email rollNumber status')
+    .sort({ rollNumber: 1 });
+
+  const boundaries = department && department.gradeBoundaries;
+  const rows = students.map((student) => {
+    const own = marks.filter((m) => String(m.student) === String(student._id));
+    return { student, result: computeModuleResult(module, own, boundaries) };
+  });
+  return { rows, boundaries };
+};
+
+// Validate one mark entry; returns an error message or null
+const checkMarkEntry = (module, studentIds, { student, component, score, maxScore }) => {
+  if (!studentIds.has(String(student))) return 'Student is not part of this module\'s course';
+  if (!weightedComponents(module.assessmentMethods).includes(component)) {
+    return `${component} is not assessed in ${module.code}`;
+  }
+  if (!Number.isFinite(score) || score < 0) return 'Score must be a non-negative number';
+  if (!Number.isFinite(maxScore) || maxScore < 1) return 'Maximum marks must be at least 1';
+  if (score > maxScore) return 'Score cannot exceed the maximum marks';
+  return null;
+};
+
+const toUpsert = (module, userId) => ({ student, component, score, maxScore, remarks }) => ({
+  updateOne: {
+    filter: { student, module: module._id, component },
+    update: { $set: { score, maxScore, remarks, recordedBy: userId } },
+    upsert: true,
+  },
+});
+
+// Accepts a JSON array [{ student, component, score, maxScore, remarks }] or the gradebook form's
+// marks[<studentId>][<component>]=score shape. Blank form cells are skipped.
+const normalizeMarkEntries = (marks, defaultMax) => {
+  const list = Array.isArray(marks)
+    ? marks
+    : Object.entries(marks || {}).flatMap(([student, byComponent]) =>
+        Object.entries(byComponent || {}).map(([component, score]) => ({ student, component, score }))
+      );
+  return list
+    .filter((m) => m && m.score !== '' && m.score !== undefined && m.score !== null)
+    .map((m) => ({
+      student: String(m.student),
+      component: m.component,
+      score: parseFloat(m.score),
+      maxScore: m.maxScore !== undefined && m.maxScore !== '' ? parseFloat(m.maxScore) : defaultMax,
+      remarks: m.remarks,
+    }));
+};
+
+// GET /modules/:id/grades — teachesModule('grades:write')
+const getModuleGradebook = asyncHandler(async (req, res) => {
+  const module = await Module.findById(req.params.id).populate('course', 'name code');
+  if (!module) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Module not found' });
+    req.flash('error', 'Module not found');
+    return res.redirect('/modules');
+  }
+  if (!inScope(req, module.department)) return denyOutOfScope(req, res, '/modules');
+  const { rows, boundaries } = await loadGradebook(module);
+  const components = weightedComponents(module.assessmentMethods);
+
+  if (req.accepts('json')) return res.json({ module, components, boundaries, students: rows });
+  res.render('grades/module', { title: `${module.code} Gradebook`, module, components, boundaries, rows });
+});
+
+// POST /modules/:id/grades { marks, maxScore } — teachesModule('grades:write')
+const recordMarks = asyncHandler(async (req, res) => {
+  const module = await Module.findById(req.params.id);
+  if (!module) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Module not found' });
+    req.flash('error', 'Module not found');
+    return res.redirect('/modules');
+  }
+  if (!inScope(req, module.department)) return denyOutOfScope(req, res, '/modules');
+  const entries = normalizeMarkEntries(req.body.marks, parseFloat(req.body.maxScore) || 100);
+  if (entries.length === 0) {
+    if (req.accepts('json')) return res.status(400).json({ message: 'No marks submitted' });
+    req.flash('error', 'No marks submitted');
+    return res.redirect(`/modules/${module._id}/grades`);
+  }
+
+  const studentIds = new Set(
+    (await Student.find({ course: module.course }).select('_id')).map((s) => String(s._id))
+  );
+  const errors = entries
+    .map((entry, index) => ({ index, student: entry.student, component: entry.component, error: checkMarkEntry(module, studentIds, entry) }))
+    .filter((e) => e.error);
+  if (errors.length) {
+    if (req.accepts('json')) return res.status(400).json({ message: 'Some marks are invalid; nothing was saved', errors });
+    req.flash('error', `Some marks are invalid; nothing was saved (${errors[0].error})`);
+    return res.redirect(`/modules/${module._id}/grades`);
+  }
+
+  await Mark.bulkWrite(entries.map(toUpsert(module, req.session.user._id)));
+
+  if (req.accepts('json')) return res.json({ message: 'Marks saved', saved: entries.length });
+  req.flash('success', `${entries.length} marks saved`);
+  res.redirect(`/modules/${module._id}/grades`);
+});
+
+// POST /modules/:id/grades/upload (multipart field "file") — teachesModule('grades:write')
+// Columns: Roll Number, then one column per component (Exam, Coursework, Practical), optional Max Marks.
+// Dry-run by default; mode=commit saves all rows or none.
+const uploadMarks = asyncHandler(async (req, res) => {
+  const commit = req.body.mode === 'commit';
+  const module = await Module.findById(req.params.id);
+  if (!module) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Module not found' });
+    req.flash('error', 'Module not found');
+    return res.redirect('/modules');
+  }
+  if (!inScope(req, module.department)) return denyOutOfScope(req, res, '/modules');
+  if (!req.file) {
+    if (req.accepts('json')) return res.status(400).json({ message: 'Please upload a CSV or XLSX file' });
+    req.flash('error', 'Please upload a CSV or XLSX file');
+    return res.redirect(`/modules/${module._id}/grades`);
+  }
+
+  let sheet;
+  try {
+    sheet = await readSheet(req.file.buffer, { filename: req.file.originalname, mimetype: req.file.mimetype });
+  } catch (err) {
+    if (req.accepts('json')) return res.status(400).json({ message: 'Could not read the uploaded file' });
+    req.flash('error', 'Could not read the uploaded file');
+    return res.redirect(`/modules/${module._id}/grades`);
+  }
+
+  const students = await Student.find({ course: module.course }).select('rollNumber');
+  const byRoll = new Map(students.map((s) => [s.rollNumber, s]));
+  const studentIds = new Set(students.map((s) => String(s._id)));
+  const components = weightedComponents(module.assessmentMethods);
+  const key = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+  const report = [];
+  const entries = [];
+  sheet.rows.forEach(({ line, values }) => {
+    const cells = {};
+    Object.entries(values).forEach(([header, value]) => {
+      cells[key(header)] = value;
+    });
+    const rollNumber = (cells.rollnumber || cells.rollno || '').toUpperCase();
+    const student = byRoll.get(rollNumber);
+    const maxScore = cells.maxmarks ? parseFloat(cells.maxmarks) : 100;
+    const errors = [];
+    const rowEntries = [];
+    if (!rollNumber) errors.push('Roll Number is required');
+    else if (!student) errors.push(`Roll Number ${rollNumber} is not in this module's course`);
+
+    components.forEach((component) => {
+      if (cells[component] === undefined || cells[component] === '' || !student) return;
+      const entry = { student: String(student._id), component, score: parseFloat(cells[component]), maxScore };
+      const error = checkMarkEntry(module, studentIds, entry);
+      if (error) errors.push(`${component}: ${error}`);
+      else rowEntries.push(entry);
+    });
+    if (student && rowEntries.length === 0 && errors.length === 0) errors.push('No marks in this row');
+
+    report.push({ line, rollNumber: rollNumber || null, valid: errors.length === 0, errors });
+    if (errors.length === 0) entries.push(...rowEntries);
+  });
+
+  const invalid = report.filter((r) => !r.valid).length;
+  const summary = { mode: commit ? 'commit' : 'dry-run', total: report.length, valid: report.length - invalid, invalid };
+  const failed = invalid > 0 || report.length === 0;
+
+  if (!commit || failed) {
+    const status = commit && failed ? 400 : 200;
+    const message = commit && failed ? 'Upload rejected: fix the errors and upload again' : undefined;
+    if (req.accepts('json')) return res.status(status).json({ message, summary, rows: report });
+    if (message) req.flash('error', message);
+    return res.status(status).render('grades/upload', { title: `${module.code} Marks Upload`, module, summary, rows: report });
+  }
+
+  await Mark.bulkWrite(entries.map(toUpsert(module, req.session.user._id)));
+
+  summary.saved = entries.length;
+  if (req.accepts('json')) return res.json({ summary, rows: report });
+  req.flash('success', `${entries.length} marks saved`);
+  res.redirect(`/modules/${module._id}/grades`);
+});
+
+module.exports = { getModuleGradebook, recordMarks, uploadMarks };
@@ -0,0 +1,85 @@
+// Assessment components, matching the keys of Module.assessmentMethods
+const COMPONENTS = ['exam', 'coursework', 'practical'];
+
+// Default 10-point scale, used when a department has not configured its own boundaries
+const DEFAULT_GRADE_BOUNDARIES = [
+  { letter: 'O', minPercent: 90, gradePoints: 10 },
+  { letter: 'A+', minPercent: 80, gradePoints: 9 },
+  { letter: 'A', minPercent: 70, gradePoints: 8 },
+  { letter: 'B+', minPercent: 60, gradePoints: 7 },
+  { letter: 'B', minPercent: 50, gradePoints: 6 },
+  { letter: 'C', minPercent: 45, gradePoints: 5 },
+  { letter: 'P', minPercent: 40, gradePoints: 4 },
+  { letter: 'F', minPercent: 0, gradePoints: 0 },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Components that actually count towards a module's result
+const weightedComponents = (assessmentMethods = {}) =>
+  COMPONENTS.filter((component) => (Number(assessmentMethods[component]) || 0) > 0);
+
+// Highest boundary whose minPercent the score reaches; a grade with 0 points is a fail
+function gradeFor(percent, boundaries) {
+  const scale = (boundaries && boundaries.length ? boundaries : DEFAULT_GRADE_BOUNDARIES)
+    .slice()
+    .sort((a, b) => b.minPercent - a.minPercent);
+  const band = scale.find((b) => percent >= b.minPercent) || scale[scale.length - 1];
+  return { letter: band.letter, gradePoints: band.gradePoints, passed: band.gradePoints > 0 };
+}
+
+/**
+ * Weighted module total from component marks.
+ * marks: [{ component, score, maxScore }] for one student and module.
+ * The result is only graded once every weighted component has a mark. Weights are taken relative
+ * to their sum, so modules saved before weights had to add up to 100 still score out of 100.
+ */
+function computeModuleResult(module, marks, boundaries) {
+  const weights = module.assessmentMethods || {};
+  const components = {};
+  const missing = [];
+  let total = 0;
+  const counted = weightedComponents(weights);
+  const weightSum = counted.reduce((sum, component) => sum + Number(weights[component]), 0);
+
+  counted.forEach((component) => {
+    const mark = marks.find((m) => m.component === component);
+    if (!mark) {
+      missing.push(component);
+      return;
+    }
+    const percent = (mark.score / mark.maxScore) * 100;
+    components[component] = { score: mark.score, maxScore: mark.maxScore, percent: round2(percent) };
+    total += (percent * weights[component]) / weightSum;
+  });
+
+  const complete = missing.length === 0;
+  const result = { total: round2(total), complete, missing, components, letter: null, gradePoints: null, passed: null };
+  if (complete) Object.assign(result, gradeFor(result.total, boundaries));
+  return result;
+}
+
+// Validate a department's boundary list; returns an error message or null
+function validateGradeBoundaries(boundaries) {
+  if (!Array.isArray(boundaries) || boundaries.length === 0) return 'At least one grade boundary is required';
+  const letters = new Set();
+  for (const b of boundaries) {
+    if (!b.letter) return 'Every grade boundary needs a letter';
+    if (letters.has(b.letter)) return `Grade ${b.letter} is defined more than once`;
+    letters.add(b.letter);
+    if (!(b.minPercent >= 0 && b.minPercent <= 100)) return `Minimum percent for ${b.letter} must be between 0 and 100`;
+    if (!(b.gradePoints >= 0 && b.gradePoints <= 10)) return `Grade points for ${b.letter} must be between 0 and 10`;
+  }
+  if (!boundaries.some((b) => b.minPercent === 0)) return 'One grade boundary must start at 0%';
+  return null;
+}
+
+module.exports = {
+  COMPONENTS,
+  DEFAULT_GRADE_BOUNDARIES,
+  round2,
+  weightedComponents,
+  gradeFor,
+  computeModuleResult,
+  validateGradeBoundaries,
+};
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const AcademicTerm = require('../models/AcademicTerm');
+const Department = require('../models/Department');
+const Student = require('../models/Student');
+const { paginate } = require('../utils/listQuery');
+const { scopeOf, inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+const { parseCharges, generateInvoices } = require('../utils/fees');
+
+const INVOICE_POPULATE = [
+  { path: 'student', select: 'name rollNumber' },
+  { path: 'term', select: 'year term' },
+  { path: 'department', select: 'name code' },
+];
+
+const objectIdOrNull = (value) => (mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(String(value)) : null);
+
+// Filters shared by the invoice list; ?outstanding=1 keeps invoices with something left to pay
+const buildInvoiceFilter = ({ term, department, student, status, outstanding }) => {
+  const query = {};
+  if (term) query.term = term;
+  if (department) query.department = department;
+  if (student) query.student = student;
+  if (status) query.status = status;
+  if (outstanding) query.$expr = { $gt: [{ $subtract: ['$total', '$amountPaid'] }, Invoice.BALANCE_EPSILON] };
+  return query;
+};
+
+// Ledger entries of an invoice, oldest first
+const ledgerFor = (invoice) =>
+  Payment.find({ invoice: invoice._id }).populate('recordedBy', 'name email').sort({ createdAt: 1 });
+
+// Load the invoice in :id, applying department scope; null once a response is sent
+const loadInvoice = async (req, res) => {
+  const invoice = mongoose.isValidObjectId(req.params.id) ? await Invoice.findById(req.params.id).populate(INVOICE_POPULATE) : null;
+  if (!invoice) {
+    if (req.accepts('json')) res.status(404).json({ message: 'Invoice not found' });
+    else {
+      req.flash('error', 'Invoice not found');
+      res.redirect('/invoices');
+    }
+    return null;
+  }
+  if (!inScope(req, invoice.department)) {
+    denyOutOfScope(req, res, '/invoices');
+    return null;
+  }
+  return invoice;
+};
+
+// GET /invoices?term=&department=&student=&status=&outstanding=1 — requirePermission('finance:read')
+const getInvoices = asyncHandler(async (req, res) => {
+  const query = applyScope(req, buildInvoiceFilter(req.query));
+  const { docs: invoices, meta } = await paginate(Invoice, query, req, {
+    sort: { createdAt: -1 },
+    populate: INVOICE_POPULATE,
+  });
+  if (req.accepts('json')) return res.json({ data: invoices, meta });
+  const [terms, departments] = await Promise.all([
+    AcademicTerm.find().sort({ startDate: -1 }),
+    Department.find(applyScope(req, {}, '_id')).select('name code').sort({ name: 1 }).lean(),
+  ]);
+  res.render('invoices/index', { title: 'Invoices', invoices, terms, departments, pagination: meta, filters: req.query });
+});
+
+// GET /invoices/:id — the invoice with its payments ledger; requirePermission('finance:read')
+const getInvoice = asyncHandler(async (req, res) => {
+  const invoice = await loadInvoice(req, res);
+  if (!invoice) return;
+  const ledger = await ledgerFor(invoice);
+  if (req.accepts('json')) return res.json({ ...invoice.toJSON(), ledger });
+  res.render('invoices/show', { title: `Invoice ${invoice.number}`, invoice, ledger, methods: Payment.PAYMENT_METHODS });
+});
+
+// POST /invoices/generate { term, department, course, student, dueDate, charges } — requirePermission('finance:write').
+// Invoices every active student matching the filters who has no invoice for the term yet; the
+// extra charges are added to each invoice created.
+const generateTermInvoices = asyncHandler(async (req, res) => {
+  const { department, course, student, dueDate } = req.body;
+  const fail = (status, message) => {
+    if (req.accepts('json')) return res.status(status).json({ message });
+    req.flash('error', message);
+    return res.redirect('/invoices');
+  };
+  const term = mongoose.isValidObjectId(req.body.term) ? await AcademicTerm.findById(req.body.term) : null;
+  if (!term) return fail(400, 'Term not found');
+  if ([department, course, student].some((id) => id && !mongoose.isValidObjectId(id))) return fail(400, 'Invalid filter');
+  if (department && !inScope(req, department)) return denyOutOfScope(req, res, '/invoices');
+  const { charges, error } = parseCharges(req.body);
+  if (error) return fail(400, error);
+  const due = dueDate ? new Date(dueDate) : undefined;
+  if (due && Number.isNaN(due.getTime())) return fail(400, 'Invalid due date');
+
+  const filter = {};
+  if (department) filter.department = department;
+  if (course) filter.course = course;
+  if (student) filter._id = student;
+  const { created, skipped } = await generateInvoices(term, applyScope(req, filter), {
+    charges,
+    dueDate: due,
+    issuedBy: req.session.user._id,
+  });
+
+  if (req.accepts('json')) return res.status(created.length ? 201 : 200).json({ created, skipped });
+  req.flash('success', `Issued ${created.length} invoices for ${term.name} (${skipped.length} students skipped)`);
+  res.redirect(`/invoices?term=${term._id}`);
+});
+
+// POST /invoices/:id/charges { description, amount } — requirePermission('finance:write')
+const addCharge = asyncHandler(async (req, res) => {
+  const invoice = await loadInvoice(req, res);
+  if (!invoice) return;
+  const fail = (message) => {
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(`/invoices/${invoice._id}`);
+  };
+  const { charges, error } = parseCharges({ charges: [{ description: req.body.description, amount: req.body.amount }] });
+  if (error) return fail(error);
+  if (!charges.length) return fail('Every charge needs a description');
+  const [charge] = charges;
+
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'issued' },
+    {
+      $push: { lines: { kind: 'charge', ...charge, addedBy: req.session.user._id } },
+      $inc: { total: charge.amount },
+    },
+    { new: true }
+  );
+  if (!updated) return fail('Charges cannot be added to a void invoice');
+  if (req.accepts('json')) return res.status(201).json(updated);
+  req.flash('success', `Added ${charge.description}`);
+  res.redirect(`/invoices/${invoice._id}`);
+});
+
+// POST /invoices/:id/void { reason } — requirePermission('finance:write'). Only invoices with
+// nothing paid against them (after refunds) and no online payment still pending can be voided.
+const voidInvoice = asyncHandler(async (req, res) => {
+  const invoice = await loadInvoice(req, res);
+  if (!invoice) return;
+  const reason = String(req.body.reason || '').trim();
+  const fail = (message) => {
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(`/invoices/${invoice._id}`);
+  };
+  if (!reason) return fail('A reason is required to void an invoice');
+  const voided = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      status: 'issued',
+      amountPaid: { $lte: Invoice.BALANCE_EPSILON },
+      amountPending: { $lte: Invoice.BALANCE_EPSILON },
+    },
+    { $set: { status: 'void', voidedAt: Date.now(), voidedBy: req.session.user._id, voidReason: reason } },
+    { new: true }
+  );
+  if (!voided) {
+    const current = await Invoice.findById(invoice._id);
+    if (current.status === 'void') return fail('Invoice is already void');
+    if (current.amountPending > Invoice.BALANCE_EPSILON) {
+      return fail('An online payment on this invoice is still pending; reconcile it before voiding the invoice');
+    }
+    return fail('Refund the payments on this invoice before voiding it');
+  }
+  if (req.accepts('json')) return res.json(voided);
+  req.flash('success', `Invoice ${voided.number} voided`);
+  res.redirect(`/invoices/${invoice._id}`);
+});
+
+// GET /finance/outstanding?term= — invoiced, paid, pending and outstanding totals per department;
+// requirePermission('finance:read')
+const getOutstandingReport = asyncHandler(async (req, res) => {
+  const match = {};
+  const term = req.query.term ? objectIdOrNull(req.query.term) : null;
+  if (req.query.term && !term) {
+    if (req.accepts('json')) return res.status(400).json({ message: 'Term not found' });
+    req.flash('error', 'Term not found');
+    return res.redirect('/finance/outstanding');
+  }
+  if (term) match.term = term;
+  const scope = scopeOf(req);
+  if (scope) match.department = { $in: scope.map(objectIdOrNull) };
+
+  const rows = await Invoice.outstandingByDepartment(match);
+  const totals = rows.reduce(
+    (sum, r) => ({
+      invoices: sum.invoices + r.invoices,
+      unpaidInvoices: sum.unpaidInvoices + r.unpaidInvoices,
+      invoiced: Math.round((sum.invoiced + r.invoiced) * 100) / 100,
+      paid: Math.round((sum.paid + r.paid) * 100) / 100,
+      pending: Math.round((sum.pending + r.pending) * 100) / 100,
+      outstanding: Math.round((sum.outstanding + r.outstanding) * 100) / 100,
+    }),
+    { invoices: 0, unpaidInvoices: 0, invoiced: 0, paid: 0, pending: 0, outstanding: 0 }
+  );
+  if (req.accepts('json')) return res.json({ data: rows, totals });
+  const terms = await AcademicTerm.find().sort({ startDate: -1 });
+  res.render('finance/outstanding', { title: 'Outstanding Balances', rows, totals, terms, filters: { term: req.query.term || '' } });
+});
+
+const myStudent = (req) => Student.findOne({ user: req.session.user._id });
+
+// GET /portal/invoices — the logged-in student's invoices
+const getMyInvoices = asyncHandler(async (req, res) => {
+  const student = await myStudent(req);
+  if (!student) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'No student record is linked to your account' });
+    req.flash('error', 'No student record is linked to your account');
+    return res.redirect('/');
+  }
+  const invoices = await Invoice.find({ student: student._id }).populate('term', 'year term').sort({ createdAt: -1 });
+  if (req.accepts('json')) return res.json(invoices);
+  res.render('portal/invoices', { title: 'My Invoices', invoices });
+});
+
+// GET /portal/invoices/:id — one of the logged-in student's invoices with its ledger
+const getMyInvoice = asyncHandler(async (req, res) => {
+  const student = await myStudent(req);
+  const invoice =
+    student && mongoose.isValidObjectId(req.params.id)
+      ? await Invoice.findOne({ _id: req.params.id, student: student._id }).populate('term', 'year term')
+      : null;
+  if (!invoice) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Invoice not found' });
+    req.flash('error', 'Invoice not found');
+    return res.redirect('/portal/invoices');
+  }
+  const ledger = await Payment.find({ invoice: invoice._id }).select('-recordedBy').sort({ createdAt: 1 });
+  if (req.accepts('json')) return res.json({ ...invoice.toJSON(), ledger });
+  res.render('portal/invoice', { title: `Invoice ${invoice.number}`, invoice, ledger });
+});
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  generateTermInvoices,
+  addCharge,
+  voidInvoice,
+  getOutstandingReport,
+  getMyInvoices,
+  getMyInvoice,
+};
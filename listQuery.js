@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Dropdown choices rendered with a form before the user has to search
+const OPTION_LIMIT = 50;
+
+// Schema paths backed by an index (plus _id); only these are offered for sorting
+function indexedPaths(schema) {
+  const paths = new Set(['_id']);
+  schema.eachPath((path, type) => {
+    if (type.options && (type.options.index || type.options.unique)) paths.add(path);
+  });
+  schema.indexes().forEach(([fields]) => {
+    Object.keys(fields).forEach((field) => {
+      if (fields[field] !== 'text') paths.add(field);
+    });
+  });
+  return paths;
+}
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+// Literal text for a $regex filter built from user input
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Upper bound for a ?to= date filter; a bare date (YYYY-MM-DD) covers that whole day
+const endOf = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+
+// Parse ?page=&limit=&sort=&fields= against a schema. Unknown or unsortable fields are ignored.
+function parseListOptions(schema, query = {}, { defaultSort = { createdAt: -1 }, exclude = [] } = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  const sortable = indexedPaths(schema);
+  Object.keys(defaultSort).forEach((field) => sortable.add(field));
+  const sort = {};
+  splitList(query.sort).forEach((token) => {
+    const desc = token.startsWith('-');
+    const field = desc ? token.slice(1) : token.replace(/^\+/, '');
+    if (sortable.has(field)) sort[field] = desc ? -1 : 1;
+  });
+  if (Object.keys(sort).length === 0) Object.assign(sort, defaultSort);
+  // Tie-break on _id so pages are stable when the sort key is not unique
+  if (!sort._id) sort._id = 1;
+
+  const fields = splitList(query.fields).filter(
+    (field) => !exclude.includes(field) && schema.pathType(field) !== 'adhocOrUndefined'
+  );
+  const select = fields.length ? fields.join(' ') : null;
+
+  return { page, limit, skip: (page - 1) * limit, sort, select };
+}
+
+// Rebuild the current URL with a different page number
+function pageLink(req, page) {
+  const params = new URLSearchParams();
+  Object.entries(req.query || {}).forEach(([key, value]) => {
+    if (key === 'page') return;
+    [].concat(value).forEach((v) => {
+      if (typeof v === 'string' || typeof v === 'number') params.append(key, v);
+    });
+  });
+  params.set('page', page);
+  return `${req.baseUrl || ''}${req.path}?${params.toString()}`;
+}
+
+function buildPageMeta(req, { page, limit, total }) {
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    total,
+    page,
+    limit,
+    pages,
+    next: page < pages ? pageLink(req, page + 1) : null,
+    prev: page > 1 ? pageLink(req, Math.min(page - 1, pages)) : null,
+  };
+}
+
+// Run a paginated find and return { docs, meta } for both JSON envelopes and EJS views
+async function paginate(Model, filter, req, { sort, populate = [], exclude = [] } = {}) {
+  const { page, limit, skip, sort: sortBy, select } = parseListOptions(Model.schema, req.query, {
+    defaultSort: sort,
+    exclude,
+  });
+
+  let docsQuery = Model.find(filter).sort(sortBy).skip(skip).limit(limit);
+  if (select) docsQuery = docsQuery.select(select);
+  else if (exclude.length) docsQuery = docsQuery.select(exclude.map((f) => `-${f}`).join(' '));
+  populate.forEach((p) => {
+    docsQuery = docsQuery.populate(p);
+  });
+
+  const [docs, total] = await Promise.all([docsQuery, Model.countDocuments(filter)]);
+  return { docs, meta: buildPageMeta(req, { page, limit, total }) };
+}
+
+/**
+ * Choices for a form dropdown without loading the whole collection: the first OPTION_LIMIT
+ * documents matching `filter`, narrowed by ?<param>= (case-insensitive, on `searchFields`), plus
+ * the `selected` ids so the value a form already holds is always listed. Returns
+ * { options, more, search }; `more` means matches were left out and the form should offer a search.
+ */
+async function dropdownOptions(
+  Model,
+  filter,
+  req,
+  { param, selected, select = 'name code', searchFields = ['name', 'code'], sort = { name: 1 } }
+) {
+  const search = String(req.query[param] || '').trim();
+  const pattern = { $regex: escapeRegex(search), $options: 'i' };
+  const query = search ? { $and: [filter, { $or: searchFields.map((field) => ({ [field]: pattern })) }] } : filter;
+  const ids = [].concat(selected || []).map(String).filter((id) => mongoose.isValidObjectId(id));
+
+  const [found, current] = await Promise.all([
+    Model.find(query).select(select).sort(sort).limit(OPTION_LIMIT + 1).lean(),
+    ids.length ? Model.find({ $and: [filter, { _id: { $in: ids } }] }).select(select).lean() : [],
+  ]);
+  const options = found.slice(0, OPTION_LIMIT);
+  const listed = new Set(options.map((o) => String(o._id)));
+  current.forEach((doc) => {
+    if (!listed.has(String(doc._id))) options.push(doc);
+  });
+  return { options, more: found.length > OPTION_LIMIT, search };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  OPTION_LIMIT,
+  parseListOptions,
+  buildPageMeta,
+  paginate,
+  dropdownOptions,
+  escapeRegex,
+  endOf,
+};
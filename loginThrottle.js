@@ -0,0 +1,152 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Brute-force protection for login. Failed attempts are counted per account (on the User) and per
+ * IP address (LoginThrottle); an account's count starts again after a quiet spell and an address's
+ * with each new window. Reaching the limit locks the account or blocks the address for a while;
+ * each further lockout in a row doubles the time, up to a maximum. Lockouts and unlocks are
+ * recorded as SecurityEvents.
+ */
+
+const minutes = (name, fallback) => (parseInt(process.env[name]) || fallback) * 60 * 1000;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+// Failures further apart than this do not add up towards an account lockout
+const ACCOUNT_WINDOW_MS = minutes('LOGIN_FAILURE_WINDOW_MINUTES', 15);
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const IP_WINDOW_MS = minutes('LOGIN_IP_WINDOW_MINUTES', 15);
+const LOCKOUT_MS = minutes('LOGIN_LOCKOUT_MINUTES', 15);
+const MAX_LOCKOUT_MS = minutes('LOGIN_LOCKOUT_MAX_MINUTES', 24 * 60);
+// An address's record, and with it its block count, is forgotten after a day without failures
+const IP_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Lockout length for the nth lockout in a row
+const lockoutDuration = (offence) => Math.min(LOCKOUT_MS * 2 ** Math.max(offence - 1, 0), MAX_LOCKOUT_MS);
+
+// "Try again in 15 minutes"
+const retryMessage = (until) => {
+  const mins = Math.max(Math.ceil((new Date(until).getTime() - Date.now()) / 60000), 1);
+  return `Try again in ${mins} minute${mins === 1 ? '' : 's'}`;
+};
+
+// Until when the address is blocked, or null
+async function ipBlockedUntil(ip) {
+  const record = await LoginThrottle.findOne({ ip, blockedUntil: { $gt: new Date() } }).select('blockedUntil');
+  return record ? record.blockedUntil : null;
+}
+
+// Count a failure from req.ip; returns the block expiry when this failure blocked the address
+async function recordIpFailure(req) {
+  const { ip } = req;
+  const now = new Date();
+  // A failure after the window has passed starts a new window
+  await LoginThrottle.updateOne(
+    { ip, windowStartedAt: { $lt: new Date(now.getTime() - IP_WINDOW_MS) } },
+    { $set: { failures: 0, windowStartedAt: now } }
+  );
+  const record = await LoginThrottle.findOneAndUpdate(
+    { ip },
+    { $inc: { failures: 1 }, $setOnInsert: { windowStartedAt: now }, $max: { expiresAt: new Date(now.getTime() + IP_MEMORY_MS) } },
+    { upsert: true, new: true }
+  );
+  if (record.failures < MAX_IP_FAILURES) return null;
+
+  const offence = record.blockCount + 1;
+  const blockedUntil = new Date(now.getTime() + lockoutDuration(offence));
+  // Conditional on the count just read, so concurrent failures block the address once
+  const blocked = await LoginThrottle.findOneAndUpdate(
+    { _id: record._id, failures: { $gte: MAX_IP_FAILURES } },
+    {
+      $set: { failures: 0, windowStartedAt: now, blockedUntil, expiresAt: new Date(blockedUntil.getTime() + IP_MEMORY_MS) },
+      $inc: { blockCount: 1 },
+    }
+  );
+  if (!blocked) return null;
+  await SecurityEvent.create({
+    type: 'ip_blocked',
+    ip,
+    failures: record.failures,
+    offence,
+    lockedUntil: blockedUntil,
+    userAgent: req.get('user-agent'),
+  });
+  return blockedUntil;
+}
+
+// Count a wrong password for `user`; returns the lock expiry when this failure locked the account
+async function recordAccountFailure(req, user) {
+  const now = new Date();
+  // A failure long after the last one starts counting again
+  await User.updateOne(
+    { _id: user._id, lastFailedLoginAt: { $lt: new Date(now.getTime() - ACCOUNT_WINDOW_MS) } },
+    { $set: { failedLoginAttempts: 0 } }
+  );
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_ACCOUNT_FAILURES) return null;
+
+  const offence = (updated.lockoutCount || 0) + 1;
+  const lockedUntil = new Date(now.getTime() + lockoutDuration(offence));
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_ACCOUNT_FAILURES } },
+    { $set: { failedLoginAttempts: 0, lockedUntil }, $inc: { lockoutCount: 1 } }
+  );
+  if (!locked) return null;
+  await SecurityEvent.create({
+    type: 'account_locked',
+    user: user._id,
+    email: user.email,
+    ip: req.ip,
+    failures: updated.failedLoginAttempts,
+    offence,
+    lockedUntil,
+    userAgent: req.get('user-agent'),
+  });
+  return lockedUntil;
+}
+
+// Record a failed login (user is null for unknown emails). Returns { lockedUntil } when this
+// attempt locked the account.
+async function recordLoginFailure(req, user) {
+  const [, lockedUntil] = await Promise.all([recordIpFailure(req), user ? recordAccountFailure(req, user) : null]);
+  return { lockedUntil };
+}
+
+// A successful login clears the account's failures and its run of lockouts
+async function clearLoginFailures(user) {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockedUntil: 1 } });
+}
+
+// Admin unlock. The run of lockouts is kept, so a continuing attack still escalates.
+async function unlockAccount(user, actor, ip) {
+  await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } });
+  await SecurityEvent.create({ type: 'account_unlocked', user: user._id, email: user.email, actor, ip });
+}
+
+// Admin unblock of an address; returns false when it was not blocked
+async function unblockIp(ip, actor) {
+  const cleared = await LoginThrottle.findOneAndUpdate(
+    { ip, blockedUntil: { $gt: new Date() } },
+    { $set: { failures: 0, windowStartedAt: new Date() }, $unset: { blockedUntil: 1 } }
+  );
+  if (!cleared) return false;
+  await SecurityEvent.create({ type: 'ip_unblocked', ip, actor });
+  return true;
+}
+
+module.exports = {
+  MAX_ACCOUNT_FAILURES,
+  MAX_IP_FAILURES,
+  lockoutDuration,
+  retryMessage,
+  ipBlockedUntil,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  unblockIp,
+};
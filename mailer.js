@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outgoing mail. A transport is an object with send({ from, to, subject, text, html }) returning a
+ * promise. Two are built in for development: "console" prints messages and "file" writes each one
+ * as an .eml file to MAIL_DIR. Register an SMTP or API transport with registerTransport() and
+ * select it with MAIL_TRANSPORT.
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Smart University <no-reply@localhost>';
+const transports = new Map();
+
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') throw new Error('A mail transport needs send()');
+  transports.set(name, transport);
+  return transport;
+}
+
+const format = ({ from, to, subject, text }) =>
+  [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, '', text || ''].join('\r\n');
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`----- mail -----\n${format(message)}\n----------------`);
+  },
+};
+
+const fileTransport = (dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail')) => ({
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+    await fs.promises.writeFile(file, format(message));
+    return { file };
+  },
+});
+
+registerTransport('console', consoleTransport);
+registerTransport('file', fileTransport());
+
+// Send through the configured transport (MAIL_TRANSPORT, default "console")
+async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(name);
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+  return transport.send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = { MAIL_FROM, registerTransport, sendMail, fileTransport };
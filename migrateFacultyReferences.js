@@ -0,0 +1,116 @@
+/**
+ * One-off migration: convert free-text Module.lecturer and Department.headOfDepartment
+ * strings into Faculty references.
+ *
+ * Names are matched against existing faculty after normalisation (titles, punctuation and
+ * case ignored); unmatched names get a new Faculty record in the module's/department's
+ * department. A lecturer string naming several people ("A Rao & B Iyer", "A Rao, B Iyer")
+ * is split into several references; a department has one head, so a headOfDepartment naming
+ * several people is logged and left for someone to pick. The old string is only removed once every
+ * name in it has been resolved; a name is unresolved when its new Faculty record fails validation
+ * (e.g. a module without a department). Such records are logged and left as they were. Archived
+ * faculty are matched too, so re-running does not duplicate them. Safe to re-run: only string
+ * values are touched.
+ *
+ * Usage: MONGO_URI=mongodb://... node scripts/migrateFacultyReferences.js
+ */
+const mongoose = require('mongoose');
+const Faculty = require('../models/Faculty');
+const Module = require('../models/Module');
+const Department = require('../models/Department');
+
+const splitNames = (value) =>
+  String(value || '')
+    .split(/\s*(?:,|;|&|\/|\band\b)\s*/i)
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+async function migrateFacultyReferences({ log = console.log } = {}) {
+  const stats = { matched: 0, created: 0, modules: 0, departments: 0, unresolved: 0 };
+  const byName = new Map();
+  (await Faculty.find({}).withDeleted().select('name')).forEach((f) => byName.set(Faculty.normalizeName(f.name), f._id));
+
+  // The Faculty id for `name`, creating one in `department` if needed; null when it cannot be created
+  const resolve = async (name, department) => {
+    const key = Faculty.normalizeName(name);
+    if (byName.has(key)) {
+      stats.matched++;
+      return byName.get(key);
+    }
+    const faculty = new Faculty({ name, department });
+    const invalid = faculty.validateSync();
+    if (invalid) {
+      log(`Could not create faculty "${name}": ${Object.values(invalid.errors)[0].message}`);
+      return null;
+    }
+    const created = await faculty.save();
+    byName.set(key, created._id);
+    stats.created++;
+    log(`Created faculty "${name}"`);
+    return created._id;
+  };
+
+  // Raw collection access: the schema no longer has a string `lecturer` path
+  const modules = await Module.collection.find({ lecturer: { $exists: true } }).toArray();
+  for (const module of modules) {
+    const ids = [];
+    const unresolved = [];
+    for (const name of splitNames(typeof module.lecturer === 'string' ? module.lecturer : '')) {
+      const id = await resolve(name, module.department);
+      if (!id) unresolved.push(name);
+      else if (!ids.some((existing) => existing.equals(id))) ids.push(id);
+    }
+    if (unresolved.length) {
+      stats.unresolved++;
+      const names = unresolved.map((n) => `"${n}"`).join(', ');
+      log(`Module ${module.code || module._id}: could not resolve ${names}; lecturer kept`);
+    }
+    await Module.collection.updateOne(
+      { _id: module._id },
+      unresolved.length
+        ? { $addToSet: { lecturers: { $each: ids } } }
+        : { $addToSet: { lecturers: { $each: ids } }, $unset: { lecturer: '' } }
+    );
+    stats.modules++;
+  }
+
+  const departments = await Department.collection.find({ headOfDepartment: { $type: 'string' } }).toArray();
+  for (const department of departments) {
+    const names = splitNames(department.headOfDepartment);
+    const label = department.code || department._id;
+    if (names.length > 1) {
+      stats.unresolved++;
+      log(`Department ${label}: "${department.headOfDepartment}" names several people; headOfDepartment kept`);
+      continue;
+    }
+    const [name] = names;
+    const id = name ? await resolve(name, department._id) : null;
+    if (name && !id) {
+      stats.unresolved++;
+      log(`Department ${label}: could not resolve "${name}"; headOfDepartment kept`);
+      continue;
+    }
+    const update = id ? { $set: { headOfDepartment: id } } : { $unset: { headOfDepartment: '' } };
+    await Department.collection.updateOne({ _id: department._id }, update);
+    stats.departments++;
+  }
+
+  log(
+    `Migrated ${stats.modules} modules and ${stats.departments} departments ` +
+      `(${stats.matched} names matched, ${stats.created} faculty created, ${stats.unresolved} records left unresolved)`
+  );
+  return stats;
+}
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => migrateFacultyReferences())
+    .then(() => mongoose.disconnect())
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateFacultyReferences;
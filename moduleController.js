@@ -1,14 +1,17 @@
 const Module = require('../models/Module');
 const Course = require('../models/Course');
 const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
 const asyncHandler = require('express-async-handler');
+const { paginate, dropdownOptions } = require('../utils/listQuery');
+const { historyForViewer } = require('../utils/audit');
+const { inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+const { isExportFormat, streamExport, refField } = require('../utils/spreadsheet');
+const { buildGraph, ancestorsOf, descendantsOf, edgesAmong, toDot } = require('../utils/prerequisiteGraph');
 
-// @desc    Get all modules
-// @route   GET /api/modules
-// @access  Public
-const getModules = asyncHandler(async (req, res) => {
-    const { course, department, semester, search } = req.query;
-    let query = {};
+// Filters shared by the list and export endpoints
+const buildModuleFilter = ({ course, department, semester, search }) => {
+    const query = {};
 
     if (course) {
         query.course = course;
@@ -26,20 +29,41 @@ const getModules = asyncHandler(async (req, res) => {
         query.$text = { $search: search };
     }
 
-    const modules = await Module.find(query)
-        .populate('course', 'name code')
-        .populate('department', 'name code')
-        .populate('prerequisites', 'name code')
-        .sort({ semester: 1, name: 1 });
+    return query;
+};
+
+// @desc    Get all modules (paginated: ?page=&limit=&sort=&fields=)
+// @route   GET /api/modules
+// @access  Public
+const getModules = asyncHandler(async (req, res) => {
+    const { course, department, semester, search } = req.query;
+    const query = applyScope(req, buildModuleFilter(req.query));
+
+    const { docs: modules, meta } = await paginate(Module, query, req, {
+        sort: { semester: 1, name: 1 },
+        populate: [
+            { path: 'course', select: 'name code' },
+            { path: 'department', select: 'name code' },
+            { path: 'prerequisites', select: 'name code' },
+            { path: 'lecturers', select: 'name designation' }
+        ]
+    });
     
     if (req.accepts('json')) {
-        return res.json(modules);
+        return res.json({ data: modules, meta });
     }
     
-    // For HTML response, get courses and departments for filter dropdowns
+    // For HTML response, get courses and departments for filter dropdowns (?courseSearch=, ?departmentSearch=)
     const [courses, departments] = await Promise.all([
-        Course.find({}).sort({ name: 1 }),
-        Department.find({}).sort({ name: 1 })
+        dropdownOptions(Course, applyScope(req, {}), req, {
+            param: 'courseSearch',
+            selected: course,
+            select: 'name code department'
+        }),
+        dropdownOptions(Department, applyScope(req, {}, '_id'), req, {
+            param: 'departmentSearch',
+            selected: department
+        })
     ]);
     
     // Generate semester options (1-12)
@@ -48,9 +72,11 @@ const getModules = asyncHandler(async (req, res) => {
     res.render('modules/index', {
         title: 'All Modules',
         modules,
-        courses,
-        departments,
+        courses: courses.options,
+        departments: departments.options,
+        dropdowns: { courses, departments },
         semesters,
+        pagination: meta,
         filters: {
             course: course || '',
             department: department || '',
@@ -66,9 +92,9 @@ const getModules = asyncHandler(async (req, res) => {
 const getStructuredModules = asyncHandler(async (req, res) => {
     // Load all relevant entities
     const [departments, courses, modules] = await Promise.all([
-        Department.find({}).sort({ name: 1 }),
-        Course.find({}).sort({ name: 1 }),
-        Module.find({})
+        Department.find(applyScope(req, {}, '_id')).sort({ name: 1 }),
+        Course.find(applyScope(req, {})).sort({ name: 1 }),
+        Module.find(applyScope(req, {}))
             .populate('course', 'name code department')
             .populate('department', 'name code')
             .sort({ semester: 1, name: 1 })
@@ -126,7 +152,8 @@ const getModule = asyncHandler(async (req, res) => {
     const module = await Module.findById(req.params.id)
         .populate('course', 'name code')
         .populate('department', 'name code')
-        .populate('prerequisites', 'name code');
+        .populate('prerequisites', 'name code')
+        .populate('lecturers', 'name designation email');
 
     if (!module) {
         if (req.accepts('json')) {
@@ -136,31 +163,61 @@ const getModule = asyncHandler(async (req, res) => {
         return res.redirect('/modules');
     }
 
+    if (!inScope(req, module.department)) return denyOutOfScope(req, res, '/modules');
+
     if (req.accepts('json')) {
         return res.json(module);
     }
 
+    const history = await historyForViewer(req, 'Module', module._id);
+
     res.render('modules/show', {
         title: module.name,
-        module
+        module,
+        history
     });
 });
 
+// Course, department, prerequisite and lecturer choices for the module forms. The values in `current`
+// stay listed; a module being edited (`current._id`) is left out of its own prerequisites.
+const moduleFormDropdowns = (req, current = {}) =>
+    Promise.all([
+        dropdownOptions(Course, applyScope(req, { isActive: true }), req, {
+            param: 'courseSearch',
+            selected: current.course,
+            select: 'name code department'
+        }),
+        dropdownOptions(Department, applyScope(req, { isActive: true }, '_id'), req, {
+            param: 'departmentSearch',
+            selected: current.department
+        }),
+        dropdownOptions(Module, current._id ? { _id: { $ne: current._id } } : {}, req, {
+            param: 'moduleSearch',
+            selected: current.prerequisites,
+            select: 'name code semester course department'
+        }),
+        dropdownOptions(Faculty, { isActive: true }, req, {
+            param: 'facultySearch',
+            selected: current.lecturers,
+            select: 'name designation department',
+            searchFields: ['name']
+        })
+    ]);
+
 // @desc    Show new module form (supports pre-selecting course via ?course=:id or /courses/:id/modules/new)
 // @route   GET /modules/new
 // @route   GET /courses/:id/modules/new
-// @access  Private/Admin
+// @access  Private (modules:write)
 const showNewModuleForm = asyncHandler(async (req, res) => {
     const preselectedCourseId = req.query.course || req.params.id || '';
 
-    const [courses, departments, existingModules, preselectedCourse] = await Promise.all([
-        Course.find({ isActive: true }).sort({ name: 1 }),
-        Department.find({ isActive: true }).sort({ name: 1 }),
-        Module.find({}).sort({ name: 1 }),
-        preselectedCourseId ? Course.findById(preselectedCourseId) : null
-    ]);
+    const preselectedCourse = preselectedCourseId ? await Course.findById(preselectedCourseId) : null;
+    const [courses, departments, existingModules, faculty] = await moduleFormDropdowns(
+        req,
+        preselectedCourse ? { course: preselectedCourse._id, department: preselectedCourse.department } : {}
+    );
     
-    if (courses.length === 0) {
+    if (courses.options.length === 0 && !courses.search) {
         req.flash('error', 'No active courses found. Please create a course first.');
         return res.redirect('/courses/new');
     }
@@ -173,9 +230,11 @@ const showNewModuleForm = asyncHandler(async (req, res) => {
     
     res.render('modules/new', { 
         title: 'Add New Module',
-        courses,
-        departments,
-        existingModules,
+        courses: courses.options,
+        departments: departments.options,
+        existingModules: existingModules.options,
+        faculty: faculty.options,
+        dropdowns: { courses, departments, existingModules, faculty },
         semesters: Array.from({ length: 12 }, (_, i) => i + 1),
         preselectedCourseId,
         preselectedDepartmentId
@@ -184,7 +243,7 @@ const showNewModuleForm = asyncHandler(async (req, res) => {
 
 // @desc    Create new module
 // @route   POST /api/modules
-// @access  Private/Admin
+// @access  Private (modules:write)
 const createModule = asyncHandler(async (req, res) => {
     const { 
         name, 
@@ -195,16 +254,20 @@ const createModule = asyncHandler(async (req, res) => {
         credits, 
         semester, 
         isCore, 
-        lecturer, 
+        lecturers = [], 
         learningOutcomes,
         examWeight,
         courseworkWeight,
         practicalWeight,
         prerequisites = []
     } = req.body;
+
+    if (!inScope(req, department)) {
+        return denyOutOfScope(req, res, '/modules/new');
+    }
     
     // Check if module with same code already exists
-    const moduleExists = await Module.findOne({ code });
+    const moduleExists = await Module.findOne({ code }).withDeleted();
 
     if (moduleExists) {
         if (req.accepts('json')) {
@@ -251,12 +314,22 @@ const createModule = asyncHandler(async (req, res) => {
         credits: parseInt(credits),
         semester: parseInt(semester),
         isCore: isCore === 'on',
-        lecturer,
+        lecturers: Array.isArray(lecturers) ? lecturers : [lecturers].filter(Boolean),
         learningOutcomes: processedLearningOutcomes,
         assessmentMethods,
         prerequisites: Array.isArray(prerequisites) ? prerequisites : [prerequisites].filter(Boolean)
     });
 
+    // Checked here as well as on save so the cycle path reaches the user as a 400
+    const prerequisiteError = await Module.prerequisiteError(module);
+    if (prerequisiteError) {
+        if (req.accepts('json')) {
+            return res.status(400).json({ message: prerequisiteError });
+        }
+        req.flash('error', prerequisiteError);
+        return res.redirect('/modules/new');
+    }
+
     const createdModule = await module.save();
 
     if (req.accepts('json')) {
@@ -269,20 +342,21 @@ const createModule = asyncHandler(async (req, res) => {
 
 // @desc    Show edit module form
 // @route   GET /modules/:id/edit
-// @access  Private/Admin
+// @access  Private (modules:write)
 const showEditModuleForm = asyncHandler(async (req, res) => {
-    const [module, courses, departments, existingModules] = await Promise.all([
-        Module.findById(req.params.id),
-        Course.find({ isActive: true }).sort({ name: 1 }),
-        Department.find({ isActive: true }).sort({ name: 1 }),
-        Module.find({ _id: { $ne: req.params.id } }).sort({ name: 1 })
-    ]);
+    const module = await Module.findById(req.params.id);
 
     if (!module) {
         req.flash('error', 'Module not found');
         return res.redirect('/modules');
     }
 
+    if (!inScope(req, module.department)) {
+        return denyOutOfScope(req, res, `/modules/${module._id}`);
+    }
+
+    const [courses, departments, existingModules, faculty] = await moduleFormDropdowns(req, module);
+
     res.render('modules/edit', {
         title: 'Edit Module',
         module: {
@@ -292,16 +366,18 @@ const showEditModuleForm = asyncHandler(async (req, res) => {
             courseworkWeight: module.assessmentMethods.coursework,
             practicalWeight: module.assessmentMethods.practical
         },
-        courses,
-        departments,
-        existingModules,
+        courses: courses.options,
+        departments: departments.options,
+        existingModules: existingModules.options,
+        faculty: faculty.options,
+        dropdowns: { courses, departments, existingModules, faculty },
         semesters: Array.from({ length: 12 }, (_, i) => i + 1)
     });
 });
 
 // @desc    Update module
 // @route   PUT /api/modules/:id
-// @access  Private/Admin
+// @access  Private (modules:write)
 const updateModule = asyncHandler(async (req, res) => {
     const { 
         name, 
@@ -312,7 +388,7 @@ const updateModule = asyncHandler(async (req, res) => {
         credits, 
         semester, 
         isCore, 
-        lecturer, 
+        lecturers = [], 
         learningOutcomes,
         examWeight,
         courseworkWeight,
@@ -330,11 +406,16 @@ const updateModule = asyncHandler(async (req, res) => {
         return res.redirect('/modules');
     }
 
+    // Both the current and the new department must be within a coordinator's scope
+    if (!inScope(req, module.department) || !inScope(req, department)) {
+        return denyOutOfScope(req, res, `/modules/${module._id}`);
+    }
+
     // Check if another module exists with the same code
     const moduleExists = await Module.findOne({
         _id: { $ne: module._id },
         code: code.toUpperCase()
-    });
+    }).withDeleted();
 
     if (moduleExists) {
         if (req.accepts('json')) {
@@ -381,11 +462,21 @@ const updateModule = asyncHandler(async (req, res) => {
     module.credits = parseInt(credits);
     module.semester = parseInt(semester);
     module.isCore = isCore === 'on';
-    module.lecturer = lecturer;
+    module.lecturers = Array.isArray(lecturers) ? lecturers : [lecturers].filter(Boolean);
     module.learningOutcomes = processedLearningOutcomes;
     module.assessmentMethods = assessmentMethods;
     module.prerequisites = Array.isArray(prerequisites) ? prerequisites : [prerequisites].filter(Boolean);
 
+    // Same check as on create
+    const prerequisiteError = await Module.prerequisiteError(module);
+    if (prerequisiteError) {
+        if (req.accepts('json')) {
+            return res.status(400).json({ message: prerequisiteError });
+        }
+        req.flash('error', prerequisiteError);
+        return res.redirect(`/modules/${module._id}/edit`);
+    }
+
     const updatedModule = await module.save();
 
     if (req.accepts('json')) {
@@ -396,9 +487,9 @@ const updateModule = asyncHandler(async (req, res) => {
     res.redirect(`/modules/${updatedModule._id}`);
 });
 
-// @desc    Delete module
+// @desc    Delete module (archived to the recycle bin)
 // @route   DELETE /api/modules/:id
-// @access  Private/Admin
+// @access  Private (modules:delete)
 const deleteModule = asyncHandler(async (req, res) => {
     const module = await Module.findById(req.params.id);
 
@@ -410,6 +501,10 @@ const deleteModule = asyncHandler(async (req, res) => {
         return res.redirect('/modules');
     }
 
+    if (!inScope(req, module.department)) {
+        return denyOutOfScope(req, res, `/modules/${module._id}`);
+    }
+
     // Check if this module is a prerequisite for any other modules
     const isPrerequisite = await Module.exists({ prerequisites: module._id });
 
@@ -423,16 +518,168 @@ const deleteModule = asyncHandler(async (req, res) => {
         return res.redirect(`/modules/${module._id}`);
     }
 
-    await module.remove();
+    await module.softDelete(req.session.user._id);
 
     if (req.accepts('json')) {
-        return res.json({ message: 'Module removed' });
+        return res.json({ message: 'Module moved to the recycle bin' });
     }
 
-    req.flash('success', 'Module deleted successfully');
+    req.flash('success', 'Module moved to the recycle bin');
     res.redirect('/modules');
 });
 
+const MODULE_EXPORT_COLUMNS = [
+    { key: 'code', header: 'Code', value: m => m.code },
+    { key: 'name', header: 'Name', value: m => m.name },
+    { key: 'courseCode', header: 'Course Code', value: m => refField(m.course, 'code') },
+    { key: 'courseName', header: 'Course Name', value: m => refField(m.course, 'name') },
+    { key: 'departmentCode', header: 'Department Code', value: m => refField(m.department, 'code') },
+    { key: 'semester', header: 'Semester', value: m => m.semester },
+    { key: 'credits', header: 'Credits', value: m => m.credits },
+    { key: 'isCore', header: 'Core', value: m => m.isCore },
+    { key: 'lecturers', header: 'Lecturers', value: m => (m.lecturers || []).map(l => l.name).join(';') },
+    { key: 'examWeight', header: 'Exam %', value: m => (m.assessmentMethods || {}).exam },
+    { key: 'courseworkWeight', header: 'Coursework %', value: m => (m.assessmentMethods || {}).coursework },
+    { key: 'practicalWeight', header: 'Practical %', value: m => (m.assessmentMethods || {}).practical },
+    { key: 'prerequisites', header: 'Prerequisites', value: m => (m.prerequisites || []).map(p => p.code).join(';') }
+];
+
+// @desc    Export modules as CSV, XLSX or NDJSON (same filters as getModules)
+// @route   GET /modules/export?format=csv|xlsx|ndjson
+// @access  Private (modules:export)
+const exportModules = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!isExportFormat(format)) {
+        return res.status(400).json({ message: 'Format must be csv, xlsx or ndjson' });
+    }
+
+    const cursor = Module.find(applyScope(req, buildModuleFilter(req.query)))
+        .populate('course', 'name code')
+        .populate('department', 'name code')
+        .populate('prerequisites', 'code')
+        .populate('lecturers', 'name')
+        .sort({ code: 1 })
+        .lean()
+        .cursor();
+
+    await streamExport(res, cursor, { format, filename: 'modules', columns: MODULE_EXPORT_COLUMNS });
+});
+
+// @desc    Update learning outcomes only (available to the module's lecturers)
+// @route   PUT /api/modules/:id/learning-outcomes
+// @access  Private (teachesModule('modules:outcomes'))
+const updateLearningOutcomes = asyncHandler(async (req, res) => {
+    const module = await Module.findById(req.params.id);
+
+    if (!module) {
+        if (req.accepts('json')) {
+            return res.status(404).json({ message: 'Module not found' });
+        }
+        req.flash('error', 'Module not found');
+        return res.redirect('/modules');
+    }
+
+    if (!inScope(req, module.department)) {
+        return denyOutOfScope(req, res, `/modules/${module._id}`);
+    }
+
+    const { learningOutcomes } = req.body;
+    module.learningOutcomes = (Array.isArray(learningOutcomes) ? learningOutcomes : String(learningOutcomes || '').split('\n'))
+        .map(lo => String(lo).trim())
+        .filter(lo => lo.length > 0);
+
+    const updatedModule = await module.save();
+
+    if (req.accepts('json')) {
+        return res.json(updatedModule);
+    }
+
+    req.flash('success', 'Learning outcomes updated successfully');
+    res.redirect(`/modules/${updatedModule._id}`);
+});
+
+const GRAPH_FIELDS = 'code name course semester prerequisites';
+const bySemesterAndCode = (a, b) => (a.semester - b.semester) || a.code.localeCompare(b.code);
+
+// @desc    Transitive prerequisites (ancestors) and dependent modules (descendants) of a module
+// @route   GET /modules/:id/prerequisite-tree
+// @access  Public
+const getPrerequisiteTree = asyncHandler(async (req, res) => {
+    const module = await Module.findById(req.params.id).select(GRAPH_FIELDS);
+
+    if (!module) {
+        if (req.accepts('json')) {
+            return res.status(404).json({ message: 'Module not found' });
+        }
+        req.flash('error', 'Module not found');
+        return res.redirect('/modules');
+    }
+
+    const graph = buildGraph(await Module.find({}).select(GRAPH_FIELDS).lean());
+    const root = graph.get(String(module._id));
+    const ancestors = ancestorsOf(graph, module._id);
+    const descendants = descendantsOf(graph, module._id);
+    const edges = edgesAmong([root, ...ancestors.map(a => a.node), ...descendants.map(d => d.node)]);
+    const entry = ({ node, depth }) => ({ _id: node._id, code: node.code, name: node.name, semester: node.semester, depth });
+
+    const tree = {
+        module: { _id: root._id, code: root.code, name: root.name, semester: root.semester },
+        ancestors: ancestors.map(entry),
+        descendants: descendants.map(entry),
+        edges
+    };
+
+    if (req.accepts('json')) {
+        return res.json(tree);
+    }
+
+    res.render('modules/prerequisite-tree', {
+        title: `${module.code} Prerequisites`,
+        ...tree
+    });
+});
+
+// @desc    Prerequisite graph of a course's modules as JSON or Graphviz DOT; prerequisites
+//          from other courses are included and marked external
+// @route   GET /courses/:id/prerequisite-graph?format=json|dot
+// @access  Public
+const getCoursePrerequisiteGraph = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'dot'].includes(format)) {
+        return res.status(400).json({ message: 'Format must be json or dot' });
+    }
+
+    const course = await Course.findById(req.params.id).select('name code');
+    if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const modules = await Module.find({ course: course._id }).select(GRAPH_FIELDS).lean();
+    const own = new Set(modules.map(m => String(m._id)));
+    const externalIds = [...new Set(modules.flatMap(m => (m.prerequisites || []).map(String)))].filter(id => !own.has(id));
+    const external = externalIds.length
+        ? await Module.find({ _id: { $in: externalIds } }).select(GRAPH_FIELDS).lean()
+        : [];
+
+    const nodes = [
+        ...[...buildGraph(modules).values()].sort(bySemesterAndCode),
+        ...[...buildGraph(external).values()].sort(bySemesterAndCode).map(n => ({ ...n, external: true }))
+    ];
+    const edges = edgesAmong(nodes);
+
+    if (format === 'dot') {
+        res.type('text/vnd.graphviz');
+        res.attachment(`${course.code}-prerequisites.dot`);
+        return res.send(toDot(`${course.code} prerequisites`, nodes, edges));
+    }
+
+    res.json({
+        course,
+        nodes: nodes.map(n => ({ _id: n._id, code: n.code, name: n.name, semester: n.semester, external: Boolean(n.external) })),
+        edges
+    });
+});
+
 module.exports = {
     getModules,
     getModule,
@@ -441,5 +688,9 @@ module.exports = {
     showEditModuleForm,
     updateModule,
     deleteModule,
-    getStructuredModules
+    getStructuredModules,
+    exportModules,
+    updateLearningOutcomes,
+    getPrerequisiteTree,
+    getCoursePrerequisiteGraph
 };
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Student = require('../models/Student');
+const { inScope, denyOutOfScope } = require('../utils/departmentScope');
+const { toAmount } = require('../utils/fees');
+const { recordPayment, payOnline, reconcilePayment, refundPayment, writeReceiptPdf } = require('../utils/payments');
+
+const RECEIPT_POPULATE = [
+  { path: 'invoice', select: 'number term total amountPaid department', populate: { path: 'term', select: 'year term' } },
+  { path: 'student', select: 'name rollNumber' },
+  { path: 'refundOf', select: 'receiptNumber amount' },
+];
+
+const notFound = (req, res, message, redirectTo) => {
+  if (req.accepts('json')) return res.status(404).json({ message });
+  req.flash('error', message);
+  return res.redirect(redirectTo);
+};
+
+const findInvoice = (id, filter = {}) => (mongoose.isValidObjectId(id) ? Invoice.findOne({ _id: id, ...filter }) : null);
+
+// POST /invoices/:id/payments { amount, method, note } — a payment taken by finance staff;
+// requirePermission('finance:write')
+const recordInvoicePayment = asyncHandler(async (req, res) => {
+  const invoice = await findInvoice(req.params.id);
+  if (!invoice) return notFound(req, res, 'Invoice not found', '/invoices');
+  if (!inScope(req, invoice.department)) return denyOutOfScope(req, res, '/invoices');
+
+  const { payment, error } = await recordPayment(invoice, {
+    amount: toAmount(req.body.amount),
+    method: req.body.method,
+    note: req.body.note,
+    recordedBy: req.session.user._id,
+  });
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/invoices/${invoice._id}`);
+  }
+  if (req.accepts('json')) return res.status(201).json(payment);
+  req.flash('success', `Payment recorded; receipt ${payment.receiptNumber}`);
+  res.redirect(`/invoices/${invoice._id}`);
+});
+
+// POST /payments/:id/refund { amount, reason } — requirePermission('finance:refund').
+// Defaults to refunding whatever is left of the payment.
+const refundInvoicePayment = asyncHandler(async (req, res) => {
+  const original = mongoose.isValidObjectId(req.params.id) ? await Payment.findById(req.params.id).populate('invoice', 'department') : null;
+  if (!original || !original.invoice) return notFound(req, res, 'Payment not found', '/invoices');
+  if (!inScope(req, original.invoice.department)) return denyOutOfScope(req, res, '/invoices');
+  const invoiceId = original.invoice._id;
+  original.depopulate('invoice');
+
+  const amount = req.body.amount ? toAmount(req.body.amount) : Math.round((original.amount - original.refundedAmount) * 100) / 100;
+  const { payment, error } = await refundPayment(original, {
+    amount,
+    reason: String(req.body.reason || '').trim(),
+    recordedBy: req.session.user._id,
+  });
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/invoices/${invoiceId}`);
+  }
+  if (req.accepts('json')) return res.status(201).json(payment);
+  req.flash('success', `Refunded ${payment.amount.toFixed(2)}; receipt ${payment.receiptNumber}`);
+  res.redirect(`/invoices/${invoiceId}`);
+});
+
+// POST /payments/:id/reconcile — settle a pending online payment from the gateway's own record of
+// the charge; requirePermission('finance:write')
+const reconcileInvoicePayment = asyncHandler(async (req, res) => {
+  const pending = mongoose.isValidObjectId(req.params.id) ? await Payment.findById(req.params.id).populate('invoice', 'department') : null;
+  if (!pending || !pending.invoice) return notFound(req, res, 'Payment not found', '/invoices');
+  if (!inScope(req, pending.invoice.department)) return denyOutOfScope(req, res, '/invoices');
+  const invoiceId = pending.invoice._id;
+  pending.depopulate('invoice');
+
+  const { payment, error } = await reconcilePayment(pending);
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/invoices/${invoiceId}`);
+  }
+  const message = {
+    succeeded: `Payment succeeded; receipt ${payment.receiptNumber}`,
+    failed: `Payment failed: ${payment.failureReason}`,
+    pending: 'The payment gateway is still processing this payment',
+  }[payment.status];
+  if (req.accepts('json')) return res.json({ message, payment });
+  req.flash(payment.status === 'failed' ? 'error' : 'success', message);
+  res.redirect(`/invoices/${invoiceId}`);
+});
+
+// POST /payments/gateway/:gateway/callback { reference } — the provider's notification that a charge
+// changed. Unauthenticated, so the body only says which ledger entry to look at: its outcome is
+// always read back from the gateway.
+const paymentGatewayCallback = asyncHandler(async (req, res) => {
+  const reference = String(req.body.reference || '');
+  const pending = mongoose.isValidObjectId(reference)
+    ? await Payment.findOne({ _id: reference, method: 'online', gateway: req.params.gateway })
+    : null;
+  if (!pending) return res.status(404).json({ message: 'Payment not found' });
+  if (pending.status !== 'pending') return res.json({ status: pending.status });
+  const { payment, error } = await reconcilePayment(pending);
+  if (error) return res.status(502).json({ message: error });
+  res.json({ status: payment.status });
+});
+
+// GET /payments/:id/receipt — requirePermission('finance:read'). PDF download by default, ?format=json for the data
+const getReceipt = asyncHandler(async (req, res) => {
+  const payment = mongoose.isValidObjectId(req.params.id)
+    ? await Payment.findOne({ _id: req.params.id, status: 'succeeded' }).populate(RECEIPT_POPULATE)
+    : null;
+  if (!payment || !payment.invoice || !payment.student) return notFound(req, res, 'Receipt not found', '/invoices');
+  if (!inScope(req, payment.invoice.department)) return denyOutOfScope(req, res, '/invoices');
+  if (req.query.format === 'json') return res.json(payment);
+  writeReceiptPdf(res, payment);
+});
+
+const myStudent = (req) => Student.findOne({ user: req.session.user._id });
+
+// POST /portal/invoices/:id/pay { amount, source } — pay towards one's own invoice through the
+// payment gateway; `source` is the token from the gateway's checkout. Defaults to everything not
+// already paid or pending.
+const payMyInvoice = asyncHandler(async (req, res) => {
+  const student = await myStudent(req);
+  const invoice = student ? await findInvoice(req.params.id, { student: student._id }) : null;
+  if (!invoice) return notFound(req, res, 'Invoice not found', '/portal/invoices');
+  const back = `/portal/invoices/${invoice._id}`;
+
+  const amount = req.body.amount ? toAmount(req.body.amount) : invoice.payable;
+  const { payment, error } = await payOnline(invoice, { amount, source: req.body.source, recordedBy: req.session.user._id });
+  if (error) {
+    if (req.accepts('json')) return res.status(payment ? 402 : 400).json({ message: error, payment });
+    req.flash('error', payment ? `Payment failed: ${error}` : error);
+    return res.redirect(back);
+  }
+  if (payment.status === 'pending') {
+    if (req.accepts('json')) return res.status(202).json({ message: 'Payment is being processed', payment });
+    req.flash('success', 'Your payment is being processed');
+    return res.redirect(back);
+  }
+  if (req.accepts('json')) return res.status(201).json({ message: 'Payment received', payment });
+  req.flash('success', `Payment received; receipt ${payment.receiptNumber}`);
+  res.redirect(back);
+});
+
+// GET /portal/payments/:id/receipt — a receipt for one of the logged-in student's payments or refunds
+const getMyReceipt = asyncHandler(async (req, res) => {
+  const student = await myStudent(req);
+  const payment =
+    student && mongoose.isValidObjectId(req.params.id)
+      ? await Payment.findOne({ _id: req.params.id, student: student._id, status: 'succeeded' }).populate(RECEIPT_POPULATE)
+      : null;
+  if (!payment || !payment.invoice) return notFound(req, res, 'Receipt not found', '/portal/invoices');
+  if (req.query.format === 'json') return res.json(payment);
+  writeReceiptPdf(res, payment);
+});
+
+module.exports = {
+  recordInvoicePayment,
+  refundInvoicePayment,
+  reconcileInvoicePayment,
+  paymentGatewayCallback,
+  getReceipt,
+  payMyInvoice,
+  getMyReceipt,
+};
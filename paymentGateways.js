@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * Payment gateway registry. A gateway is an object with:
+ *
+ *   name                                    key stored on ledger entries
+ *   charge({ amount, currency, reference, description, source })
+ *   refund({ amount, currency, reference })  reference is the gateway's reference for the charge
+ *   lookup({ reference })                    where a charge stands now; reference is our ledger entry id
+ *
+ * All three resolve to { status: 'succeeded' | 'failed' | 'pending', reference, message }; lookup
+ * reports a charge the provider never received as failed.
+ * `reference` passed to charge is our ledger entry id, so a provider can de-duplicate retries;
+ * `source` is whatever token the provider's checkout handed back to the browser.
+ * Register a real provider with registerGateway() and select it with PAYMENT_GATEWAY.
+ */
+
+const CURRENCY = process.env.FEE_CURRENCY || 'INR';
+const gateways = new Map();
+
+function registerGateway(gateway) {
+  const methods = ['charge', 'refund', 'lookup'];
+  if (!gateway || !gateway.name || methods.some((m) => typeof gateway[m] !== 'function')) {
+    throw new Error('A payment gateway needs a name, charge(), refund() and lookup()');
+  }
+  gateways.set(gateway.name, gateway);
+  return gateway;
+}
+
+// The configured gateway, or the named one; throws for an unknown name
+function getGateway(name = process.env.PAYMENT_GATEWAY || 'fake') {
+  const gateway = gateways.get(name);
+  if (!gateway) throw new Error(`Unknown payment gateway "${name}"`);
+  return gateway;
+}
+
+// In-memory gateway for development and testing. Every charge succeeds except with the source
+// "tok_decline" (declined) or "tok_pending" (left pending until it is looked up, when it succeeds);
+// refunds succeed up to the amount charged.
+function createFakeGateway() {
+  const charges = new Map();
+  // Our ledger entry id to the result of its charge
+  const results = new Map();
+  const newReference = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  return {
+    name: 'fake',
+    async charge({ amount, reference: ledgerId, source }) {
+      if (source === 'tok_decline') {
+        const result = { status: 'failed', reference: newReference('ch'), message: 'Card declined' };
+        results.set(ledgerId, result);
+        return result;
+      }
+      const reference = newReference('ch');
+      charges.set(reference, { amount, refunded: 0 });
+      const result = { status: source === 'tok_pending' ? 'pending' : 'succeeded', reference, message: null };
+      results.set(ledgerId, result);
+      return result;
+    },
+    async refund({ amount, reference }) {
+      const charge = charges.get(reference);
+      if (!charge) return { status: 'failed', reference: null, message: 'Unknown charge' };
+      if (charge.refunded + amount > charge.amount + 0.005) {
+        return { status: 'failed', reference: null, message: 'Refund exceeds the amount charged' };
+      }
+      charge.refunded += amount;
+      return { status: 'succeeded', reference: newReference('re'), message: null };
+    },
+    async lookup({ reference: ledgerId }) {
+      const result = results.get(ledgerId);
+      if (!result) return { status: 'failed', reference: null, message: 'Unknown charge' };
+      if (result.status === 'pending') result.status = 'succeeded';
+      return { ...result };
+    },
+  };
+}
+
+registerGateway(createFakeGateway());
+
+module.exports = { CURRENCY, registerGateway, getGateway, createFakeGateway };
@@ -0,0 +1,250 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { CURRENCY, getGateway } = require('./paymentGateways');
+
+const { BALANCE_EPSILON } = Invoice;
+const fmt = (n) => Number(n || 0).toFixed(2);
+
+// Take `amount` off an issued invoice's balance in one atomic step, counting it in `field`
+// (amountPaid, or amountPending while a gateway settles it); null when it would overpay
+const reserveOnInvoice = (invoiceId, amount, field = 'amountPaid') =>
+  Invoice.findOneAndUpdate(
+    {
+      _id: invoiceId,
+      status: 'issued',
+      $expr: {
+        $lte: [{ $add: ['$amountPaid', '$amountPending', amount] }, { $add: ['$total', BALANCE_EPSILON] }],
+      },
+    },
+    { $inc: { [field]: amount } },
+    { new: true }
+  );
+
+const releaseOnInvoice = (invoiceId, amount, field = 'amountPaid') =>
+  Invoice.updateOne({ _id: invoiceId }, { $inc: { [field]: -amount } });
+
+// Why reserveOnInvoice refused
+async function reserveError(invoiceId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return 'Invoice not found';
+  if (invoice.status === 'void') return 'This invoice has been voided';
+  const pending =
+    invoice.amountPending > BALANCE_EPSILON ? ` (${fmt(invoice.amountPending)} is pending in online payments)` : '';
+  return `Amount exceeds the outstanding balance of ${fmt(invoice.payable)}${pending}`;
+}
+
+const firstValidationError = (doc) => {
+  const validation = doc.validateSync();
+  return validation ? Object.values(validation.errors)[0].message : null;
+};
+
+/**
+ * Record a payment finance staff took outside the portal (cash, bank transfer, ...). It succeeds
+ * immediately and gets a receipt. Returns { payment, error }.
+ */
+async function recordPayment(invoice, { amount, method, note, recordedBy }) {
+  if (method === 'online') return { error: 'Online payments can only be taken through the payment gateway' };
+  const payment = new Payment({
+    invoice: invoice._id,
+    student: invoice.student,
+    amount,
+    method,
+    note,
+    recordedBy,
+    status: 'succeeded',
+    settledAt: Date.now(),
+  });
+  const error = firstValidationError(payment);
+  if (error) return { error };
+  if (!(await reserveOnInvoice(invoice._id, amount))) return { error: await reserveError(invoice._id) };
+  payment.assignReceiptNumber();
+  try {
+    await payment.save();
+  } catch (err) {
+    await releaseOnInvoice(invoice._id, amount);
+    throw err;
+  }
+  return { payment };
+}
+
+/**
+ * Apply a gateway result to a pending payment. Success issues a receipt and moves the reserved
+ * amount from pending to paid; failure hands it back to the invoice. Only a still-pending entry is
+ * settled, so a late provider callback and the original request cannot both settle it. Returns the entry.
+ */
+async function settlePayment(payment, { status, reference, message }) {
+  if (status === 'pending') {
+    return reference ? Payment.findByIdAndUpdate(payment._id, { gatewayReference: reference }, { new: true }) : payment;
+  }
+  const update =
+    status === 'succeeded'
+      ? { status, settledAt: Date.now(), receiptNumber: payment.assignReceiptNumber(), gatewayReference: reference }
+      : { status: 'failed', failureReason: message || 'Payment failed', gatewayReference: reference };
+  const settled = await Payment.findOneAndUpdate({ _id: payment._id, status: 'pending' }, { $set: update }, { new: true });
+  if (!settled) return Payment.findById(payment._id);
+  const moved = settled.status === 'failed' ? {} : { amountPaid: settled.amount };
+  await Invoice.updateOne({ _id: settled.invoice }, { $inc: { ...moved, amountPending: -settled.amount } });
+  return settled;
+}
+
+/**
+ * Ask the payment's gateway how a pending online payment ended and settle it to match. The gateway
+ * is the only source of truth, so this is safe to run from an unauthenticated provider callback.
+ * Returns { payment, error }; an unreachable gateway leaves the payment pending.
+ */
+async function reconcilePayment(payment) {
+  if (payment.status !== 'pending') return { error: 'Only pending payments can be reconciled' };
+  let result;
+  try {
+    result = await getGateway(payment.gateway).lookup({ reference: String(payment._id) });
+  } catch (err) {
+    return { error: `Could not reach the payment gateway: ${err.message}` };
+  }
+  return { payment: await settlePayment(payment, result) };
+}
+
+/**
+ * Charge `amount` towards an invoice through the configured gateway. The amount is reserved as
+ * pending on the invoice before the charge so two concurrent payments cannot overpay it.
+ * Returns { payment, error }; a pending payment has no error and no receipt yet.
+ */
+async function payOnline(invoice, { amount, source, recordedBy }) {
+  const gateway = getGateway();
+  const payment = new Payment({
+    invoice: invoice._id,
+    student: invoice.student,
+    amount,
+    method: 'online',
+    gateway: gateway.name,
+    recordedBy,
+  });
+  const error = firstValidationError(payment);
+  if (error) return { error };
+  if (!(await reserveOnInvoice(invoice._id, amount, 'amountPending'))) {
+    return { error: await reserveError(invoice._id) };
+  }
+  try {
+    await payment.save();
+  } catch (err) {
+    await releaseOnInvoice(invoice._id, amount, 'amountPending');
+    throw err;
+  }
+
+  let result;
+  try {
+    result = await gateway.charge({
+      amount,
+      currency: CURRENCY,
+      reference: String(payment._id),
+      description: `Invoice ${invoice.number}`,
+      source,
+    });
+  } catch (err) {
+    result = { status: 'failed', reference: null, message: err.message };
+  }
+  const settled = await settlePayment(payment, result);
+  return { payment: settled, error: settled.status === 'failed' ? settled.failureReason : null };
+}
+
+/**
+ * Refund part or all of a successful payment. The refundable amount is claimed on the original
+ * entry atomically; online payments are refunded through their gateway first. The refund is a new
+ * ledger entry with its own receipt. Returns { payment, error }.
+ */
+async function refundPayment(original, { amount, reason, recordedBy }) {
+  if (original.kind !== 'payment' || original.status !== 'succeeded') {
+    return { error: 'Only successful payments can be refunded' };
+  }
+  if (!(amount > 0)) return { error: 'Amount must be positive' };
+  if (!reason) return { error: 'A reason is required for refunds' };
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: original._id,
+      kind: 'payment',
+      status: 'succeeded',
+      $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, { $add: ['$amount', BALANCE_EPSILON] }] },
+    },
+    { $inc: { refundedAmount: amount } }
+  );
+  if (!claimed) {
+    const current = await Payment.findById(original._id);
+    return { error: `At most ${fmt(current.amount - current.refundedAmount)} of this payment can still be refunded` };
+  }
+  const unclaim = () => Payment.updateOne({ _id: original._id }, { $inc: { refundedAmount: -amount } });
+
+  const refund = new Payment({
+    invoice: original.invoice,
+    student: original.student,
+    kind: 'refund',
+    amount,
+    method: original.method,
+    status: 'succeeded',
+    settledAt: Date.now(),
+    gateway: original.gateway,
+    refundOf: original._id,
+    note: reason,
+    recordedBy,
+  });
+  const error = firstValidationError(refund);
+  if (error) {
+    await unclaim();
+    return { error };
+  }
+
+  if (original.method === 'online') {
+    let result;
+    try {
+      result = await getGateway(original.gateway).refund({ amount, currency: CURRENCY, reference: original.gatewayReference });
+    } catch (err) {
+      result = { status: 'failed', message: err.message };
+    }
+    // A pending refund has been accepted by the provider, so it is booked like a successful one
+    if (result.status === 'failed') {
+      await unclaim();
+      return { error: `Refund failed: ${result.message || 'declined by the payment gateway'}` };
+    }
+    refund.gatewayReference = result.reference;
+  }
+
+  // The ledger entry is written before the invoice balance moves, so a failed save never leaves the
+  // invoice reopened without a refund to show for it. Money the gateway already returned stays claimed.
+  refund.assignReceiptNumber();
+  try {
+    await refund.save();
+  } catch (err) {
+    if (original.method !== 'online') await unclaim();
+    throw err;
+  }
+  await releaseOnInvoice(original.invoice, amount);
+  return { payment: refund };
+}
+
+// Stream a receipt for a settled ledger entry (populated with invoice, invoice.term and student) as a PDF
+function writeReceiptPdf(res, payment) {
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  const { invoice, student } = payment;
+  const refund = payment.kind === 'refund';
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${payment.receiptNumber}.pdf"`);
+  doc.pipe(res);
+
+  doc.fontSize(16).text(refund ? 'Refund Receipt' : 'Payment Receipt', { align: 'center' }).moveDown();
+  doc.fontSize(10)
+    .text(`Receipt: ${payment.receiptNumber}`)
+    .text(`Date: ${(payment.settledAt || payment.createdAt).toISOString().slice(0, 10)}`)
+    .moveDown()
+    .text(`Student: ${student.name} (${student.rollNumber})`)
+    .text(`Invoice: ${invoice.number}${invoice.term ? `, ${invoice.term.name}` : ''}`)
+    .moveDown()
+    .fontSize(12)
+    .text(`${refund ? 'Amount refunded' : 'Amount received'}: ${CURRENCY} ${fmt(payment.amount)}`)
+    .fontSize(10)
+    .text(`Method: ${payment.method.replace('_', ' ')}`);
+  if (payment.gatewayReference) doc.text(`Reference: ${payment.gatewayReference}`);
+  if (payment.note) doc.text(`Note: ${payment.note}`);
+  doc.moveDown().text(`Invoice balance now: ${CURRENCY} ${fmt(invoice.balance)}`);
+  doc.end();
+}
+
+module.exports = { recordPayment, payOnline, settlePayment, reconcilePayment, refundPayment, writeReceiptPdf };
@@ -0,0 +1,79 @@
+// Catalogue of named permissions. A permission suffixed with ":own" grants the same action
+// limited to modules the user teaches (checked by teachesModule in authMiddleware).
+const PERMISSIONS = {
+  'students:read': 'View students and their transcripts',
+  'students:write': 'Create and edit students',
+  'students:delete': 'Delete students',
+  'students:import': 'Bulk import students',
+  'students:export': 'Export students',
+  'courses:write': 'Create and edit courses',
+  'courses:delete': 'Delete courses',
+  'courses:export': 'Export courses',
+  'modules:write': 'Create and edit modules',
+  'modules:delete': 'Delete modules',
+  'modules:export': 'Export modules',
+  'modules:outcomes': 'Edit module learning outcomes',
+  'modules:outcomes:own': 'Edit learning outcomes of modules you teach',
+  'departments:write': 'Create and edit departments and grade boundaries',
+  'departments:delete': 'Delete departments',
+  'faculty:write': 'Create and edit faculty',
+  'faculty:delete': 'Delete faculty',
+  'rooms:write': 'Create and edit rooms',
+  'rooms:delete': 'Delete rooms',
+  'timetable:write': 'Edit the timetable',
+  'grades:write': 'Enter marks for any module',
+  'grades:write:own': 'Enter marks for modules you teach',
+  'attendance:write': 'Take attendance for any module',
+  'attendance:write:own': 'Take attendance for modules you teach',
+  'attendance:report': 'View attendance reports',
+  'terms:write': 'Create and edit academic terms and their registration deadlines',
+  'registrations:override': 'View student module registrations and grant registration overrides',
+  'finance:read': 'View invoices, payments and outstanding balance reports',
+  'finance:write': 'Issue invoices, add charges and record payments',
+  'finance:refund': 'Refund payments',
+  'scholarships:write': 'Create scholarships and nominate students for awards',
+  'scholarships:approve': 'Approve, reject and revoke scholarship awards',
+  'roles:manage': 'Manage roles and role assignments',
+  'users:manage': 'Manage user accounts',
+  'audit:read': 'View the audit log and record history',
+  'recycle:restore': 'View the recycle bin and restore archived records',
+};
+
+// Built-in roles. Stored Role documents with the same name override these defaults,
+// so existing users keep working before any roles have been saved.
+const SYSTEM_ROLES = {
+  // Permanent purges are limited to this role by name (requireRole('superadmin')), not by permission
+  superadmin: { label: 'Super Administrator', permissions: ['*'] },
+  admin: { label: 'Administrator', permissions: ['*'] },
+  faculty: {
+    label: 'Faculty',
+    permissions: ['students:read', 'grades:write:own', 'attendance:write:own', 'modules:outcomes:own'],
+  },
+  student: { label: 'Student', permissions: [] },
+  user: { label: 'User', permissions: [] },
+};
+
+const isKnownPermission = (permission) =>
+  permission === '*' ||
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission) ||
+  // resource wildcard, e.g. "students:*"
+  (/^[a-z]+:\*$/.test(permission) && Object.keys(PERMISSIONS).some((p) => p.startsWith(permission.slice(0, -1))));
+
+// Does a granted set cover `permission`? Supports "*" and "resource:*"
+function grants(granted, permission) {
+  if (granted.has('*') || granted.has(permission)) return true;
+  const [resource] = permission.split(':');
+  return granted.has(`${resource}:*`) && !permission.endsWith(':own');
+}
+
+// The part of `granted` that API token `scopes` allow, as a set of concrete permissions. A scope
+// also covers its ":own" variant, so "grades:write" lets a lecturer's token enter their own marks.
+function withinScopes(granted, scopes) {
+  const allowed = new Set(scopes);
+  if (allowed.has('*')) return granted;
+  const inScope = (permission) =>
+    grants(allowed, permission) || (permission.endsWith(':own') && grants(allowed, permission.slice(0, -':own'.length)));
+  return new Set(Object.keys(PERMISSIONS).filter((permission) => grants(granted, permission) && inScope(permission)));
+}
+
+module.exports = { PERMISSIONS, SYSTEM_ROLES, isKnownPermission, grants, withinScopes };
@@ -0,0 +1,98 @@
+// Module prerequisite graph helpers. A graph is a Map of module id -> node, where each node is
+// { _id, code, name, course, semester, prerequisites: [module id strings] } and an edge points
+// from a module to a module it requires.
+
+const buildGraph = (modules) =>
+  new Map(
+    modules.map((m) => [
+      String(m._id),
+      {
+        _id: m._id,
+        code: m.code,
+        name: m.name,
+        course: m.course,
+        semester: m.semester,
+        prerequisites: (m.prerequisites || []).map(String),
+      },
+    ])
+  );
+
+// A path of ids from startId back to itself along prerequisite edges, or null. Checking only the
+// edited module is enough when the rest of the graph was acyclic before the edit.
+function findCycle(graph, startId) {
+  const start = String(startId);
+  const visited = new Set();
+  const path = [start];
+  const walk = (id) => {
+    for (const next of (graph.get(id) || {}).prerequisites || []) {
+      if (next === start) return [...path, start];
+      if (visited.has(next)) continue;
+      visited.add(next);
+      path.push(next);
+      const found = walk(next);
+      if (found) return found;
+      path.pop();
+    }
+    return null;
+  };
+  return walk(start);
+}
+
+// Breadth-first walk from id along `edgesOf`; returns [{ node, depth }] nearest first
+function walkFrom(graph, id, edgesOf) {
+  const seen = new Set([String(id)]);
+  const result = [];
+  let frontier = [String(id)];
+  for (let depth = 1; frontier.length; depth++) {
+    const next = [];
+    frontier.forEach((current) =>
+      edgesOf(current).forEach((other) => {
+        if (seen.has(other) || !graph.has(other)) return;
+        seen.add(other);
+        result.push({ node: graph.get(other), depth });
+        next.push(other);
+      })
+    );
+    frontier = next;
+  }
+  return result;
+}
+
+// Everything a module requires, directly or transitively
+const ancestorsOf = (graph, id) => walkFrom(graph, id, (current) => (graph.get(current) || {}).prerequisites || []);
+
+// Everything that requires a module, directly or transitively
+function descendantsOf(graph, id) {
+  const dependents = new Map();
+  graph.forEach((node, nodeId) =>
+    node.prerequisites.forEach((p) => dependents.set(p, [...(dependents.get(p) || []), nodeId]))
+  );
+  return walkFrom(graph, id, (current) => dependents.get(current) || []);
+}
+
+// Edges between the given nodes as { from: prerequisite code, to: dependent code }
+const edgesAmong = (nodes) => {
+  const ids = new Set(nodes.map((n) => String(n._id)));
+  const codeById = new Map(nodes.map((n) => [String(n._id), n.code]));
+  return nodes.flatMap((n) =>
+    n.prerequisites.filter((p) => ids.has(p)).map((p) => ({ from: codeById.get(p), to: n.code }))
+  );
+};
+
+const dotEscape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+const dotString = (value) => `"${dotEscape(value)}"`;
+
+// Graphviz DOT, prerequisites pointing at the modules that need them. Nodes flagged
+// `external` (from another course) are drawn dashed.
+function toDot(title, nodes, edges) {
+  const lines = [`digraph ${dotString(title)} {`, '  rankdir=LR;', '  node [shape=box];'];
+  nodes.forEach((n) => {
+    const style = n.external ? ', style=dashed' : '';
+    lines.push(`  ${dotString(n.code)} [label="${dotEscape(n.code)}\\n${dotEscape(n.name)}"${style}];`);
+  });
+  edges.forEach((e) => lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)};`));
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { buildGraph, findCycle, ancestorsOf, descendantsOf, edgesAmong, toDot };
@@ -0,0 +1,29 @@
+/**
+ * Permanently delete archived records that are past the retention period
+ * (RECYCLE_RETENTION_DAYS, default seven years). Records still referenced by other
+ * records are kept and listed. Intended to run from cron.
+ *
+ * Usage: MONGO_URI=mongodb://... node scripts/purgeRecycleBin.js
+ */
+const mongoose = require('mongoose');
+const { RETENTION_DAYS, purgeExpired } = require('../utils/recycleBin');
+
+async function purgeRecycleBin({ log = console.log } = {}) {
+  const report = await purgeExpired();
+  report.skipped.forEach((s) => log(`Kept ${s.entity} ${s.label}: ${s.reason}`));
+  log(`Purged ${report.purged.length} records archived more than ${RETENTION_DAYS} days ago (${report.skipped.length} kept)`);
+  return report;
+}
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => purgeRecycleBin())
+    .then(() => mongoose.disconnect())
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = purgeRecycleBin;
@@ -0,0 +1,190 @@
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Module = require('../models/Module');
+const Department = require('../models/Department');
+const Faculty = require('../models/Faculty');
+const Room = require('../models/Room');
+const Mark = require('../models/Mark');
+const AttendanceSession = require('../models/AttendanceSession');
+const TimetableSlot = require('../models/TimetableSlot');
+const Invoice = require('../models/Invoice');
+const AcademicTerm = require('../models/AcademicTerm');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const ModuleRegistration = require('../models/ModuleRegistration');
+const RegistrationOverride = require('../models/RegistrationOverride');
+const ScholarshipAward = require('../models/ScholarshipAward');
+
+// Archived records are kept at least this long before they may be purged
+const RETENTION_DAYS = parseInt(process.env.RECYCLE_RETENTION_DAYS) || 7 * 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Everything that can be archived, children before parents so purgeExpired can clear whole
+// branches in one run. `parents` must be live before a record is restored; `scopeField` is what
+// utils/departmentScope filters on, and records without one are left to unrestricted callers.
+const RECYCLABLE = {
+  Student: { model: Student, label: (s) => `${s.rollNumber} ${s.name}`, parents: ['department', 'course'], scopeField: 'department' },
+  Module: { model: Module, label: (m) => `${m.code} ${m.name}`, parents: ['course', 'department'], scopeField: 'department' },
+  Course: { model: Course, label: (c) => `${c.code} ${c.name}`, parents: ['department'], scopeField: 'department' },
+  Faculty: { model: Faculty, label: (f) => f.name, parents: ['department'], scopeField: 'department' },
+  Room: { model: Room, label: (r) => `${r.code} ${r.name}`, parents: ['department'], scopeField: 'department' },
+  Department: { model: Department, label: (d) => `${d.code} ${d.name}`, parents: [], scopeField: '_id' },
+  AcademicTerm: { model: AcademicTerm, label: (t) => t.name, parents: [], scopeField: null },
+  Role: { model: Role, label: (r) => `${r.name} (${r.label})`, parents: [], scopeField: null },
+};
+const RECYCLABLE_ENTITIES = Object.keys(RECYCLABLE);
+
+// Records, archived or not, that still point at the one being purged and have to go first
+const PURGE_DEPENDENTS = {
+  Department: (id) => [
+    ['courses', Course, { department: id }],
+    ['modules', Module, { department: id }],
+    ['students', Student, { department: id }],
+    ['faculty members', Faculty, { department: id }],
+    ['rooms', Room, { department: id }],
+    ['invoices', Invoice, { department: id }],
+  ],
+  Course: (id) => [
+    ['modules', Module, { course: id }],
+    ['students', Student, { course: id }],
+    ['invoices', Invoice, { course: id }],
+  ],
+  // Invoices and their payments ledger are financial records and are never purged
+  Student: (id) => [['invoices', Invoice, { student: id }]],
+  Faculty: (id) => [
+    ['modules', Module, { lecturers: id }],
+    ['departments', Department, { headOfDepartment: id }],
+  ],
+  Room: (id) => [['timetable slots', TimetableSlot, { room: id }]],
+  AcademicTerm: (id) => [
+    ['enrollments', Enrollment, { term: id }],
+    ['module registrations', ModuleRegistration, { term: id }],
+    ['invoices', Invoice, { term: id }],
+    ['scholarship awards', ScholarshipAward, { $or: [{ startTerm: id }, { endTerm: id }] }],
+  ],
+  Role: (id, doc) => [['users', User, { $or: [{ role: doc.name }, { roles: doc.name }] }]],
+};
+
+// Data owned by the record that is removed with it
+const PURGE_CASCADE = {
+  Student: (id) =>
+    Promise.all([
+      Mark.deleteMany({ student: id }),
+      AttendanceSession.updateMany({ 'records.student': id }, { $pull: { records: { student: id } } }),
+      ModuleRegistration.deleteMany({ student: id }),
+      RegistrationOverride.deleteMany({ student: id }),
+      ScholarshipAward.deleteMany({ student: id }),
+    ]),
+  Module: (id) =>
+    Promise.all([
+      Mark.deleteMany({ module: id }),
+      AttendanceSession.deleteMany({ module: id }),
+      TimetableSlot.deleteMany({ module: id }),
+      ModuleRegistration.deleteMany({ module: id }),
+      RegistrationOverride.deleteMany({ module: id }),
+    ]),
+};
+
+// "students", "Student" and "student" all name the Student entity
+const recyclableEntity = (value) => {
+  const name = String(value || '').toLowerCase().replace(/s$/, '');
+  return RECYCLABLE_ENTITIES.find((e) => e.toLowerCase() === name);
+};
+
+const purgeableFrom = (doc) => new Date(doc.deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+
+// Why an archived record cannot be restored yet, or null
+async function restoreBlocker(entity, doc) {
+  for (const path of RECYCLABLE[entity].parents) {
+    const id = doc[path];
+    if (!id) continue;
+    const Parent = doc.schema.path(path).options.ref;
+    const live = await RECYCLABLE[Parent].model.exists({ _id: id });
+    if (!live) return `Restore its ${Parent.toLowerCase()} first`;
+  }
+  return entity === 'Module' ? (await prerequisiteBlocker(doc)) || slotBlocker(doc) : null;
+}
+
+// An archived module's prerequisites have to come back before it does
+async function prerequisiteBlocker(module) {
+  if (!module.prerequisites || !module.prerequisites.length) return null;
+  const archived = await Module.findOne({ _id: { $in: module.prerequisites }, deletedAt: { $ne: null } }).select(
+    'code'
+  );
+  return archived ? `Restore its prerequisite ${archived.code} first` : null;
+}
+
+// Slots of an archived module hold no room (TimetableSlot.liveFilter), so their rooms may have been
+// archived or booked since; either stops the module coming back with its timetable
+async function slotBlocker(module) {
+  for (const slot of await TimetableSlot.find({ module: module._id })) {
+    const when = `${slot.day} ${slot.startTime}-${slot.endTime}`;
+    if (!(await Room.exists({ _id: slot.room }))) {
+      return `Its ${when} slot is in an archived room; restore the room first`;
+    }
+    const taken = await TimetableSlot.exists(
+      await TimetableSlot.liveFilter({
+        room: slot.room,
+        day: slot.day,
+        startTime: { $lt: slot.endTime },
+        endTime: { $gt: slot.startTime },
+      })
+    );
+    if (taken) return `Its ${when} slot's room has been booked since; free the room first`;
+  }
+  return null;
+}
+
+// Why an archived record cannot be purged yet, or null
+async function purgeBlocker(entity, doc, now = new Date()) {
+  if (!doc.deletedAt) return 'Only archived records can be purged';
+  if (purgeableFrom(doc) > now) {
+    return `Archived records are kept for ${RETENTION_DAYS} days; this one can be purged from ${purgeableFrom(doc).toISOString().slice(0, 10)}`;
+  }
+  const dependents = PURGE_DEPENDENTS[entity] ? PURGE_DEPENDENTS[entity](doc._id, doc) : [];
+  for (const [label, Model, filter] of dependents) {
+    const query = Model.countDocuments(filter);
+    const count = await (query.withDeleted ? query.withDeleted() : query);
+    if (count > 0) return `Still referenced by ${count} ${label}`;
+  }
+  return null;
+}
+
+// Permanently remove an archived record and the data it owns. Callers check purgeBlocker first.
+async function purge(entity, doc) {
+  if (PURGE_CASCADE[entity]) await PURGE_CASCADE[entity](doc._id);
+  await doc.remove();
+}
+
+// Purge every archived record past the retention period; blocked ones are reported and kept
+async function purgeExpired(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const report = { purged: [], skipped: [] };
+  for (const entity of RECYCLABLE_ENTITIES) {
+    const { model, label } = RECYCLABLE[entity];
+    const docs = await model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+    for (const doc of docs) {
+      const reason = await purgeBlocker(entity, doc, now);
+      if (reason) {
+        report.skipped.push({ entity, id: doc._id, label: label(doc), reason });
+      } else {
+        await purge(entity, doc);
+        report.purged.push({ entity, id: doc._id, label: label(doc) });
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  RECYCLABLE,
+  RECYCLABLE_ENTITIES,
+  recyclableEntity,
+  purgeableFrom,
+  restoreBlocker,
+  purgeBlocker,
+  purge,
+  purgeExpired,
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { paginate } = require('../utils/listQuery');
+const { scopeOf, inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+const {
+  RETENTION_DAYS,
+  RECYCLABLE,
+  RECYCLABLE_ENTITIES,
+  recyclableEntity,
+  purgeableFrom,
+  restoreBlocker,
+  purgeBlocker,
+  purge,
+  purgeExpired,
+} = require('../utils/recycleBin');
+
+// Load an archived record named by :entity/:id; returns { entity, doc } or sends the 404
+const findArchived = async (req, res) => {
+  const entity = recyclableEntity(req.params.entity);
+  const doc =
+    entity && mongoose.isValidObjectId(req.params.id)
+      ? await RECYCLABLE[entity].model.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      : null;
+  if (!doc) {
+    if (req.accepts('json')) res.status(404).json({ message: 'Archived record not found' });
+    else {
+      req.flash('error', 'Archived record not found');
+      res.redirect('/recycle-bin');
+    }
+    return {};
+  }
+  return { entity, doc };
+};
+
+// null for records outside any department, which inScope only grants to unrestricted callers
+const scopeId = (entity, doc) => {
+  const { scopeField } = RECYCLABLE[entity];
+  if (!scopeField) return null;
+  return scopeField === '_id' ? doc._id : doc[scopeField];
+};
+
+// GET /recycle-bin?entity=Student — archived records of one kind, newest first; requirePermission('recycle:restore')
+const getRecycleBin = asyncHandler(async (req, res) => {
+  const entity = recyclableEntity(req.query.entity || 'Student');
+  if (!entity) {
+    const message = `Entity must be one of: ${RECYCLABLE_ENTITIES.join(', ')}`;
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect('/recycle-bin');
+  }
+  const { model, label, scopeField } = RECYCLABLE[entity];
+  // Records outside any department (terms, roles) are only listed for unrestricted callers
+  const archived = { deletedAt: { $ne: null } };
+  const filter = scopeField ? applyScope(req, archived, scopeField) : scopeOf(req) ? { _id: { $in: [] } } : archived;
+  const { docs, meta } = await paginate(model, filter, req, {
+    sort: { deletedAt: -1 },
+    populate: [{ path: 'deletedBy', select: 'name email' }],
+  });
+  const items = docs.map((doc) => ({
+    _id: doc._id,
+    label: label(doc),
+    deletedAt: doc.deletedAt,
+    deletedBy: doc.deletedBy,
+    purgeableFrom: purgeableFrom(doc),
+  }));
+
+  if (req.accepts('json')) return res.json({ entity, retentionDays: RETENTION_DAYS, data: items, meta });
+  res.render('recycle-bin/index', {
+    title: 'Recycle Bin',
+    entity,
+    entities: RECYCLABLE_ENTITIES,
+    items,
+    retentionDays: RETENTION_DAYS,
+    pagination: meta,
+  });
+});
+
+// POST /recycle-bin/:entity/:id/restore — requirePermission('recycle:restore')
+const restoreRecord = asyncHandler(async (req, res) => {
+  const { entity, doc } = await findArchived(req, res);
+  if (!doc) return;
+  if (!inScope(req, scopeId(entity, doc))) return denyOutOfScope(req, res, '/recycle-bin');
+  const error = await restoreBlocker(entity, doc);
+  if (error) {
+    if (req.accepts('json')) return res.status(409).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/recycle-bin?entity=${entity}`);
+  }
+
+  await doc.restore();
+  if (req.accepts('json')) return res.json({ message: `${entity} restored`, entity, id: doc._id });
+  req.flash('success', `${RECYCLABLE[entity].label(doc)} restored`);
+  res.redirect(`/recycle-bin?entity=${entity}`);
+});
+
+// DELETE /recycle-bin/:entity/:id — permanent, past the retention period only; requireRole('superadmin')
+const purgeRecord = asyncHandler(async (req, res) => {
+  const { entity, doc } = await findArchived(req, res);
+  if (!doc) return;
+  const error = await purgeBlocker(entity, doc);
+  if (error) {
+    if (req.accepts('json')) return res.status(409).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/recycle-bin?entity=${entity}`);
+  }
+
+  await purge(entity, doc);
+  if (req.accepts('json')) return res.json({ message: `${entity} permanently deleted`, entity, id: doc._id });
+  req.flash('success', `${RECYCLABLE[entity].label(doc)} permanently deleted`);
+  res.redirect(`/recycle-bin?entity=${entity}`);
+});
+
+// POST /recycle-bin/purge — purge everything past the retention period; requireRole('superadmin')
+const purgeExpiredRecords = asyncHandler(async (req, res) => {
+  const report = await purgeExpired();
+  if (req.accepts('json')) return res.json({ retentionDays: RETENTION_DAYS, ...report });
+  req.flash('success', `${report.purged.length} records purged, ${report.skipped.length} kept`);
+  res.redirect('/recycle-bin');
+});
+
+module.exports = { getRecycleBin, restoreRecord, purgeRecord, purgeExpiredRecords };
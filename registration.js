@@ -0,0 +1,72 @@
+const Course = require('../models/Course');
+const RegistrationOverride = require('../models/RegistrationOverride');
+const { buildTranscript } = require('./transcript');
+
+/**
+ * Everything needed to judge a student's module registration: their course and its
+ * per-semester credit limits, the modules they have passed and their active overrides.
+ */
+async function loadRegistrationContext(student) {
+  const [course, transcript, overrides] = await Promise.all([
+    Course.findById(student.course).select('name code minSemesterCredits maxSemesterCredits'),
+    buildTranscript(student),
+    RegistrationOverride.find({ student: student._id, revokedAt: null }).lean(),
+  ]);
+  const passed = new Set(
+    transcript.semesters
+      .flatMap((s) => s.modules)
+      .filter((m) => m.status === 'passed')
+      .map((m) => String(m.module._id))
+  );
+  const limits = {
+    min: course ? course.minSemesterCredits : 0,
+    max: course ? course.maxSemesterCredits : 30,
+  };
+  return { student, course, semester: student.semester, limits, passed, overrides };
+}
+
+const isOverridden = (ctx, rule, module) =>
+  ctx.overrides.some(
+    (o) =>
+      o.rule === rule &&
+      (RegistrationOverride.MODULE_RULES.includes(rule) ? String(o.module) === String(module._id) : o.semester === ctx.semester)
+  );
+
+const violation = (ctx, rule, message, module) => ({
+  rule,
+  module: module ? { _id: module._id, code: module.code } : undefined,
+  message,
+  overridden: isOverridden(ctx, rule, module),
+});
+
+// Course membership and prerequisites of one module (prerequisites populated with `code`)
+function moduleViolations(module, ctx) {
+  const violations = [];
+  if (String(module.course._id || module.course) !== String(ctx.student.course._id || ctx.student.course)) {
+    const course = ctx.course ? ` ${ctx.course.code}` : '';
+    violations.push(violation(ctx, 'course', `${module.code} is not part of the${course} course`, module));
+  }
+  const missing = (module.prerequisites || []).filter((p) => !ctx.passed.has(String(p._id || p)));
+  if (missing.length) {
+    const codes = missing.map((p) => p.code || String(p)).join(', ');
+    violations.push(violation(ctx, 'prerequisite', `${module.code} requires ${codes}, not yet passed`, module));
+  }
+  return violations;
+}
+
+// Per-semester credit limits for a total
+function creditViolations(credits, ctx) {
+  const { min, max } = ctx.limits;
+  if (credits > max) return [violation(ctx, 'max_credits', `${credits} credits selected; at most ${max} are allowed per semester`)];
+  if (credits < min) return [violation(ctx, 'min_credits', `${credits} credits selected; at least ${min} are required per semester`)];
+  return [];
+}
+
+// Check a whole semester selection. `blocking` are the violations no override waives.
+function checkRegistration(modules, ctx) {
+  const credits = modules.reduce((sum, m) => sum + m.credits, 0);
+  const violations = [...modules.flatMap((m) => moduleViolations(m, ctx)), ...creditViolations(credits, ctx)];
+  return { credits, violations, blocking: violations.filter((v) => !v.overridden) };
+}
+
+module.exports = { loadRegistrationContext, moduleViolations, creditViolations, checkRegistration };
@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Student = require('../models/Student');
+const Module = require('../models/Module');
+const ModuleRegistration = require('../models/ModuleRegistration');
+const RegistrationOverride = require('../models/RegistrationOverride');
+const AcademicTerm = require('../models/AcademicTerm');
+const { inScope, denyOutOfScope } = require('../utils/departmentScope');
+const { loadRegistrationContext, moduleViolations, checkRegistration } = require('../utils/registration');
+
+const { OVERRIDE_RULES, MODULE_RULES } = RegistrationOverride;
+const MODULE_FIELDS = 'code name credits semester course prerequisites';
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).map((v) => String(v || '').trim()).filter(Boolean);
+
+const findModules = (filter) =>
+  Module.find(filter).select(MODULE_FIELDS).populate('prerequisites', 'code').sort({ semester: 1, code: 1 });
+
+// Live registrations for `term`; ones made before terms existed count towards the student's current semester
+const currentFilter = (student, term) => ({
+  student: student._id,
+  status: 'registered',
+  $or: [...(term ? [{ term: term._id }] : []), { term: null, semester: student.semester }],
+});
+
+const currentRegistrations = (student, term) =>
+  ModuleRegistration.find(currentFilter(student, term)).populate({
+    path: 'module',
+    select: MODULE_FIELDS,
+    populate: { path: 'prerequisites', select: 'code' },
+  });
+
+// The student's registration for the term now open (or their current semester when none is) and
+// every module on offer to them
+async function registrationSummary(student) {
+  const term = await AcademicTerm.activeForRegistration();
+  const [ctx, registrations, offered] = await Promise.all([
+    loadRegistrationContext(student),
+    currentRegistrations(student, term),
+    findModules({ course: student.course }),
+  ]);
+  const registered = registrations.map((r) => r.module).filter(Boolean);
+  const registeredIds = new Set(registered.map((m) => String(m._id)));
+  const { credits, violations } = checkRegistration(registered, ctx);
+  return {
+    semester: student.semester,
+    term,
+    canAdd: Boolean(term && term.isRegistrationOpen()),
+    canDrop: Boolean(term && term.isDropOpen()),
+    limits: ctx.limits,
+    credits,
+    violations,
+    registrations,
+    offered: offered.map((module) => ({
+      module,
+      registered: registeredIds.has(String(module._id)),
+      passed: ctx.passed.has(String(module._id)),
+      violations: moduleViolations(module, ctx),
+    })),
+    overrides: ctx.overrides,
+  };
+}
+
+const myStudent = (req) => Student.findOne({ user: req.session.user._id });
+
+const noStudentRecord = (req, res) => {
+  if (req.accepts('json')) return res.status(404).json({ message: 'No student record is linked to your account' });
+  req.flash('error', 'No student record is linked to your account');
+  return res.redirect('/');
+};
+
+// GET /portal/registration — this semester's registration and what else can be taken
+const getMyRegistration = asyncHandler(async (req, res) => {
+  const student = await myStudent(req);
+  if (!student) return noStudentRecord(req, res);
+  const summary = await registrationSummary(student);
+  if (req.accepts('json')) return res.json(summary);
+  res.render('portal/registration', { title: 'Module Registration', student, ...summary });
+});
+
+// POST /portal/registration { modules, term } — replace a term's selection with `modules`; `term`
+// defaults to the one registration is open for (AcademicTerm.activeForRegistration), and naming an
+// earlier term lets its modules be dropped while the next term's registration is already open.
+// The whole selection is checked at once so the minimum credit load can be enforced. Modules can
+// be added while the term's registration window is open and dropped until its add/drop deadline.
+const submitMyRegistration = asyncHandler(async (req, res) => {
+  const student = await myStudent(req);
+  if (!student) return noStudentRecord(req, res);
+  const fail = (status, message, violations) => {
+    if (req.accepts('json')) return res.status(status).json({ message, violations });
+    req.flash('error', violations && violations.length ? violations.map((v) => v.message).join('; ') : message);
+    return res.redirect('/portal/registration');
+  };
+  if (student.status !== 'active') return fail(403, 'Only active students can register for modules');
+
+  let term;
+  if (req.body.term) {
+    term = mongoose.isValidObjectId(req.body.term) ? await AcademicTerm.findById(req.body.term) : null;
+    if (!term) return fail(400, 'Term not found');
+  } else {
+    term = await AcademicTerm.activeForRegistration();
+    if (!term) return fail(403, await AcademicTerm.closedMessage('Module registration'));
+  }
+
+  const ids = [...new Set(toList(req.body.modules))];
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) return fail(400, 'Module not found');
+  const [ctx, modules, existing] = await Promise.all([
+    loadRegistrationContext(student),
+    findModules({ _id: { $in: ids } }),
+    ModuleRegistration.find(currentFilter(student, term)),
+  ]);
+  if (modules.length !== ids.length) return fail(400, 'Module not found');
+
+  const keep = new Set(ids);
+  const existingIds = new Set(existing.map((r) => String(r.module)));
+  const adding = modules.filter((m) => !existingIds.has(String(m._id)));
+  const dropping = existing.filter((r) => !keep.has(String(r.module)));
+  if (adding.length && !term.isRegistrationOpen()) {
+    return fail(403, `Registration for ${term.name} has closed; modules can no longer be added`);
+  }
+  if (dropping.length && !term.isDropOpen()) {
+    return fail(403, `The add/drop deadline for ${term.name} has passed`);
+  }
+
+  // A module still registered in another term is finished or dropped there first
+  const elsewhere = adding.length
+    ? await ModuleRegistration.findOne({
+        student: student._id,
+        status: 'registered',
+        module: { $in: adding.map((m) => m._id) },
+        term: { $ne: term._id },
+      }).populate('module', 'code')
+    : null;
+  if (elsewhere) return fail(400, `${elsewhere.module.code} is already registered in another term`);
+
+  const { credits, violations, blocking } = checkRegistration(modules, ctx);
+  if (blocking.length) return fail(400, 'Registration not saved', blocking);
+
+  const creditOverrides = violations.filter((v) => v.overridden && !v.module).map((v) => v.rule);
+  // Drops and additions are saved together, so a failed addition leaves the old selection intact
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const r of dropping) {
+        r.status = 'dropped';
+        r.droppedAt = Date.now();
+        await r.save({ session });
+      }
+      await ModuleRegistration.create(
+        adding.map((m) => ({
+          student: student._id,
+          module: m._id,
+          term: term._id,
+          semester: student.semester,
+          registeredBy: req.session.user._id,
+          overridden: [
+            ...violations.filter((v) => v.overridden && v.module && String(v.module._id) === String(m._id)).map((v) => v.rule),
+            ...creditOverrides,
+          ],
+        })),
+        { session }
+      );
+    });
+  } catch (err) {
+    // Registered by a concurrent submission
+    if (err && err.code === 11000) return fail(409, 'Your registration changed while saving; please try again');
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  if (req.accepts('json')) return res.json({ message: 'Registration saved', term: term.name, semester: student.semester, credits, modules: ids });
+  req.flash('success', `Registered for ${modules.length} modules (${credits} credits)`);
+  res.redirect('/portal/registration');
+});
+
+// Load the student in :id for the admin endpoints, applying department scope; null once a response is sent
+const loadStudent = async (req, res) => {
+  const student = mongoose.isValidObjectId(req.params.id) ? await Student.findById(req.params.id) : null;
+  if (!student) {
+    if (req.accepts('json')) res.status(404).json({ message: 'Student not found' });
+    else {
+      req.flash('error', 'Student not found');
+      res.redirect('/students');
+    }
+    return null;
+  }
+  if (!inScope(req, student.department)) {
+    denyOutOfScope(req, res, '/students');
+    return null;
+  }
+  return student;
+};
+
+// GET /students/:id/registration — requirePermission('registrations:override')
+const getStudentRegistration = asyncHandler(async (req, res) => {
+  const student = await loadStudent(req, res);
+  if (!student) return;
+  const [summary, overrideHistory] = await Promise.all([
+    registrationSummary(student),
+    RegistrationOverride.find({ student: student._id })
+      .populate('module', 'code name')
+      .populate('grantedBy', 'name email')
+      .sort({ createdAt: -1 }),
+  ]);
+  if (req.accepts('json')) return res.json({ ...summary, overrideHistory });
+  res.render('students/registration', {
+    title: `${student.name}: Registration`,
+    student,
+    ...summary,
+    overrideHistory,
+    rules: OVERRIDE_RULES,
+  });
+});
+
+// POST /students/:id/registration-overrides { rule, module, semester, reason } — requirePermission('registrations:override')
+const grantOverride = asyncHandler(async (req, res) => {
+  const student = await loadStudent(req, res);
+  if (!student) return;
+  const { rule, module, reason } = req.body;
+  const override = new RegistrationOverride({
+    student: student._id,
+    rule,
+    module: MODULE_RULES.includes(rule) ? module : undefined,
+    semester: MODULE_RULES.includes(rule) ? undefined : parseInt(req.body.semester) || student.semester,
+    reason,
+    grantedBy: req.session.user._id,
+  });
+  let error = override.validateSync();
+  error = error ? Object.values(error.errors)[0].message : null;
+  if (!error && override.module && !(await Module.exists({ _id: override.module }))) error = 'Module not found';
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/students/${student._id}/registration`);
+  }
+
+  await override.save();
+  if (req.accepts('json')) return res.status(201).json(override);
+  req.flash('success', 'Override granted');
+  res.redirect(`/students/${student._id}/registration`);
+});
+
+// DELETE /registration-overrides/:id — requirePermission('registrations:override'). Registrations
+// already accepted under the override are kept.
+const revokeOverride = asyncHandler(async (req, res) => {
+  const override = mongoose.isValidObjectId(req.params.id)
+    ? await RegistrationOverride.findOne({ _id: req.params.id, revokedAt: null }).populate('student', 'department')
+    : null;
+  if (!override) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Override not found' });
+    req.flash('error', 'Override not found');
+    return res.redirect('/students');
+  }
+  const studentId = override.student ? override.student._id : null;
+  if (!override.student || !inScope(req, override.student.department)) return denyOutOfScope(req, res, '/students');
+
+  override.revokedAt = Date.now();
+  override.revokedBy = req.session.user._id;
+  await override.save();
+  if (req.accepts('json')) return res.json({ message: 'Override revoked' });
+  req.flash('success', 'Override revoked');
+  res.redirect(`/students/${studentId}/registration`);
+});
+
+module.exports = {
+  getMyRegistration,
+  submitMyRegistration,
+  getStudentRegistration,
+  grantOverride,
+  revokeOverride,
+};
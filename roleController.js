@@ -0,0 +1,204 @@
+const asyncHandler = require('express-async-handler');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const { PERMISSIONS, SYSTEM_ROLES, isKnownPermission } = require('../utils/permissions');
+const { scopeOf, denyOutOfScope } = require('../utils/departmentScope');
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).map((v) => String(v || '').trim()).filter(Boolean);
+
+// Users holding a role as primary or additional role
+const roleHolders = (name) => ({ $or: [{ role: name }, { roles: name }] });
+
+// List roles (built-in roles not yet saved are shown with their defaults)
+const getRoles = asyncHandler(async (req, res) => {
+  const stored = await Role.find({}).sort({ name: 1 }).lean();
+  const names = new Set(stored.map((r) => r.name));
+  const builtIn = Object.entries(SYSTEM_ROLES)
+    .filter(([name]) => !names.has(name))
+    .map(([name, def]) => ({ name, label: def.label, permissions: def.permissions, isSystem: true }));
+  const roles = [...stored, ...builtIn].sort((a, b) => a.name.localeCompare(b.name));
+  const counts = await Promise.all(roles.map((r) => User.countDocuments(roleHolders(r.name))));
+  roles.forEach((r, i) => {
+    r.userCount = counts[i];
+  });
+
+  if (req.accepts('json')) return res.json(roles);
+  res.render('roles/index', { title: 'Roles', roles, permissions: PERMISSIONS });
+});
+
+// New form
+const showNewRoleForm = (req, res) => {
+  res.render('roles/new', { title: 'Add Role', permissions: PERMISSIONS });
+};
+
+// Create
+const createRole = asyncHandler(async (req, res) => {
+  const { name, label, description } = req.body;
+  const permissions = toList(req.body.permissions);
+  const key = String(name || '').toLowerCase().trim();
+  const known = await Role.knownNames();
+  const archived = !known.has(key) && (await Role.exists({ name: key, deletedAt: { $ne: null } }));
+  if (known.has(key) || archived) {
+    const message = archived
+      ? 'A role with this name is in the recycle bin; restore it instead'
+      : 'A role with this name already exists';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect('/roles/new');
+  }
+  const unknown = permissions.filter((p) => !isKnownPermission(p));
+  if (unknown.length) {
+    if (req.accepts('json')) return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+    req.flash('error', `Unknown permissions: ${unknown.join(', ')}`);
+    return res.redirect('/roles/new');
+  }
+  const requireTwoFactor = req.body.requireTwoFactor === 'on' || req.body.requireTwoFactor === true;
+  const departmentScoped = req.body.departmentScoped === 'on' || req.body.departmentScoped === true;
+  const role = await Role.create({ name, label, description, permissions, requireTwoFactor, departmentScoped });
+  if (req.accepts('json')) return res.status(201).json(role);
+  req.flash('success', 'Role created');
+  res.redirect('/roles');
+});
+
+// Load a role by name, saving a built-in role's defaults first so it can be edited
+const findRole = async (name) => {
+  const key = String(name || '').toLowerCase();
+  if (SYSTEM_ROLES[key]) await Role.ensureSystemRoles();
+  return Role.findOne({ name: key });
+};
+
+// Edit form
+const showEditRoleForm = asyncHandler(async (req, res) => {
+  const role = await findRole(req.params.name);
+  if (!role) {
+    req.flash('error', 'Role not found');
+    return res.redirect('/roles');
+  }
+  res.render('roles/edit', { title: `Edit Role: ${role.label}`, role, permissions: PERMISSIONS });
+});
+
+// Update label, description, permissions, the two-factor requirement and department scoping. Role
+// names are permanent since users refer to them. Holders who have not enrolled in two-factor
+// sign-in are asked to at their next login.
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await findRole(req.params.name);
+  if (!role) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Role not found' });
+    req.flash('error', 'Role not found');
+    return res.redirect('/roles');
+  }
+  const permissions = toList(req.body.permissions);
+  const unknown = permissions.filter((p) => !isKnownPermission(p));
+  let error = unknown.length ? `Unknown permissions: ${unknown.join(', ')}` : null;
+  // Keep at least one way back in: the admin role always holds every permission
+  if (!error && role.name === 'admin' && !permissions.includes('*')) error = 'The admin role must keep all permissions (*)';
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/roles/${role.name}/edit`);
+  }
+
+  role.label = req.body.label || role.label;
+  role.description = req.body.description;
+  role.permissions = permissions;
+  role.requireTwoFactor = req.body.requireTwoFactor === 'on' || req.body.requireTwoFactor === true;
+  role.departmentScoped = req.body.departmentScoped === 'on' || req.body.departmentScoped === true;
+  const updated = await role.save();
+  if (req.accepts('json')) return res.json(updated);
+  req.flash('success', 'Role updated');
+  res.redirect('/roles');
+});
+
+// Delete (archived to the recycle bin) — custom roles only, and only while nobody holds them
+const deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findOne({ name: String(req.params.name || '').toLowerCase() });
+  if (!role) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Role not found' });
+    req.flash('error', 'Role not found');
+    return res.redirect('/roles');
+  }
+  let error = null;
+  if (role.isSystem || SYSTEM_ROLES[role.name]) error = 'Built-in roles cannot be deleted';
+  else if (await User.exists(roleHolders(role.name))) error = 'Cannot delete a role that is assigned to users';
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect('/roles');
+  }
+  await role.softDelete(req.session.user._id);
+  if (req.accepts('json')) return res.json({ message: 'Role moved to the recycle bin' });
+  req.flash('success', 'Role moved to the recycle bin');
+  res.redirect('/roles');
+});
+
+// PUT /users/:id/roles { role, roles } — set a user's primary and additional roles. Signed-in
+// sessions pick the change up on their next request (currentUser in authMiddleware).
+const updateUserRoles = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'User not found' });
+    req.flash('error', 'User not found');
+    return res.redirect('/users');
+  }
+  const role = String(req.body.role || user.role).toLowerCase().trim();
+  const roles = toList(req.body.roles).map((r) => r.toLowerCase()).filter((r) => r !== role);
+  const known = await Role.knownNames();
+  const unknown = [role, ...roles].filter((r) => !known.has(r));
+  let error = unknown.length ? `Unknown roles: ${unknown.join(', ')}` : null;
+  if (!error && ![role, ...roles].includes('admin') && (await User.isLastActiveAdmin(user))) {
+    error = 'Cannot remove the admin role from the last active admin';
+  }
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/users/${user._id}`);
+  }
+
+  user.role = role;
+  user.roles = [...new Set(roles)];
+  await user.save();
+  const payload = { _id: user._id, email: user.email, role: user.role, roles: user.roles };
+  if (req.accepts('json')) return res.json(payload);
+  req.flash('success', 'Roles updated');
+  res.redirect(`/users/${user._id}`);
+});
+
+// PUT /users/:id/departments { departments } — limit a user to these departments. Empty clears the
+// limit, except for holders of a department-scoped role, who are then limited to none.
+// Only unrestricted users may assign scopes, so coordinators cannot widen their own.
+const updateUserDepartments = asyncHandler(async (req, res) => {
+  if (scopeOf(req)) return denyOutOfScope(req, res, `/users/${req.params.id}`);
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'User not found' });
+    req.flash('error', 'User not found');
+    return res.redirect('/users');
+  }
+  const ids = [...new Set(toList(req.body.departments))];
+  const found = await Department.countDocuments({ _id: { $in: ids } }).catch(() => -1);
+  if (found !== ids.length) {
+    const message = 'One or more departments were not found';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(`/users/${user._id}`);
+  }
+
+  user.departments = ids;
+  await user.save();
+  const payload = { _id: user._id, email: user.email, departments: user.departments };
+  if (req.accepts('json')) return res.json(payload);
+  req.flash('success', ids.length ? 'Department scope updated' : 'Department scope cleared');
+  res.redirect(`/users/${user._id}`);
+});
+
+module.exports = {
+  getRoles,
+  showNewRoleForm,
+  createRole,
+  showEditRoleForm,
+  updateRole,
+  deleteRole,
+  updateUserRoles,
+  updateUserDepartments,
+};
@@ -0,0 +1,348 @@
+const Room = require('../models/Room');
+const Department = require('../models/Department');
+const TimetableSlot = require('../models/TimetableSlot');
+const asyncHandler = require('express-async-handler');
+const { paginate } = require('../utils/listQuery');
+const { inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Equipment arrives as an array (JSON) or a comma/newline separated string (form)
+const parseEquipment = (equipment) => {
+    const list = Array.isArray(equipment) ? equipment : String(equipment || '').split(/[,\n]/);
+    return list.map(item => String(item).trim()).filter(item => item.length > 0);
+};
+
+// @desc    Get all rooms (paginated: ?page=&limit=&sort=&fields=)
+// @route   GET /api/rooms
+// @access  Private (rooms:write)
+const getRooms = asyncHandler(async (req, res) => {
+    const { building, type, department, minCapacity } = req.query;
+    const query = {};
+
+    if (building) {
+        query.building = building;
+    }
+
+    if (type) {
+        query.type = type;
+    }
+
+    if (department) {
+        query.department = department;
+    }
+
+    if (minCapacity) {
+        query.capacity = { $gte: parseInt(minCapacity) || 0 };
+    }
+
+    const { docs: rooms, meta } = await paginate(Room, query, req, {
+        sort: { building: 1, code: 1 },
+        populate: [{ path: 'department', select: 'name code' }]
+    });
+
+    if (req.accepts('json')) {
+        return res.json({ data: rooms, meta });
+    }
+
+    const departments = await Department.find(applyScope(req, {}, '_id')).select('name code').sort({ name: 1 }).lean();
+
+    res.render('rooms/index', {
+        title: 'All Rooms',
+        rooms,
+        departments,
+        types: Room.ROOM_TYPES,
+        pagination: meta,
+        filters: {
+            building: building || '',
+            type: type || '',
+            department: department || '',
+            minCapacity: minCapacity || ''
+        }
+    });
+});
+
+// @desc    Find rooms free for a time window, e.g. ?day=tuesday&start=10:00&end=12:00&minCapacity=60
+// @route   GET /api/rooms/available
+// @access  Private (rooms:write)
+const getAvailableRooms = asyncHandler(async (req, res) => {
+    const { day, start, end, minCapacity, type, department } = req.query;
+    const dayName = String(day || '').toLowerCase();
+
+    let error = null;
+    if (!TimetableSlot.DAYS.includes(dayName)) {
+        error = `Day must be one of ${TimetableSlot.DAYS.join(', ')}`;
+    } else if (!TIME_RE.test(start || '') || !TIME_RE.test(end || '')) {
+        error = 'Start and end must be times in HH:MM format';
+    } else if (end <= start) {
+        error = 'End time must be after start time';
+    }
+
+    if (error) {
+        if (req.accepts('json')) {
+            return res.status(400).json({ message: error });
+        }
+        req.flash('error', error);
+        return res.redirect('/rooms');
+    }
+
+    // Rooms with a slot of a live module overlapping [start, end) on that day are taken
+    const bookedRoomIds = await TimetableSlot.distinct('room', await TimetableSlot.liveFilter({
+        day: dayName,
+        startTime: { $lt: end },
+        endTime: { $gt: start }
+    }));
+
+    const query = { isActive: true, _id: { $nin: bookedRoomIds } };
+    if (minCapacity) {
+        query.capacity = { $gte: parseInt(minCapacity) || 0 };
+    }
+    if (type) {
+        query.type = type;
+    }
+    if (department) {
+        query.department = department;
+    }
+
+    const rooms = await Room.find(query)
+        .populate('department', 'name code')
+        .sort({ capacity: 1, code: 1 });
+
+    if (req.accepts('json')) {
+        return res.json(rooms);
+    }
+
+    res.render('rooms/available', {
+        title: 'Available Rooms',
+        rooms,
+        types: Room.ROOM_TYPES,
+        days: TimetableSlot.DAYS,
+        filters: { day: dayName, start, end, minCapacity: minCapacity || '', type: type || '', department: department || '' }
+    });
+});
+
+// @desc    Get single room with its weekly bookings
+// @route   GET /api/rooms/:id
+// @access  Private (rooms:write)
+const getRoom = asyncHandler(async (req, res) => {
+    const room = await Room.findById(req.params.id)
+        .populate('department', 'name code');
+
+    if (!room) {
+        if (req.accepts('json')) {
+            return res.status(404).json({ message: 'Room not found' });
+        }
+        req.flash('error', 'Room not found');
+        return res.redirect('/rooms');
+    }
+
+    const slots = (await TimetableSlot.find(await TimetableSlot.liveFilter({ room: room._id }))
+        .populate('module', 'name code')
+        .sort({ startTime: 1 }))
+        .sort((a, b) => TimetableSlot.DAYS.indexOf(a.day) - TimetableSlot.DAYS.indexOf(b.day));
+
+    if (req.accepts('json')) {
+        return res.json({ ...room.toJSON(), slots });
+    }
+
+    res.render('rooms/show', {
+        title: room.name,
+        room,
+        slots
+    });
+});
+
+// @desc    Show new room form
+// @route   GET /rooms/new
+// @access  Private (rooms:write)
+const showNewRoomForm = asyncHandler(async (req, res) => {
+    const departments = await Department.find(applyScope(req, { isActive: true }, '_id')).sort({ name: 1 });
+
+    res.render('rooms/new', {
+        title: 'Add New Room',
+        departments,
+        types: Room.ROOM_TYPES
+    });
+});
+
+// @desc    Create new room
+// @route   POST /api/rooms
+// @access  Private (rooms:write)
+const createRoom = asyncHandler(async (req, res) => {
+    const { name, code, building, floor, capacity, type, equipment, department } = req.body;
+
+    // Coordinators may only add rooms owned by their department; shared rooms need an unscoped admin
+    if (!inScope(req, department)) {
+        return denyOutOfScope(req, res, '/rooms/new');
+    }
+
+    const roomExists = await Room.findOne({ code: String(code || '').toUpperCase() }).withDeleted();
+
+    if (roomExists) {
+        if (req.accepts('json')) {
+            return res.status(400).json({
+                message: 'Room with this code already exists'
+            });
+        }
+        req.flash('error', 'Room with this code already exists');
+        return res.redirect('/rooms/new');
+    }
+
+    const room = new Room({
+        name,
+        code,
+        building,
+        floor: floor === undefined || floor === '' ? undefined : parseInt(floor),
+        capacity: parseInt(capacity),
+        type,
+        equipment: parseEquipment(equipment),
+        department: department || undefined
+    });
+
+    const createdRoom = await room.save();
+
+    if (req.accepts('json')) {
+        return res.status(201).json(createdRoom);
+    }
+
+    req.flash('success', 'Room created successfully');
+    res.redirect(`/rooms/${createdRoom._id}`);
+});
+
+// @desc    Show edit room form
+// @route   GET /rooms/:id/edit
+// @access  Private (rooms:write)
+const showEditRoomForm = asyncHandler(async (req, res) => {
+    const [room, departments] = await Promise.all([
+        Room.findById(req.params.id),
+        Department.find(applyScope(req, { isActive: true }, '_id')).sort({ name: 1 })
+    ]);
+
+    if (!room) {
+        req.flash('error', 'Room not found');
+        return res.redirect('/rooms');
+    }
+
+    if (!inScope(req, room.department)) {
+        return denyOutOfScope(req, res, `/rooms/${room._id}`);
+    }
+
+    res.render('rooms/edit', {
+        title: 'Edit Room',
+        room: {
+            ...room._doc,
+            equipment: room.equipment.join(', ')
+        },
+        departments,
+        types: Room.ROOM_TYPES
+    });
+});
+
+// @desc    Update room
+// @route   PUT /api/rooms/:id
+// @access  Private (rooms:write)
+const updateRoom = asyncHandler(async (req, res) => {
+    const { name, code, building, floor, capacity, type, equipment, department, isActive } = req.body;
+
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+        if (req.accepts('json')) {
+            return res.status(404).json({ message: 'Room not found' });
+        }
+        req.flash('error', 'Room not found');
+        return res.redirect('/rooms');
+    }
+
+    if (!inScope(req, room.department) || !inScope(req, department)) {
+        return denyOutOfScope(req, res, `/rooms/${room._id}`);
+    }
+
+    // Check if another room exists with the same code
+    const roomExists = await Room.findOne({
+        _id: { $ne: room._id },
+        code: String(code || '').toUpperCase()
+    }).withDeleted();
+
+    if (roomExists) {
+        if (req.accepts('json')) {
+            return res.status(400).json({
+                message: 'Room with this code already exists'
+            });
+        }
+        req.flash('error', 'Room with this code already exists');
+        return res.redirect(`/rooms/${room._id}/edit`);
+    }
+
+    room.name = name;
+    room.code = code;
+    room.building = building;
+    room.floor = floor === undefined || floor === '' ? undefined : parseInt(floor);
+    room.capacity = parseInt(capacity);
+    room.type = type;
+    room.equipment = parseEquipment(equipment);
+    room.department = department || undefined;
+    room.isActive = isActive === 'on';
+
+    const updatedRoom = await room.save();
+
+    if (req.accepts('json')) {
+        return res.json(updatedRoom);
+    }
+
+    req.flash('success', 'Room updated successfully');
+    res.redirect(`/rooms/${updatedRoom._id}`);
+});
+
+// @desc    Delete room (archived to the recycle bin)
+// @route   DELETE /api/rooms/:id
+// @access  Private (rooms:delete)
+const deleteRoom = asyncHandler(async (req, res) => {
+    const room = await Room.findById(req.params.id);
+
+    if (!room) {
+        if (req.accepts('json')) {
+            return res.status(404).json({ message: 'Room not found' });
+        }
+        req.flash('error', 'Room not found');
+        return res.redirect('/rooms');
+    }
+
+    if (!inScope(req, room.department)) {
+        return denyOutOfScope(req, res, `/rooms/${room._id}`);
+    }
+
+    // Rooms still on the timetable cannot be deleted; deactivate them instead. Slots of archived
+    // modules do not count.
+    const slotCount = await TimetableSlot.countDocuments(await TimetableSlot.liveFilter({ room: room._id }));
+
+    if (slotCount > 0) {
+        if (req.accepts('json')) {
+            return res.status(400).json({
+                message: 'Cannot delete room that is used in the timetable'
+            });
+        }
+        req.flash('error', 'Cannot delete room that is used in the timetable');
+        return res.redirect(`/rooms/${room._id}`);
+    }
+
+    await room.softDelete(req.session.user._id);
+
+    if (req.accepts('json')) {
+        return res.json({ message: 'Room moved to the recycle bin' });
+    }
+
+    req.flash('success', 'Room moved to the recycle bin');
+    res.redirect('/rooms');
+});
+
+module.exports = {
+    getRooms,
+    getAvailableRooms,
+    getRoom,
+    showNewRoomForm,
+    createRoom,
+    showEditRoomForm,
+    updateRoom,
+    deleteRoom
+};
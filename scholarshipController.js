@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Scholarship = require('../models/Scholarship');
+const ScholarshipAward = require('../models/ScholarshipAward');
+const Invoice = require('../models/Invoice');
+const AcademicTerm = require('../models/AcademicTerm');
+const Department = require('../models/Department');
+const Student = require('../models/Student');
+const { scopeOf, inScope, denyOutOfScope } = require('../utils/departmentScope');
+const { toAmount, applyAwardToIssuedInvoices } = require('../utils/fees');
+const { buildTranscript } = require('../utils/transcript');
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(/[,\n]/)).map((v) => String(v).trim()).filter(Boolean);
+
+const AWARD_POPULATE = [
+  { path: 'scholarship', select: 'name code discountType value isActive eligibility' },
+  { path: 'student', select: 'name rollNumber department category' },
+  { path: 'startTerm', select: 'year term' },
+  { path: 'endTerm', select: 'year term' },
+  { path: 'nominatedBy', select: 'name email' },
+  { path: 'decidedBy', select: 'name email' },
+];
+
+// Copy the submitted fields onto a scholarship; returns an error message or null
+const assignScholarshipFields = (scholarship, body) => {
+  const departments = toList(body.departments);
+  if (!departments.every((id) => mongoose.isValidObjectId(id))) return 'Department not found';
+  scholarship.name = body.name;
+  scholarship.code = body.code;
+  scholarship.description = body.description;
+  scholarship.discountType = body.discountType;
+  scholarship.value = toAmount(body.value);
+  scholarship.eligibility = {
+    minCgpa: body.minCgpa === undefined || body.minCgpa === '' ? null : parseFloat(body.minCgpa),
+    departments,
+    categories: toList(body.categories).map((c) => c.toLowerCase()),
+  };
+  if (body.isActive !== undefined) scholarship.isActive = body.isActive === 'on' || body.isActive === true;
+  const validation = scholarship.validateSync();
+  return validation ? Object.values(validation.errors)[0].message : null;
+};
+
+const formOptions = async () => ({
+  discountTypes: Scholarship.DISCOUNT_TYPES,
+  departments: await Department.find({ isActive: true }).select('name code').sort({ name: 1 }).lean(),
+});
+
+// Load the scholarship in :id; null once a 404 has been sent
+const loadScholarship = async (req, res) => {
+  const scholarship = mongoose.isValidObjectId(req.params.id) ? await Scholarship.findById(req.params.id) : null;
+  if (!scholarship) {
+    if (req.accepts('json')) res.status(404).json({ message: 'Scholarship not found' });
+    else {
+      req.flash('error', 'Scholarship not found');
+      res.redirect('/scholarships');
+    }
+  }
+  return scholarship;
+};
+
+// GET /scholarships — every scheme with its number of approved and pending awards; requirePermission('finance:read')
+const getScholarships = asyncHandler(async (req, res) => {
+  const [scholarships, counts] = await Promise.all([
+    Scholarship.find().populate('eligibility.departments', 'name code').sort({ isActive: -1, name: 1 }),
+    ScholarshipAward.aggregate([
+      { $match: { status: { $in: ['approved', 'pending'] } } },
+      { $group: { _id: { scholarship: '$scholarship', status: '$status' }, count: { $sum: 1 } } },
+    ]),
+  ]);
+  const countOf = (id, status) => {
+    const found = counts.find((c) => String(c._id.scholarship) === String(id) && c._id.status === status);
+    return found ? found.count : 0;
+  };
+  const data = scholarships.map((s) => ({ ...s.toJSON(), approvedAwards: countOf(s._id, 'approved'), pendingAwards: countOf(s._id, 'pending') }));
+  if (req.accepts('json')) return res.json(data);
+  res.render('scholarships/index', { title: 'Scholarships', scholarships: data });
+});
+
+// GET /scholarships/:id — the scheme and its awards (within the caller's departments); requirePermission('finance:read')
+const getScholarship = asyncHandler(async (req, res) => {
+  const scholarship = await loadScholarship(req, res);
+  if (!scholarship) return;
+  await scholarship.populate('eligibility.departments', 'name code');
+  const awards = (await ScholarshipAward.find({ scholarship: scholarship._id }).populate(AWARD_POPULATE).sort({ createdAt: -1 })).filter(
+    (a) => a.student && inScope(req, a.student.department)
+  );
+  if (req.accepts('json')) return res.json({ ...scholarship.toJSON(), awards });
+  const terms = await AcademicTerm.find().sort({ startDate: -1 });
+  res.render('scholarships/show', { title: scholarship.name, scholarship, awards, terms });
+});
+
+// GET /scholarships/new — requirePermission('scholarships:write')
+const showNewScholarshipForm = asyncHandler(async (req, res) => {
+  res.render('scholarships/new', { title: 'Add Scholarship', ...(await formOptions()) });
+});
+
+// POST /scholarships — requirePermission('scholarships:write')
+const createScholarship = asyncHandler(async (req, res) => {
+  const scholarship = new Scholarship({ createdBy: req.session.user._id });
+  let error = assignScholarshipFields(scholarship, req.body);
+  if (!error && (await Scholarship.exists({ code: scholarship.code }))) error = 'Scholarship code already exists';
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect('/scholarships/new');
+  }
+  await scholarship.save();
+  if (req.accepts('json')) return res.status(201).json(scholarship);
+  req.flash('success', 'Scholarship created');
+  res.redirect(`/scholarships/${scholarship._id}`);
+});
+
+// GET /scholarships/:id/edit — requirePermission('scholarships:write')
+const showEditScholarshipForm = asyncHandler(async (req, res) => {
+  const scholarship = await loadScholarship(req, res);
+  if (!scholarship) return;
+  res.render('scholarships/edit', { title: `Edit ${scholarship.name}`, scholarship, ...(await formOptions()) });
+});
+
+// PUT /scholarships/:id — requirePermission('scholarships:write'). Changes apply to invoices issued
+// from now on; issued invoices keep the discount they were given.
+const updateScholarship = asyncHandler(async (req, res) => {
+  const scholarship = await loadScholarship(req, res);
+  if (!scholarship) return;
+  let error = assignScholarshipFields(scholarship, req.body);
+  if (!error && (await Scholarship.exists({ code: scholarship.code, _id: { $ne: scholarship._id } }))) {
+    error = 'Scholarship code already exists';
+  }
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect(`/scholarships/${scholarship._id}/edit`);
+  }
+  await scholarship.save();
+  if (req.accepts('json')) return res.json(scholarship);
+  req.flash('success', 'Scholarship updated');
+  res.redirect(`/scholarships/${scholarship._id}`);
+});
+
+// POST /scholarships/:id/awards { student, startTerm, endTerm, note } — nominate a student;
+// requirePermission('scholarships:write'). The student must qualify today; the award waits for approval.
+const nominateStudent = asyncHandler(async (req, res) => {
+  const scholarship = await loadScholarship(req, res);
+  if (!scholarship) return;
+  const back = `/scholarships/${scholarship._id}`;
+  const fail = (message, problems) => {
+    if (req.accepts('json')) return res.status(400).json({ message, problems });
+    req.flash('error', problems && problems.length ? `${message}: ${problems.join('; ')}` : message);
+    return res.redirect(back);
+  };
+  if (!scholarship.isActive) return fail('This scholarship is no longer offered');
+
+  const { student: studentId, startTerm: startId, endTerm: endId, note } = req.body;
+  const ids = [studentId, startId, endId].filter(Boolean);
+  if (!studentId || !startId || !ids.every((id) => mongoose.isValidObjectId(id))) return fail('Student and start term are required');
+  const [student, startTerm, endTerm] = await Promise.all([
+    Student.findById(studentId),
+    AcademicTerm.findById(startId),
+    endId ? AcademicTerm.findById(endId) : null,
+  ]);
+  if (!student) return fail('Student not found');
+  if (!inScope(req, student.department)) return denyOutOfScope(req, res, back);
+  if (!startTerm || (endId && !endTerm)) return fail('Term not found');
+  if (endTerm && endTerm.startDate < startTerm.startDate) return fail('The last term cannot be before the first');
+
+  const problems = scholarship.eligibilityProblems(student, (await buildTranscript(student)).cgpa);
+  if (problems.length) return fail(`${student.name} is not eligible`, problems);
+  const overlap = {
+    scholarship: scholarship._id,
+    student: student._id,
+    status: { $in: ['pending', 'approved'] },
+    $or: [{ endsOn: null }, { endsOn: { $gte: startTerm.startDate } }],
+  };
+  if (endTerm) overlap.startsOn = { $lte: endTerm.startDate };
+  const overlapping = await ScholarshipAward.exists(overlap);
+  if (overlapping) return fail(`${student.name} already holds or is nominated for this scholarship in those terms`);
+
+  const award = await ScholarshipAward.create({
+    scholarship: scholarship._id,
+    student: student._id,
+    startTerm: startTerm._id,
+    endTerm: endTerm ? endTerm._id : undefined,
+    startsOn: startTerm.startDate,
+    endsOn: endTerm ? endTerm.startDate : undefined,
+    note,
+    nominatedBy: req.session.user._id,
+  });
+  if (req.accepts('json')) return res.status(201).json(award);
+  req.flash('success', `${student.name} nominated; the award needs approval`);
+  res.redirect(back);
+});
+
+// Load the award in :id for a decision, applying department scope; null once a response is sent
+const loadAward = async (req, res) => {
+  const award = mongoose.isValidObjectId(req.params.id) ? await ScholarshipAward.findById(req.params.id).populate(AWARD_POPULATE) : null;
+  if (!award || !award.student || !award.scholarship) {
+    if (req.accepts('json')) res.status(404).json({ message: 'Award not found' });
+    else {
+      req.flash('error', 'Award not found');
+      res.redirect('/scholarships');
+    }
+    return null;
+  }
+  if (!inScope(req, award.student.department)) {
+    denyOutOfScope(req, res, `/scholarships/${award.scholarship._id}`);
+    return null;
+  }
+  return award;
+};
+
+// Move an award from `from` to the decision in `update`, atomically so two reviewers cannot both decide it
+const decide = (award, from, update) =>
+  ScholarshipAward.findOneAndUpdate({ _id: award._id, status: from }, { $set: update }, { new: true });
+
+// POST /scholarship-awards/:id/approve { note } — requirePermission('scholarships:approve').
+// The approver cannot be the nominator, the scheme must still be offered and eligibility is
+// checked again. Unpaid invoices already issued for running terms the award covers get its discount
+// too (fees.applyAwardToIssuedInvoices).
+const approveAward = asyncHandler(async (req, res) => {
+  const award = await loadAward(req, res);
+  if (!award) return;
+  const back = `/scholarships/${award.scholarship._id}`;
+  const fail = (message) => {
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(back);
+  };
+  if (award.status !== 'pending') return fail(`This award is already ${award.status}`);
+  if (!award.scholarship.isActive) return fail('This scholarship is no longer offered');
+  if (award.nominatedBy && String(award.nominatedBy._id) === String(req.session.user._id)) {
+    return fail('An award must be approved by someone other than the person who nominated the student');
+  }
+  const student = await Student.findById(award.student._id);
+  const problems = award.scholarship.eligibilityProblems(student, (await buildTranscript(student)).cgpa);
+  if (problems.length) return fail(`${student.name} is no longer eligible: ${problems.join('; ')}`);
+
+  const approved = await decide(award, 'pending', {
+    status: 'approved',
+    decidedBy: req.session.user._id,
+    decidedAt: Date.now(),
+    decisionNote: req.body.note,
+  });
+  if (!approved) return fail('This award has already been decided');
+  const { updated, skipped } = await applyAwardToIssuedInvoices(award);
+  if (req.accepts('json')) {
+    return res.json({ ...approved.toJSON(), invoicesUpdated: updated.map((i) => i.number), invoicesSkipped: skipped });
+  }
+  const applied = updated.length ? `; discount added to ${updated.map((i) => i.number).join(', ')}` : '';
+  req.flash('success', `Award to ${student.name} approved${applied}`);
+  res.redirect(back);
+});
+
+// POST /scholarship-awards/:id/reject { note } — requirePermission('scholarships:approve')
+const rejectAward = asyncHandler(async (req, res) => {
+  const award = await loadAward(req, res);
+  if (!award) return;
+  const back = `/scholarships/${award.scholarship._id}`;
+  const rejected = await decide(award, 'pending', {
+    status: 'rejected',
+    decidedBy: req.session.user._id,
+    decidedAt: Date.now(),
+    decisionNote: req.body.note,
+  });
+  if (!rejected) {
+    const message = 'This award has already been decided';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(back);
+  }
+  if (req.accepts('json')) return res.json(rejected);
+  req.flash('success', 'Nomination rejected');
+  res.redirect(back);
+});
+
+// POST /scholarship-awards/:id/revoke { reason } — requirePermission('scholarships:approve').
+// Invoices already issued keep their discount.
+const revokeAward = asyncHandler(async (req, res) => {
+  const award = await loadAward(req, res);
+  if (!award) return;
+  const back = `/scholarships/${award.scholarship._id}`;
+  const reason = String(req.body.reason || '').trim();
+  const revoked = reason
+    ? await decide(award, 'approved', { status: 'revoked', revokedBy: req.session.user._id, revokedAt: Date.now(), decisionNote: reason })
+    : null;
+  if (!revoked) {
+    const message = reason ? 'Only approved awards can be revoked' : 'A reason is required to revoke an award';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(back);
+  }
+  if (req.accepts('json')) return res.json(revoked);
+  req.flash('success', 'Award revoked');
+  res.redirect(back);
+});
+
+// GET /finance/scholarship-discounts?term= — discount granted per scholarship per term on issued
+// invoices; requirePermission('finance:read')
+const getDiscountReport = asyncHandler(async (req, res) => {
+  const match = {};
+  if (req.query.term) {
+    if (!mongoose.isValidObjectId(req.query.term)) {
+      if (req.accepts('json')) return res.status(400).json({ message: 'Term not found' });
+      req.flash('error', 'Term not found');
+      return res.redirect('/finance/scholarship-discounts');
+    }
+    match.term = new mongoose.Types.ObjectId(String(req.query.term));
+  }
+  const scope = scopeOf(req);
+  if (scope) match.department = { $in: scope.map((id) => new mongoose.Types.ObjectId(id)) };
+
+  const rows = await Invoice.discountsByScholarship(match);
+  const total = Math.round(rows.reduce((sum, r) => sum + r.discount, 0) * 100) / 100;
+  if (req.accepts('json')) return res.json({ data: rows, total });
+  const terms = await AcademicTerm.find().sort({ startDate: -1 });
+  res.render('finance/scholarship-discounts', { title: 'Scholarship Discounts', rows, total, terms, filters: { term: req.query.term || '' } });
+});
+
+// GET /portal/scholarships — the logged-in student's awards and nominations
+const getMyScholarships = asyncHandler(async (req, res) => {
+  const student = await Student.findOne({ user: req.session.user._id });
+  if (!student) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'No student record is linked to your account' });
+    req.flash('error', 'No student record is linked to your account');
+    return res.redirect('/');
+  }
+  const awards = await ScholarshipAward.find({ student: student._id, status: { $in: ['pending', 'approved'] } })
+    .populate('scholarship', 'name code discountType value')
+    .populate('startTerm', 'year term')
+    .populate('endTerm', 'year term')
+    .sort({ startsOn: -1 });
+  if (req.accepts('json')) return res.json(awards);
+  res.render('portal/scholarships', { title: 'My Scholarships', awards });
+});
+
+module.exports = {
+  getScholarships,
+  getScholarship,
+  showNewScholarshipForm,
+  createScholarship,
+  showEditScholarshipForm,
+  updateScholarship,
+  nominateStudent,
+  approveAward,
+  rejectAward,
+  revokeAward,
+  getDiscountReport,
+  getMyScholarships,
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const { paginate, escapeRegex, endOf } = require('../utils/listQuery');
+const { scopeOf, denyOutOfScope } = require('../utils/departmentScope');
+const { unlockAccount, unblockIp } = require('../utils/loginThrottle');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { endSessions } = require('../utils/sessions');
+
+const { SECURITY_EVENT_TYPES } = SecurityEvent;
+
+// A department-scoped caller may only act on accounts in their departments (User.inDepartments)
+const userInScope = async (req, user) => {
+  const scope = scopeOf(req);
+  return !scope || user.inDepartments(scope);
+};
+
+// GET /security/events?type=&email=&ip=&from=&to= — lockouts, unlocks and two-factor changes, newest first;
+// requirePermission('users:manage')
+const getSecurityEvents = asyncHandler(async (req, res) => {
+  const { type, email, ip, from, to } = req.query;
+  const filter = {};
+  let error = null;
+  if (type) {
+    if (SECURITY_EVENT_TYPES.includes(type)) filter.type = type;
+    else error = `Type must be one of: ${SECURITY_EVENT_TYPES.join(', ')}`;
+  }
+  if (email) filter.email = { $regex: escapeRegex(String(email).toLowerCase()) };
+  if (ip) filter.ip = String(ip);
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = new Date(from);
+    if (to) filter.at.$lt = endOf(to);
+    if (Object.values(filter.at).some((d) => isNaN(d))) error = 'Dates must be in YYYY-MM-DD format';
+  }
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect('/security/events');
+  }
+
+  const { docs: events, meta } = await paginate(SecurityEvent, filter, req, {
+    sort: { at: -1 },
+    populate: [{ path: 'actor', select: 'name email' }],
+  });
+  if (req.accepts('json')) return res.json({ data: events, meta });
+  res.render('security/events', {
+    title: 'Security Events',
+    events,
+    pagination: meta,
+    types: SECURITY_EVENT_TYPES,
+    filters: { type: type || '', email: email || '', ip: ip || '', from: from || '', to: to || '' },
+  });
+});
+
+// GET /security/lockouts — accounts (within the caller's departments) and addresses locked out right now;
+// requirePermission('users:manage')
+const getLockouts = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const scope = scopeOf(req);
+  const locked = { lockedUntil: { $gt: now }, ...(scope ? await User.departmentFilter(scope) : {}) };
+  const [users, addresses] = await Promise.all([
+    User.find(locked).select('name email role lockedUntil lockoutCount lastFailedLoginAt').sort({ lockedUntil: -1 }),
+    LoginThrottle.find({ blockedUntil: { $gt: now } }).select('ip blockedUntil blockCount').sort({ blockedUntil: -1 }),
+  ]);
+  if (req.accepts('json')) return res.json({ users, addresses });
+  res.render('security/lockouts', { title: 'Lockouts', users, addresses });
+});
+
+// POST /users/:id/unlock — requirePermission('users:manage')
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'User not found' });
+    req.flash('error', 'User not found');
+    return res.redirect('/security/lockouts');
+  }
+  if (!(await userInScope(req, user))) return denyOutOfScope(req, res, '/security/lockouts');
+  if (!user.isLocked() && !user.failedLoginAttempts) {
+    const message = 'This account is not locked';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect('/security/lockouts');
+  }
+  await unlockAccount(user, req.session.user._id, req.ip);
+  if (req.accepts('json')) return res.json({ message: 'Account unlocked' });
+  req.flash('success', `${user.email} unlocked`);
+  res.redirect('/security/lockouts');
+});
+
+// POST /security/unblock-ip { ip } — requirePermission('users:manage')
+const unblockAddress = asyncHandler(async (req, res) => {
+  const ip = String(req.body.ip || '').trim();
+  if (!ip || !(await unblockIp(ip, req.session.user._id))) {
+    const message = 'That address is not blocked';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect('/security/lockouts');
+  }
+  if (req.accepts('json')) return res.json({ message: 'Address unblocked' });
+  req.flash('success', `${ip} unblocked`);
+  res.redirect('/security/lockouts');
+});
+
+// POST /users/:id/two-factor/reset — for a lost authenticator: turns two-factor sign-in off and
+// signs the account out; a role that requires it makes the user enroll again at their next login.
+// requirePermission('users:manage'), requireSession
+const resetTwoFactor = asyncHandler(async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'User not found' });
+    req.flash('error', 'User not found');
+    return res.redirect('/users');
+  }
+  if (!(await userInScope(req, user))) return denyOutOfScope(req, res, '/users');
+  if (!user.twoFactor.enabled) {
+    const message = 'Two-factor sign-in is not on for this account';
+    if (req.accepts('json')) return res.status(400).json({ message });
+    req.flash('error', message);
+    return res.redirect(`/users/${user._id}`);
+  }
+  await disableTwoFactor(user, req.session.user._id, req);
+  await endSessions(req.sessionStore, user._id, String(user._id) === String(req.session.user._id) ? req.sessionID : null);
+  if (req.accepts('json')) return res.json({ message: 'Two-factor sign-in reset' });
+  req.flash('success', `Two-factor sign-in reset for ${user.email}`);
+  res.redirect(`/users/${user._id}`);
+});
+
+module.exports = { getSecurityEvents, getLockouts, unlockUser, unblockAddress, resetTwoFactor };
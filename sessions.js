@@ -0,0 +1,33 @@
+const UserSession = require('../models/UserSession');
+
+// Remember that the current session belongs to `user`; call once req.session.user is set
+const trackSession = (req, user) =>
+  UserSession.updateOne(
+    { sid: req.sessionID },
+    { $set: { user: user._id, ip: req.ip, userAgent: req.get('user-agent') } },
+    { upsert: true }
+  );
+
+const forgetSession = (req) => UserSession.deleteOne({ sid: req.sessionID });
+
+// Destroy every session of `userId` in the session store except `keepSid`; returns how many ended
+async function endSessions(store, userId, keepSid = null) {
+  const filter = { user: userId };
+  if (keepSid) filter.sid = { $ne: keepSid };
+  const records = await UserSession.find(filter).select('sid');
+  await Promise.all(
+    records.map(
+      (r) =>
+        new Promise((resolve, reject) => {
+          store.destroy(r.sid, (err) => (err ? reject(err) : resolve()));
+        })
+    )
+  );
+  await UserSession.deleteMany({ _id: { $in: records.map((r) => r._id) } });
+  return records.length;
+}
+
+// Log `userId` out everywhere but the current request's session
+const endOtherSessions = (req, userId) => endSessions(req.sessionStore, userId, req.sessionID);
+
+module.exports = { trackSession, forgetSession, endSessions, endOtherSessions };
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose plugin for records that are archived rather than deleted. Adds `deletedAt`/`deletedBy`
+ * and hides archived documents from find/findOne/count/distinct/aggregate unless the filter (or
+ * the first $match stage) mentions deletedAt or the query uses the `.withDeleted()` helper.
+ * Adds `doc.softDelete(userId)` and `doc.restore()`; permanent removal is left to utils/recycleBin.
+ */
+function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  });
+
+  // A filter that already mentions deletedAt (e.g. the recycle bin's { $ne: null }) is left alone
+  schema.pre(['find', 'findOne', 'count', 'countDocuments', 'distinct'], function () {
+    if (this._withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+  schema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (first && first.$match && first.$match.deletedAt !== undefined) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.query.withDeleted = function () {
+    this._withDeleted = true;
+    return this;
+  };
+
+  schema.methods.softDelete = function (userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save();
+  };
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+}
+
+module.exports = { softDelete };
@@ -0,0 +1,176 @@
+const ExcelJS = require('exceljs');
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Flatten ExcelJS cell values (rich text, hyperlinks, formulas, dates) to plain strings
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((r) => r.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+  if (!sheet) return rows;
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    // row.values is 1-indexed
+    rows.push(row.values.slice(1).map(cellText));
+  });
+  return rows;
+}
+
+const isXlsx = (filename = '', mimetype = '') =>
+  /\.xlsx$/i.test(filename) || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Read an uploaded CSV or XLSX buffer into { headers, rows }.
+ * Each row is { line, values } where line is the 1-based line in the source file
+ * (so error reports can point at the spreadsheet row) and values is keyed by header.
+ * Fully blank lines are skipped.
+ */
+async function readSheet(buffer, { filename, mimetype } = {}) {
+  const table = isXlsx(filename, mimetype) ? await parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  const [headerRow = [], ...body] = table;
+  const headers = headerRow.map((h) => String(h).trim());
+  const rows = [];
+  body.forEach((cells, idx) => {
+    if (cells.every((c) => String(c).trim() === '')) return;
+    const values = {};
+    headers.forEach((h, col) => {
+      if (h) values[h] = String(cells[col] === undefined ? '' : cells[col]).trim();
+    });
+    rows.push({ line: idx + 2, values });
+  });
+  return { headers, rows };
+}
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+};
+
+const isExportFormat = (format) => Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+
+// Text a spreadsheet would read as a formula (=, +, -, @, or a leading tab/CR) is prefixed with an
+// apostrophe so it opens as plain text. Numbers are left alone, so negative amounts stay numeric.
+const safeCell = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(safeCell(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolve once the socket can take more data, or once the client has gone away
+const drained = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+
+/**
+ * Stream documents from a Mongoose query cursor to the response as CSV, XLSX or NDJSON.
+ * columns: [{ key, header, value: (doc) => scalar }]. key names NDJSON properties, header
+ * labels CSV/XLSX columns. Nothing is buffered beyond the cursor batch and the socket buffer.
+ */
+async function streamExport(res, cursor, { format = 'csv', filename = 'export', columns }) {
+  const spec = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', spec.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${spec.ext}"`);
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(filename);
+      sheet.addRow(columns.map((c) => safeCell(c.header))).commit();
+      for await (const doc of cursor) {
+        if (res.destroyed) break;
+        sheet.addRow(columns.map((c) => safeCell(c.value(doc)))).commit();
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await drained(res);
+    };
+    if (format === 'csv') await write(`${columns.map((c) => csvCell(c.header)).join(',')}\r\n`);
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      if (format === 'csv') {
+        await write(`${columns.map((c) => csvCell(c.value(doc))).join(',')}\r\n`);
+      } else {
+        const row = {};
+        columns.forEach((c) => {
+          row[c.key] = c.value(doc);
+        });
+        await write(`${JSON.stringify(row)}\n`);
+      }
+    }
+    res.end();
+  } catch (err) {
+    // Once bytes are on the wire the error handler can no longer send a response
+    if (!res.headersSent) throw err;
+    res.destroy(err);
+  }
+}
+
+// Helpers for flattening populated documents into export cells
+const exportDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const refField = (ref, field) => (ref && ref[field] !== undefined ? ref[field] : '');
+
+module.exports = { parseCsv, readSheet, EXPORT_FORMATS, isExportFormat, streamExport, exportDate, refField };
@@ -1,26 +1,58 @@
+const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
 const Student = require('../models/Student');
 const Department = require('../models/Department');
 const Course = require('../models/Course');
 const User = require('../models/User');
+const { paginate, dropdownOptions } = require('../utils/listQuery');
+const { historyForViewer } = require('../utils/audit');
+const { scopeOf, inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+const { buildTranscript, writeTranscriptPdf } = require('../utils/transcript');
+const { readSheet, isExportFormat, streamExport, exportDate, refField } = require('../utils/spreadsheet');
 
-// List students with filters
-const getStudents = asyncHandler(async (req, res) => {
-  const { department, course, search, status } = req.query;
+// Filters shared by the list and export endpoints
+const buildStudentFilter = ({ department, course, search, status }) => {
   const query = {};
   if (department) query.department = department;
   if (course) query.course = course;
   if (status) query.status = status;
   if (search) query.$text = { $search: search };
+  return query;
+};
 
-  const [students, departments, courses] = await Promise.all([
-    Student.find(query).populate('department', 'name code').populate('course', 'name code').sort({ createdAt: -1 }),
-    Department.find({}).sort({ name: 1 }),
-    Course.find({}).sort({ name: 1 }),
-  ]);
+// List students with filters, paginated (?page=&limit=&sort=&fields=)
+const getStudents = asyncHandler(async (req, res) => {
+  const { department, course, search, status } = req.query;
+  const query = applyScope(req, buildStudentFilter(req.query));
+
+  const { docs: students, meta } = await paginate(Student, query, req, {
+    sort: { createdAt: -1 },
+    populate: [
+      { path: 'department', select: 'name code' },
+      { path: 'course', select: 'name code' },
+    ],
+  });
 
-  if (req.accepts('json')) return res.json(students);
-  res.render('students/index', { title: 'Students', students, departments, courses, filters: { department: department||'', course: course||'', search: search||'', status: status||'' } });
+  if (req.accepts('json')) return res.json({ data: students, meta });
+
+  // Dropdowns only need name/code, and only a searchable first page of each
+  const [departments, courses] = await Promise.all([
+    dropdownOptions(Department, applyScope(req, {}, '_id'), req, { param: 'departmentSearch', selected: department }),
+    dropdownOptions(Course, applyScope(req, {}), req, {
+      param: 'courseSearch',
+      selected: course,
+      select: 'name code department',
+    }),
+  ]);
+  res.render('students/index', {
+    title: 'Students',
+    students,
+    departments: departments.options,
+    courses: courses.options,
+    dropdowns: { departments, courses },
+    pagination: meta,
+    filters: { department: department || '', course: course || '', search: search || '', status: status || '' },
+  });
 });
 
 // Single student
@@ -33,23 +65,75 @@ const getStudent = asyncHandler(async (req, res) => {
     req.flash('error', 'Student not found');
     return res.redirect('/students');
   }
-  if (req.accepts('json')) return res.json(student);
-  res.render('students/show', { title: student.name, student });
+  if (!inScope(req, student.department)) return denyOutOfScope(req, res, '/students');
+  const transcript = await buildTranscript(student);
+  if (req.accepts('json')) return res.json({ ...student.toJSON(), transcript });
+  const history = await historyForViewer(req, 'Student', student._id);
+  res.render('students/show', { title: student.name, student, transcript, history });
+});
+
+// Transcript: PDF download by default, ?format=json for the raw data
+const getStudentTranscript = asyncHandler(async (req, res) => {
+  const student = await Student.findById(req.params.id)
+    .populate('department', 'name code')
+    .populate('course', 'name code');
+  if (!student) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Student not found' });
+    req.flash('error', 'Student not found');
+    return res.redirect('/students');
+  }
+  if (!inScope(req, student.department)) return denyOutOfScope(req, res, '/students');
+  const transcript = await buildTranscript(student);
+  if (req.query.format === 'json') return res.json(transcript);
+  writeTranscriptPdf(res, transcript);
+});
+
+// GET /portal/transcript — the logged-in student's own transcript (?format=pdf to download)
+const getMyTranscript = asyncHandler(async (req, res) => {
+  const student = await Student.findOne({ user: req.session.user._id })
+    .populate('department', 'name code')
+    .populate('course', 'name code');
+  if (!student) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'No student record is linked to your account' });
+    req.flash('error', 'No student record is linked to your account');
+    return res.redirect('/');
+  }
+  const transcript = await buildTranscript(student);
+  if (req.query.format === 'pdf') return writeTranscriptPdf(res, transcript);
+  if (req.accepts('json')) return res.json(transcript);
+  res.render('portal/transcript', { title: 'My Transcript', transcript });
 });
 
 // New form
-const showNewStudentForm = asyncHandler(async (req, res) => {
-  const [departments, courses] = await Promise.all([
-    Department.find({ isActive: true }).sort({ name: 1 }),
-    Course.find({ isActive: true }).sort({ name: 1 }),
+// Department and course choices for the student forms; `student` keeps its current ones listed
+const studentFormDropdowns = (req, student) =>
+  Promise.all([
+    dropdownOptions(Department, applyScope(req, { isActive: true }, '_id'), req, {
+      param: 'departmentSearch',
+      selected: student && student.department,
+    }),
+    dropdownOptions(Course, applyScope(req, { isActive: true }), req, {
+      param: 'courseSearch',
+      selected: student && student.course,
+      select: 'name code department',
+    }),
   ]);
-  res.render('students/new', { title: 'Add Student', departments, courses });
+
+const showNewStudentForm = asyncHandler(async (req, res) => {
+  const [departments, courses] = await studentFormDropdowns(req);
+  res.render('students/new', {
+    title: 'Add Student',
+    departments: departments.options,
+    courses: courses.options,
+    dropdowns: { departments, courses },
+  });
 });
 
 // Create
 const createStudent = asyncHandler(async (req, res) => {
-  const { name, email, rollNumber, department, course, year, semester, enrollmentDate, status, notes, createLogin, password } = req.body;
-  const exists = await Student.findOne({ $or: [{ email }, { rollNumber: rollNumber.toUpperCase() }] });
+  const { name, email, rollNumber, department, course, year, semester, enrollmentDate, status, category, notes, createLogin, password } = req.body;
+  if (!inScope(req, department)) return denyOutOfScope(req, res, '/students/new');
+  const exists = await Student.findOne({ $or: [{ email }, { rollNumber: rollNumber.toUpperCase() }] }).withDeleted();
   if (exists) {
     if (req.accepts('json')) return res.status(400).json({ message: 'Email or Roll Number already exists' });
     req.flash('error', 'Email or Roll Number already exists');
@@ -65,6 +149,7 @@ const createStudent = asyncHandler(async (req, res) => {
     semester: parseInt(semester) || 1,
     enrollmentDate: enrollmentDate || Date.now(),
     status: status || 'active',
+    category: category || undefined,
     notes,
   });
 
@@ -94,32 +179,40 @@ const createStudent = asyncHandler(async (req, res) => {
 
 // Edit form
 const showEditStudentForm = asyncHandler(async (req, res) => {
-  const [student, departments, courses] = await Promise.all([
-    Student.findById(req.params.id),
-    Department.find({ isActive: true }).sort({ name: 1 }),
-    Course.find({ isActive: true }).sort({ name: 1 }),
-  ]);
+  const student = await Student.findById(req.params.id);
   if (!student) {
     req.flash('error', 'Student not found');
     return res.redirect('/students');
   }
-  res.render('students/edit', { title: 'Edit Student', student, departments, courses });
+  if (!inScope(req, student.department)) return denyOutOfScope(req, res, '/students');
+  const [departments, courses] = await studentFormDropdowns(req, student);
+  res.render('students/edit', {
+    title: 'Edit Student',
+    student,
+    departments: departments.options,
+    courses: courses.options,
+    dropdowns: { departments, courses },
+  });
 });
 
 // Update
 const updateStudent = asyncHandler(async (req, res) => {
-  const { name, email, rollNumber, department, course, year, semester, enrollmentDate, status, notes, createLogin, password, resetPassword } = req.body;
+  const { name, email, rollNumber, department, course, year, semester, enrollmentDate, status, category, notes, createLogin, password, resetPassword } = req.body;
   const student = await Student.findById(req.params.id);
   if (!student) {
     if (req.accepts('json')) return res.status(404).json({ message: 'Student not found' });
     req.flash('error', 'Student not found');
     return res.redirect('/students');
   }
+  // Both the current and the new department must be within a coordinator's scope
+  if (!inScope(req, student.department) || !inScope(req, department)) {
+    return denyOutOfScope(req, res, `/students/${student._id}`);
+  }
   // unique checks excluding current id
   const exists = await Student.findOne({
     _id: { $ne: student._id },
     $or: [{ email: email.toLowerCase() }, { rollNumber: rollNumber.toUpperCase() }],
-  });
+  }).withDeleted();
   if (exists) {
     if (req.accepts('json')) return res.status(400).json({ message: 'Email or Roll Number already exists' });
     req.flash('error', 'Email or Roll Number already exists');
@@ -135,6 +228,7 @@ const updateStudent = asyncHandler(async (req, res) => {
   student.semester = parseInt(semester) || student.semester;
   student.enrollmentDate = enrollmentDate || student.enrollmentDate;
   student.status = status || student.status;
+  if (category !== undefined) student.category = category || undefined;
   student.notes = notes;
 
   const updated = await student.save();
@@ -178,7 +272,7 @@ const updateStudent = asyncHandler(async (req, res) => {
   res.redirect(`/students/${updated._id}`);
 });
 
-// Delete
+// Delete (archived to the recycle bin)
 const deleteStudent = asyncHandler(async (req, res) => {
   const student = await Student.findById(req.params.id);
   if (!student) {
@@ -186,12 +280,228 @@ const deleteStudent = asyncHandler(async (req, res) => {
     req.flash('error', 'Student not found');
     return res.redirect('/students');
   }
-  await student.deleteOne();
-  if (req.accepts('json')) return res.json({ message: 'Student removed' });
-  req.flash('success', 'Student deleted');
+  if (!inScope(req, student.department)) return denyOutOfScope(req, res, '/students');
+  await student.softDelete(req.session.user._id);
+  if (req.accepts('json')) return res.json({ message: 'Student moved to the recycle bin' });
+  req.flash('success', 'Student moved to the recycle bin');
+  res.redirect('/students');
+});
+
+// Spreadsheet header -> Student field. Headers are matched case/space/underscore-insensitively.
+const IMPORT_COLUMNS = {
+  name: 'name',
+  email: 'email',
+  rollnumber: 'rollNumber',
+  rollno: 'rollNumber',
+  department: 'department',
+  departmentcode: 'department',
+  course: 'course',
+  coursecode: 'course',
+  year: 'year',
+  semester: 'semester',
+  enrollmentdate: 'enrollmentDate',
+  status: 'status',
+  category: 'category',
+  notes: 'notes',
+  password: 'password',
+};
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeImportRow = (values) => {
+  const row = {};
+  Object.entries(values).forEach(([header, value]) => {
+    const field = IMPORT_COLUMNS[header.toLowerCase().replace(/[\s_-]/g, '')];
+    if (field && value !== '') row[field] = value;
+  });
+  return row;
+};
+
+// Validate every row against the same rules as createStudent. Returns { report, students, users }.
+// `scope` is the importer's department scope (null for unrestricted).
+const validateImportRows = async (rows, { createLogins, scope }) => {
+  const normalized = rows.map(({ line, values }) => ({ line, data: normalizeImportRow(values) }));
+  const emails = normalized.map((r) => (r.data.email || '').toLowerCase()).filter(Boolean);
+  const rolls = normalized.map((r) => (r.data.rollNumber || '').toUpperCase()).filter(Boolean);
+  const deptCodes = [...new Set(normalized.map((r) => (r.data.department || '').toUpperCase()).filter(Boolean))];
+  const courseCodes = [...new Set(normalized.map((r) => (r.data.course || '').toUpperCase()).filter(Boolean))];
+
+  const [departments, courses, existingStudents, existingUsers] = await Promise.all([
+    Department.find({ code: { $in: deptCodes } }).select('code'),
+    Course.find({ code: { $in: courseCodes } }).select('code department'),
+    Student.find({ $or: [{ email: { $in: emails } }, { rollNumber: { $in: rolls } }] }).select('email rollNumber').withDeleted(),
+    createLogins ? User.find({ email: { $in: emails } }).select('email') : [],
+  ]);
+  const deptByCode = new Map(departments.map((d) => [d.code, d]));
+  const courseByCode = new Map(courses.map((c) => [c.code, c]));
+  const takenEmails = new Set(existingStudents.map((s) => s.email));
+  const takenRolls = new Set(existingStudents.map((s) => s.rollNumber));
+  const takenUserEmails = new Set(existingUsers.map((u) => u.email));
+  const seenEmails = new Set();
+  const seenRolls = new Set();
+
+  const report = [];
+  const students = [];
+  const users = [];
+
+  normalized.forEach(({ line, data }) => {
+    const errors = [];
+    ['name', 'email', 'rollNumber', 'department', 'course'].forEach((field) => {
+      if (!data[field]) errors.push(`${field} is required`);
+    });
+    const email = (data.email || '').toLowerCase();
+    const rollNumber = (data.rollNumber || '').toUpperCase();
+
+    if (email && !EMAIL_RE.test(email)) errors.push('email is not valid');
+    if (email && takenEmails.has(email)) errors.push('Email already exists');
+    if (email && seenEmails.has(email)) errors.push('Email is duplicated in this file');
+    if (rollNumber && takenRolls.has(rollNumber)) errors.push('Roll Number already exists');
+    if (rollNumber && seenRolls.has(rollNumber)) errors.push('Roll Number is duplicated in this file');
+    if (email) seenEmails.add(email);
+    if (rollNumber) seenRolls.add(rollNumber);
+
+    const department = data.department && deptByCode.get(data.department.toUpperCase());
+    const course = data.course && courseByCode.get(data.course.toUpperCase());
+    if (data.department && !department) errors.push(`Department code ${data.department} not found`);
+    if (data.course && !course) errors.push(`Course code ${data.course} not found`);
+    if (department && scope && !scope.includes(String(department._id))) {
+      errors.push(`Department ${department.code} is outside your scope`);
+    }
+    if (department && course && String(course.department) !== String(department._id)) {
+      errors.push(`Course ${course.code} does not belong to department ${department.code}`);
+    }
+
+    const student = new Student({
+      name: data.name,
+      email,
+      rollNumber,
+      department: department && department._id,
+      course: course && course._id,
+      year: parseInt(data.year) || 1,
+      semester: parseInt(data.semester) || 1,
+      enrollmentDate: data.enrollmentDate || Date.now(),
+      status: data.status || 'active',
+      category: data.category,
+      notes: data.notes,
+    });
+    const validation = student.validateSync();
+    if (validation) {
+      Object.values(validation.errors)
+        .filter((e) => !['department', 'course', 'name', 'email', 'rollNumber'].includes(e.path))
+        .forEach((e) => errors.push(e.message));
+    }
+
+    if (createLogins) {
+      if (email && takenUserEmails.has(email)) errors.push('A user with this email already exists');
+      if (!data.password || data.password.length < 6) errors.push('Password must be at least 6 characters');
+    }
+
+    report.push({ line, rollNumber: rollNumber || null, email: email || null, valid: errors.length === 0, errors });
+    if (errors.length === 0) {
+      students.push(student);
+      if (createLogins) {
+        const user = new User({ name: data.name, email, password: data.password, role: 'student', isActive: true });
+        student.user = user._id;
+        users.push(user);
+      }
+    }
+  });
+
+  return { report, students, users };
+};
+
+// Import form
+const showImportStudentsForm = (req, res) => {
+  res.render('students/import', { title: 'Import Students' });
+};
+
+// Bulk import from CSV/XLSX (multipart field "file"). Dry-run by default; mode=commit applies all rows or none.
+const importStudents = asyncHandler(async (req, res) => {
+  const commit = req.body.mode === 'commit';
+  const createLogins = req.body.createLogins === 'on' || req.body.createLogins === 'true';
+  if (!req.file) {
+    if (req.accepts('json')) return res.status(400).json({ message: 'Please upload a CSV or XLSX file' });
+    req.flash('error', 'Please upload a CSV or XLSX file');
+    return res.redirect('/students/import');
+  }
+
+  let sheet;
+  try {
+    sheet = await readSheet(req.file.buffer, { filename: req.file.originalname, mimetype: req.file.mimetype });
+  } catch (err) {
+    if (req.accepts('json')) return res.status(400).json({ message: 'Could not read the uploaded file' });
+    req.flash('error', 'Could not read the uploaded file');
+    return res.redirect('/students/import');
+  }
+
+  const { report, students, users } = await validateImportRows(sheet.rows, { createLogins, scope: scopeOf(req) });
+  const summary = {
+    mode: commit ? 'commit' : 'dry-run',
+    total: report.length,
+    valid: students.length,
+    invalid: report.length - students.length,
+  };
+  const failed = summary.invalid > 0 || summary.total === 0;
+
+  if (!commit || failed) {
+    const status = commit && failed ? 400 : 200;
+    const message = commit && failed ? 'Import rejected: fix the errors and upload again' : undefined;
+    if (req.accepts('json')) return res.status(status).json({ message, summary, rows: report });
+    if (message) req.flash('error', message);
+    return res.status(status).render('students/import', { title: 'Import Students', summary, rows: report });
+  }
+
+  // All or nothing: users are saved one by one so the pre-save hook hashes each password
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const user of users) {
+        await user.save({ session });
+      }
+      await Student.insertMany(students, { session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  summary.created = students.length;
+  summary.loginsCreated = users.length;
+  if (req.accepts('json')) return res.status(201).json({ summary, rows: report });
+  req.flash('success', `Imported ${students.length} students`);
   res.redirect('/students');
 });
 
+// Export columns mirror the import headers so an export can be edited and re-imported
+const STUDENT_EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name', value: (s) => s.name },
+  { key: 'email', header: 'Email', value: (s) => s.email },
+  { key: 'rollNumber', header: 'Roll Number', value: (s) => s.rollNumber },
+  { key: 'departmentCode', header: 'Department Code', value: (s) => refField(s.department, 'code') },
+  { key: 'departmentName', header: 'Department Name', value: (s) => refField(s.department, 'name') },
+  { key: 'courseCode', header: 'Course Code', value: (s) => refField(s.course, 'code') },
+  { key: 'courseName', header: 'Course Name', value: (s) => refField(s.course, 'name') },
+  { key: 'year', header: 'Year', value: (s) => s.year },
+  { key: 'semester', header: 'Semester', value: (s) => s.semester },
+  { key: 'enrollmentDate', header: 'Enrollment Date', value: (s) => exportDate(s.enrollmentDate) },
+  { key: 'status', header: 'Status', value: (s) => s.status },
+  { key: 'category', header: 'Category', value: (s) => s.category || '' },
+  { key: 'notes', header: 'Notes', value: (s) => s.notes || '' },
+];
+
+// GET /students/export?format=csv|xlsx|ndjson (same filters as getStudents)
+const exportStudents = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!isExportFormat(format)) {
+    return res.status(400).json({ message: 'Format must be csv, xlsx or ndjson' });
+  }
+  const cursor = Student.find(applyScope(req, buildStudentFilter(req.query)))
+    .populate('department', 'name code')
+    .populate('course', 'name code')
+    .sort({ rollNumber: 1 })
+    .lean()
+    .cursor();
+  await streamExport(res, cursor, { format, filename: 'students', columns: STUDENT_EXPORT_COLUMNS });
+});
+
 module.exports = {
   getStudents,
   getStudent,
@@ -200,4 +510,9 @@ module.exports = {
   showEditStudentForm,
   updateStudent,
   deleteStudent,
+  showImportStudentsForm,
+  importStudents,
+  exportStudents,
+  getStudentTranscript,
+  getMyTranscript,
 };
@@ -0,0 +1,34 @@
+/**
+ * Recount Course.enrolledCount from enrollments and hand any free seats to the waitlist.
+ * Run once after upgrading (enrollments made before seats were tracked are not counted)
+ * and whenever counts look wrong. Safe to re-run.
+ *
+ * Usage: MONGO_URI=mongodb://... node scripts/syncCourseSeats.js
+ */
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+
+async function syncCourseSeats({ log = console.log } = {}) {
+  const stats = { courses: 0, promoted: 0 };
+  for (const course of await Course.find({}).select('code')) {
+    await Course.syncEnrolledCount(course._id);
+    stats.promoted += (await Enrollment.fillSeats(course._id)).length;
+    stats.courses++;
+  }
+  log(`Recounted seats for ${stats.courses} courses (${stats.promoted} students promoted from waitlists)`);
+  return stats;
+}
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => syncCourseSeats())
+    .then(() => mongoose.disconnect())
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = syncCourseSeats;
@@ -0,0 +1,197 @@
+const asyncHandler = require('express-async-handler');
+const TimetableSlot = require('../models/TimetableSlot');
+const Module = require('../models/Module');
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const Enrollment = require('../models/Enrollment');
+const Room = require('../models/Room');
+const { inScope, applyScope, denyOutOfScope } = require('../utils/departmentScope');
+
+const { DAYS } = TimetableSlot;
+
+const CLASH_LABELS = {
+  room: 'room is already booked',
+  lecturer: 'lecturer is already teaching',
+  cohort: 'students of this course and semester already have',
+};
+
+const describeClash = ({ reason, slot }) =>
+  `${CLASH_LABELS[reason]} ${slot.module.code} on ${slot.day} ${slot.startTime}-${slot.endTime} in ${slot.room.code}`;
+
+// Group slots into { monday: [...], ... } ordered by start time
+const toGrid = (slots) => {
+  const grid = {};
+  DAYS.forEach((day) => {
+    grid[day] = [];
+  });
+  slots.forEach((slot) => grid[slot.day].push(slot));
+  DAYS.forEach((day) => grid[day].sort((a, b) => a.startTime.localeCompare(b.startTime)));
+  return grid;
+};
+
+// Validate the slot and check for clashes; returns { error, clashes, forbidden }.
+// forbidden is set when the slot's module lies outside the caller's department scope.
+const checkSlot = async (req, slot) => {
+  const validation = slot.validateSync();
+  if (validation) return { error: Object.values(validation.errors)[0].message, clashes: [] };
+  const [module, room] = await Promise.all([
+    Module.findById(slot.module).select('code course semester lecturers department'),
+    Room.findById(slot.room).select('isActive'),
+  ]);
+  if (!module) return { error: 'Module not found', clashes: [] };
+  if (!inScope(req, module.department)) return { forbidden: true, clashes: [] };
+  if (!room || !room.isActive) return { error: 'Room not found or not active', clashes: [] };
+  const clashes = await TimetableSlot.findClashes(slot, module);
+  if (clashes.length) {
+    return { error: `Timetable clash: ${clashes.map(describeClash).join('; ')}`, clashes };
+  }
+  return { error: null, clashes };
+};
+
+const clashPayload = (clashes) =>
+  clashes.map(({ reason, slot }) => ({
+    reason,
+    slot: { _id: slot._id, module: slot.module.code, day: slot.day, startTime: slot.startTime, endTime: slot.endTime, room: slot.room.code },
+  }));
+
+// GET /timetable?course=&semester= — admin grid view for one course and semester
+const getTimetable = asyncHandler(async (req, res) => {
+  const { course, semester } = req.query;
+  let slots = [];
+  if (course) {
+    const moduleQuery = applyScope(req, { course });
+    if (semester) moduleQuery.semester = parseInt(semester);
+    const modules = await Module.find(moduleQuery).select('_id');
+    slots = await TimetableSlot.find({ module: { $in: modules.map((m) => m._id) } }).populate({
+      path: 'module',
+      select: 'name code semester lecturers',
+      populate: { path: 'lecturers', select: 'name' },
+    }).populate('room', 'code name building');
+  }
+  const grid = toGrid(slots);
+
+  if (req.accepts('json')) return res.json({ days: DAYS, grid });
+  const courses = await Course.find(applyScope(req, {})).select('name code').sort({ name: 1 }).lean();
+  res.render('timetable/index', {
+    title: 'Timetable',
+    days: DAYS,
+    grid,
+    courses,
+    semesters: Array.from({ length: 12 }, (_, i) => i + 1),
+    filters: { course: course || '', semester: semester || '' },
+  });
+});
+
+// GET /timetable/new
+const showNewSlotForm = asyncHandler(async (req, res) => {
+  const [modules, rooms] = await Promise.all([
+    Module.find(applyScope(req, {})).select('name code course semester').sort({ code: 1 }),
+    Room.find({ isActive: true }).select('name code building capacity').sort({ code: 1 }),
+  ]);
+  res.render('timetable/new', { title: 'Add Timetable Slot', modules, rooms, days: DAYS, preselectedModuleId: req.query.module || '' });
+});
+
+// POST /timetable
+const createSlot = asyncHandler(async (req, res) => {
+  const { module, day, startTime, endTime, room, type } = req.body;
+  const slot = new TimetableSlot({ module, day, startTime, endTime, room, type: type || 'lecture' });
+  const { error, clashes, forbidden } = await checkSlot(req, slot);
+  if (forbidden) return denyOutOfScope(req, res, '/timetable');
+  if (error) {
+    if (req.accepts('json')) return res.status(clashes.length ? 409 : 400).json({ message: error, clashes: clashPayload(clashes) });
+    req.flash('error', error);
+    return res.redirect('/timetable/new');
+  }
+  const created = await slot.save();
+  if (req.accepts('json')) return res.status(201).json(created);
+  req.flash('success', 'Timetable slot added');
+  res.redirect('/timetable');
+});
+
+// GET /timetable/:id/edit
+const showEditSlotForm = asyncHandler(async (req, res) => {
+  const [slot, modules, rooms] = await Promise.all([
+    TimetableSlot.findById(req.params.id),
+    Module.find(applyScope(req, {})).select('name code course semester').sort({ code: 1 }),
+    Room.find({ isActive: true }).select('name code building capacity').sort({ code: 1 }),
+  ]);
+  if (!slot) {
+    req.flash('error', 'Timetable slot not found');
+    return res.redirect('/timetable');
+  }
+  res.render('timetable/edit', { title: 'Edit Timetable Slot', slot, modules, rooms, days: DAYS });
+});
+
+// PUT /timetable/:id
+const updateSlot = asyncHandler(async (req, res) => {
+  const slot = await TimetableSlot.findById(req.params.id);
+  if (!slot) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Timetable slot not found' });
+    req.flash('error', 'Timetable slot not found');
+    return res.redirect('/timetable');
+  }
+  // The slot's current module must be in scope too, not just the one it is moved to
+  const current = await Module.findById(slot.module).select('department');
+  if (current && !inScope(req, current.department)) return denyOutOfScope(req, res, '/timetable');
+  ['module', 'day', 'startTime', 'endTime', 'room', 'type'].forEach((field) => {
+    if (req.body[field] !== undefined) slot[field] = req.body[field];
+  });
+  const { error, clashes, forbidden } = await checkSlot(req, slot);
+  if (forbidden) return denyOutOfScope(req, res, '/timetable');
+  if (error) {
+    if (req.accepts('json')) return res.status(clashes.length ? 409 : 400).json({ message: error, clashes: clashPayload(clashes) });
+    req.flash('error', error);
+    return res.redirect(`/timetable/${slot._id}/edit`);
+  }
+  const updated = await slot.save();
+  if (req.accepts('json')) return res.json(updated);
+  req.flash('success', 'Timetable slot updated');
+  res.redirect('/timetable');
+});
+
+// DELETE /timetable/:id
+const deleteSlot = asyncHandler(async (req, res) => {
+  const slot = await TimetableSlot.findById(req.params.id);
+  if (!slot) {
+    if (req.accepts('json')) return res.status(404).json({ message: 'Timetable slot not found' });
+    req.flash('error', 'Timetable slot not found');
+    return res.redirect('/timetable');
+  }
+  const module = await Module.findById(slot.module).select('department');
+  if (module && !inScope(req, module.department)) return denyOutOfScope(req, res, '/timetable');
+  await slot.deleteOne();
+  if (req.accepts('json')) return res.json({ message: 'Timetable slot removed' });
+  req.flash('success', 'Timetable slot removed');
+  res.redirect('/timetable');
+});
+
+// GET /portal/timetable — slots for the modules of the student's enrolled courses in their current semester
+const getMyTimetable = asyncHandler(async (req, res) => {
+  const userId = req.session.user._id;
+  const [enrollments, student] = await Promise.all([
+    Enrollment.find({ user: userId, status: 'enrolled' }).select('course'),
+    Student.findOne({ user: userId }).select('semester'),
+  ]);
+  const moduleQuery = { course: { $in: enrollments.map((e) => e.course) } };
+  if (student) moduleQuery.semester = student.semester;
+  const modules = await Module.find(moduleQuery).select('_id');
+  const slots = await TimetableSlot.find({ module: { $in: modules.map((m) => m._id) } }).populate({
+    path: 'module',
+    select: 'name code semester lecturers',
+    populate: { path: 'lecturers', select: 'name' },
+  }).populate('room', 'code name building');
+  const grid = toGrid(slots);
+
+  if (req.accepts('json')) return res.json({ days: DAYS, grid });
+  res.render('portal/timetable', { title: 'My Timetable', days: DAYS, grid });
+});
+
+module.exports = {
+  getTimetable,
+  showNewSlotForm,
+  createSlot,
+  showEditSlotForm,
+  updateSlot,
+  deleteSlot,
+  getMyTimetable,
+};
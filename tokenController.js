@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../utils/permissions');
+const { scopeOf, denyOutOfScope } = require('../utils/departmentScope');
+
+// Personal access tokens for API clients (models/ApiToken); see bearerAuth in authMiddleware
+
+// GET /account/tokens — protect
+const getMyTokens = asyncHandler(async (req, res) => {
+  const tokens = await ApiToken.find({ user: req.session.user._id }).sort({ createdAt: -1 });
+  if (req.accepts('json')) return res.json(tokens);
+  res.render('account/tokens', { title: 'API Tokens', tokens, scopes: PERMISSIONS, defaultDays: ApiToken.DEFAULT_DAYS });
+});
+
+// POST /account/tokens { name, scopes, expiresInDays } — protect, requireSession. The token itself
+// is only ever in this response.
+const createMyToken = asyncHandler(async (req, res) => {
+  const { name, scopes, days, error } = ApiToken.parseRequest(req.body);
+  if (error) {
+    if (req.accepts('json')) return res.status(400).json({ message: error });
+    req.flash('error', error);
+    return res.redirect('/account/tokens');
+  }
+  const user = await User.findById(req.session.user._id);
+  const { token, record } = await ApiToken.issue(user, { name, scopes, days, ip: req.ip });
+  if (req.accepts('json')) return res.status(201).json({ token, ...record.toJSON() });
+  res.render('account/token-created', { title: 'API Token Created', token, record });
+});
+
+// Revoke the token with `tokenId` belonging to `owner`
+async function revokeToken(req, res, owner, tokenId, redirectTo) {
+  const fail = (status, message) => {
+    if (req.accepts('json')) return res.status(status).json({ message });
+    req.flash('error', message);
+    return res.redirect(redirectTo);
+  };
+  const record = mongoose.isValidObjectId(tokenId) ? await ApiToken.findOne({ _id: tokenId, user: owner._id }) : null;
+  if (!record) return fail(404, 'Token not found');
+  if (!(await ApiToken.revoke(record, owner, req.session.user._id, req.ip))) return fail(400, 'This token is already revoked');
+  if (req.accepts('json')) return res.json({ message: 'Token revoked' });
+  req.flash('success', `Token "${record.name}" revoked`);
+  return res.redirect(redirectTo);
+}
+
+// DELETE /account/tokens/:id — protect. An API client may revoke the token it is using.
+const revokeMyToken = asyncHandler(async (req, res) => {
+  await revokeToken(req, res, req.session.user, req.params.id, '/account/tokens');
+});
+
+// Load the user in :id, applying department scope (User.inDepartments); null once a response is sent
+const loadUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id).select('name email departments') : null;
+  if (!user) {
+    if (req.accepts('json')) res.status(404).json({ message: 'User not found' });
+    else {
+      req.flash('error', 'User not found');
+      res.redirect('/users');
+    }
+    return null;
+  }
+  const scope = scopeOf(req);
+  if (scope && !(await user.inDepartments(scope))) {
+    denyOutOfScope(req, res, '/users');
+    return null;
+  }
+  return user;
+};
+
+// GET /users/:id/tokens — requirePermission('users:manage')
+const getUserTokens = asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+  const tokens = await ApiToken.find({ user: user._id }).populate('revokedBy', 'name email').sort({ createdAt: -1 });
+  if (req.accepts('json')) return res.json(tokens);
+  res.render('users/tokens', { title: `API Tokens: ${user.name}`, user, tokens });
+});
+
+// DELETE /users/:id/tokens/:tokenId — requirePermission('users:manage')
+const revokeUserToken = asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+  await revokeToken(req, res, user, req.params.tokenId, `/users/${user._id}/tokens`);
+});
+
+module.exports = { getMyTokens, createMyToken, revokeMyToken, getUserTokens, revokeUserToken };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps: HMAC-SHA1 over 30-second
+ * steps, six digits, secrets shared as base32 in an otpauth:// URL.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from this many steps either side of now are accepted, for clock drift and slow typing
+const DRIFT_STEPS = 1;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return (bits.match(/.{1,5}/g) || []).map((chunk) => BASE32[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+  const bits = String(text)
+    .toUpperCase()
+    .replace(/[\s=-]/g, '')
+    .split('')
+    .map((c) => {
+      const value = BASE32.indexOf(c);
+      if (value === -1) throw new Error('Invalid base32 secret');
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+// A new random secret (160 bits, as RFC 4226 recommends), base32-encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for one time step
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The time step `code` belongs to, or null when it is not valid now. Steps at or before
+// `afterStep` are refused so a code cannot be replayed once it has been used.
+const matchCode = (secret, code, { afterStep = -1, time = Date.now() } = {}) => {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(given) || given.length !== DIGITS) return null;
+  const now = stepAt(time);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step += 1) {
+    if (step > afterStep && crypto.timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(given))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URL for authenticator apps, usually shown as a QR code
+const otpauthUrl = (secret, { issuer, account }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { STEP_SECONDS, DIGITS, base32Encode, base32Decode, generateSecret, stepAt, codeForStep, matchCode, otpauthUrl };
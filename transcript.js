@@ -0,0 +1,138 @@
+const PDFDocument = require('pdfkit');
+const Mark = require('../models/Mark');
+const Module = require('../models/Module');
+const Department = require('../models/Department');
+const { round2, computeModuleResult } = require('./grading');
+
+// Below this CGPA a student is placed on academic probation
+const PROBATION_CGPA = 5;
+
+// Credit-weighted grade point average over graded modules, or null when nothing is graded
+const gpa = (entries) => {
+  const graded = entries.filter((e) => e.result.complete);
+  const credits = graded.reduce((sum, e) => sum + e.credits, 0);
+  if (!credits) return null;
+  return round2(graded.reduce((sum, e) => sum + e.result.gradePoints * e.credits, 0) / credits);
+};
+
+const creditTotals = (entries) => ({
+  attempted: entries.filter((e) => e.result.complete).reduce((sum, e) => sum + e.credits, 0),
+  earned: entries.filter((e) => e.result.passed).reduce((sum, e) => sum + e.credits, 0),
+});
+
+const moduleStatus = (result) => {
+  if (!result.complete) return 'in_progress';
+  return result.passed ? 'passed' : 'failed';
+};
+
+/**
+ * Build a student's transcript from their recorded marks.
+ * Modules are grouped by Module.semester; SGPA/CGPA are weighted by Module.credits and
+ * only count modules whose every weighted component has been marked.
+ */
+async function buildTranscript(student) {
+  const marks = await Mark.find({ student: student._id }).lean();
+  const moduleIds = [...new Set(marks.map((m) => String(m.module)))];
+  const modules = await Module.find({ _id: { $in: moduleIds } }).select('name code credits semester assessmentMethods department');
+  const departments = await Department.find({ _id: { $in: [...new Set(modules.map((m) => String(m.department)))] } }).select('gradeBoundaries');
+  const boundariesByDept = new Map(departments.map((d) => [String(d._id), d.gradeBoundaries]));
+
+  const entries = modules.map((module) => {
+    const result = computeModuleResult(
+      module,
+      marks.filter((m) => String(m.module) === String(module._id)),
+      boundariesByDept.get(String(module.department))
+    );
+    return {
+      module: { _id: module._id, code: module.code, name: module.name },
+      semester: module.semester,
+      credits: module.credits,
+      result,
+      status: moduleStatus(result),
+    };
+  });
+
+  const semesters = [...new Set(entries.map((e) => e.semester))]
+    .sort((a, b) => a - b)
+    .map((semester) => {
+      const own = entries.filter((e) => e.semester === semester).sort((a, b) => a.module.code.localeCompare(b.module.code));
+      return { semester, sgpa: gpa(own), credits: creditTotals(own), modules: own };
+    });
+
+  const cgpa = gpa(entries);
+  let standing = 'no_grades';
+  if (cgpa !== null) standing = cgpa >= PROBATION_CGPA ? 'good_standing' : 'probation';
+
+  return {
+    student: {
+      _id: student._id,
+      name: student.name,
+      rollNumber: student.rollNumber,
+      department: student.department,
+      course: student.course,
+      status: student.status,
+    },
+    semesters,
+    cgpa,
+    credits: creditTotals(entries),
+    standing,
+    generatedAt: new Date(),
+  };
+}
+
+const label = (ref) => (ref && ref.name ? `${ref.name}${ref.code ? ` (${ref.code})` : ''}` : '');
+const fmt = (n) => (n === null || n === undefined ? '-' : Number(n).toFixed(2));
+
+// Stream a transcript as an A4 PDF
+function writeTranscriptPdf(res, transcript) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const { student } = transcript;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="transcript-${student.rollNumber}.pdf"`);
+  doc.pipe(res);
+
+  doc.fontSize(18).text('Academic Transcript', { align: 'center' }).moveDown();
+  doc.fontSize(10)
+    .text(`Name: ${student.name}`)
+    .text(`Roll Number: ${student.rollNumber}`)
+    .text(`Department: ${label(student.department)}`)
+    .text(`Course: ${label(student.course)}`)
+    .text(`Status: ${student.status}`)
+    .moveDown();
+
+  const cols = [50, 120, 330, 380, 430, 480];
+  const row = (cells, opts = {}) => {
+    const y = doc.y;
+    cells.forEach((cell, i) => doc.text(String(cell), cols[i], y, { width: (cols[i + 1] || 545) - cols[i] - 5, ...opts }));
+    doc.moveDown(0.3);
+  };
+
+  transcript.semesters.forEach((sem) => {
+    if (doc.y > 700) doc.addPage();
+    doc.fontSize(12).text(`Semester ${sem.semester}`, 50).fontSize(9);
+    row(['Code', 'Module', 'Credits', 'Total %', 'Grade', 'Status']);
+    sem.modules.forEach((e) => {
+      row([
+        e.module.code,
+        e.module.name,
+        e.credits,
+        e.result.complete ? fmt(e.result.total) : '-',
+        e.result.letter || '-',
+        e.status.replace('_', ' '),
+      ]);
+    });
+    doc.text(`SGPA: ${fmt(sem.sgpa)}    Credits attempted: ${sem.credits.attempted}    Credits earned: ${sem.credits.earned}`, 50);
+    doc.moveDown();
+  });
+
+  doc.fontSize(11)
+    .text(`CGPA: ${fmt(transcript.cgpa)}`, 50)
+    .text(`Total credits attempted: ${transcript.credits.attempted}    earned: ${transcript.credits.earned}`)
+    .text(`Academic standing: ${transcript.standing.replace('_', ' ')}`)
+    .moveDown()
+    .fontSize(8)
+    .text(`Generated ${transcript.generatedAt.toISOString().slice(0, 10)}`);
+  doc.end();
+}
+
+module.exports = { PROBATION_CGPA, buildTranscript, writeTranscriptPdf };
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const SecurityEvent = require('../models/SecurityEvent');
+const { sendTwoFactorSetupNotice } = require('./accountMail');
+const { generateSecret, matchCode, otpauthUrl } = require('./totp');
+
+/**
+ * TOTP two-factor sign-in. A user enrolls by scanning a secret into an authenticator app and
+ * confirming one code from it, and is then given single-use recovery codes for when the device is
+ * lost. Roles with requireTwoFactor make enrollment compulsory for their holders.
+ */
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Smart University';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are stored as SHA-256 hashes, ignoring case, spaces and dashes
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code || '').toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+// "3f9a-c21e" style codes; returns the plain codes to show once and their hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(4).toString('hex').replace(/^(.{4})/, '$1-'));
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const withSecrets = (userId) =>
+  User.findById(userId).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+
+const twoFactorRequired = (user) => Role.requiresTwoFactor(user.roleNames());
+
+// Start (or resume) enrollment; returns { secret, otpauthUrl, qrCode } with the QR code as a data URL
+async function beginEnrollment(user) {
+  const current = await withSecrets(user._id);
+  let secret = current.twoFactor.pendingSecret;
+  if (!secret) {
+    secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  }
+  const url = otpauthUrl(secret, { issuer: ISSUER, account: user.email });
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+}
+
+// Enrollment forced at login happens on the strength of the password alone, so the account owner is
+// emailed and the attempt recorded before the secret is shown. Throws when the mail cannot be sent.
+async function noteLoginEnrollment(user, req) {
+  await sendTwoFactorSetupNotice(req, user);
+  await SecurityEvent.create({
+    type: 'two_factor_enrollment_started',
+    user: user._id,
+    email: user.email,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+}
+
+// Finish enrollment with a code from the app. Returns the plain recovery codes, or null when the
+// code does not match the pending secret.
+async function confirmEnrollment(user, code, req) {
+  const current = await withSecrets(user._id);
+  const secret = current.twoFactor.pendingSecret;
+  const step = secret ? matchCode(secret, code) : null;
+  if (step === null) return null;
+  const { codes, hashes } = generateRecoveryCodes();
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.pendingSecret': secret },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': secret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date(),
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+  if (!result.modifiedCount) return null;
+  await SecurityEvent.create({ type: 'two_factor_enabled', user: user._id, email: user.email, actor: user._id, ip: req.ip });
+  return codes;
+}
+
+// Check a sign-in's second factor: an authenticator `code`, or else a `recoveryCode`, which is used
+// up. Returns 'code', 'recovery' or null.
+async function verifySecondFactor(user, { code, recoveryCode }, req) {
+  const current = await withSecrets(user._id);
+  if (!current || !current.twoFactor.enabled) return null;
+
+  if (code) {
+    const { secret, lastUsedStep } = current.twoFactor;
+    const afterStep = typeof lastUsedStep === 'number' ? lastUsedStep : -1;
+    const step = matchCode(secret, code, { afterStep });
+    if (step === null) return null;
+    // Conditional on the last step, so the same code submitted twice at once only works once
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount ? 'code' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (!result.modifiedCount) return null;
+    await SecurityEvent.create({
+      type: 'recovery_code_used',
+      user: user._id,
+      email: user.email,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    return 'recovery';
+  }
+  return null;
+}
+
+const recoveryCodesLeft = async (user) => ((await withSecrets(user._id)).twoFactor.recoveryCodes || []).length;
+
+// Replace the recovery codes; returns the new plain codes
+async function regenerateRecoveryCodes(user) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id, 'twoFactor.enabled': true }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+}
+
+// Turn two-factor sign-in off for `user`; `actor` is the user themselves or an admin resetting it
+async function disableTwoFactor(user, actor, req) {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1,
+      },
+    }
+  );
+  await SecurityEvent.create({ type: 'two_factor_disabled', user: user._id, email: user.email, actor, ip: req.ip });
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  twoFactorRequired,
+  beginEnrollment,
+  noteLoginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  recoveryCodesLeft,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,76 @@
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const {
+  RECOVERY_CODE_COUNT,
+  twoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  recoveryCodesLeft,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../utils/twoFactor');
+
+// Two-factor settings of the signed-in user. Every route here is behind protect and requireSession.
+
+const fail = (req, res, status, message) => {
+  if (req.accepts('json')) return res.status(status).json({ message });
+  req.flash('error', message);
+  return res.redirect('/account/two-factor');
+};
+
+// GET /account/two-factor
+const getTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.session.user._id);
+  const status = {
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    required: await twoFactorRequired(user),
+    recoveryCodesLeft: user.twoFactor.enabled ? await recoveryCodesLeft(user) : 0,
+    recoveryCodeCount: RECOVERY_CODE_COUNT,
+  };
+  if (req.accepts('json')) return res.json(status);
+  res.render('account/two-factor', { title: 'Two-Factor Sign-In', status });
+});
+
+// POST /account/two-factor/setup — secret and QR code to scan; enabled once confirmed with a code
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.session.user._id);
+  if (user.twoFactor.enabled) return fail(req, res, 400, 'Two-factor sign-in is already on');
+  const enrollment = await beginEnrollment(user);
+  if (req.accepts('json')) return res.json(enrollment);
+  res.render('account/two-factor-setup', { title: 'Set Up Two-Factor Sign-In', ...enrollment });
+});
+
+// POST /account/two-factor/enable { code } — responds with the recovery codes, shown only once
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.session.user._id);
+  if (user.twoFactor.enabled) return fail(req, res, 400, 'Two-factor sign-in is already on');
+  const recoveryCodes = await confirmEnrollment(user, req.body.code, req);
+  if (!recoveryCodes) return fail(req, res, 400, 'That code is not valid; scan the QR code again and enter a fresh code');
+  if (req.accepts('json')) return res.json({ message: 'Two-factor sign-in turned on', recoveryCodes });
+  res.render('account/recovery-codes', { title: 'Recovery Codes', recoveryCodes });
+});
+
+// POST /account/two-factor/recovery-codes { password } — new codes replace the old ones
+const replaceRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.session.user._id);
+  if (!user.twoFactor.enabled) return fail(req, res, 400, 'Two-factor sign-in is off');
+  if (!(await user.matchPassword(String(req.body.password || '')))) return fail(req, res, 400, 'Password is incorrect');
+  const recoveryCodes = await regenerateRecoveryCodes(user);
+  if (req.accepts('json')) return res.json({ message: 'Recovery codes replaced', recoveryCodes });
+  res.render('account/recovery-codes', { title: 'Recovery Codes', recoveryCodes });
+});
+
+// POST /account/two-factor/disable { password } — not allowed while a role requires two-factor
+const turnOffTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.session.user._id);
+  if (!user.twoFactor.enabled) return fail(req, res, 400, 'Two-factor sign-in is off');
+  if (!(await user.matchPassword(String(req.body.password || '')))) return fail(req, res, 400, 'Password is incorrect');
+  if (await twoFactorRequired(user)) return fail(req, res, 403, 'Your role requires two-factor sign-in');
+  await disableTwoFactor(user, user._id, req);
+  if (req.accepts('json')) return res.json({ message: 'Two-factor sign-in turned off' });
+  req.flash('success', 'Two-factor sign-in turned off');
+  res.redirect('/account/two-factor');
+});
+
+module.exports = { getTwoFactor, setupTwoFactor, enableTwoFactor, replaceRecoveryCodes, turnOffTwoFactor };
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Student = require('../models/Student');
+const Faculty = require('../models/Faculty');
+const Department = require('../models/Department');
+const UserSession = require('../models/UserSession');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const ApiToken = require('../models/ApiToken');
+const { paginate, escapeRegex } = require('../utils/listQuery');
+const { grants } = require('../utils/permissions');
+const { historyForViewer } = require('../utils/audit');
+const { scopeOf, denyOutOfScope } = require('../utils/departmentScope');
+const { sendPasswordLink } = require('../utils/accountMail');
+const { endSessions } = require('../utils/sessions');
+
+// User accounts. Every route here is behind requirePermission('users:manage'); roles are changed
+// through PUT /users/:id/roles and department scopes through PUT /users/:id/departments
+// (roleController). A department-scoped caller can only reach accounts in their own departments.
+
+// Invitation links for new accounts stay valid longer than a forgotten-password link
+const INVITE_TTL_MINUTES = 3 * 24 * 60;
+const USER_STATUSES = ['active', 'inactive', 'locked'];
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).map((v) => String(v || '').trim()).filter(Boolean);
+
+// A password nobody knows, for accounts that must set theirs through an emailed link
+const unusablePassword = () => crypto.randomBytes(32).toString('hex');
+
+// Account fields safe to send back
+const withoutPassword = (user) => {
+  const { password, ...rest } = user.toJSON();
+  return rest;
+};
+
+// Load the user in :id, applying department scope (User.inDepartments); null once a response is sent
+const loadUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    if (req.accepts('json')) res.status(404).json({ message: 'User not found' });
+    else {
+      req.flash('error', 'User not found');
+      res.redirect('/users');
+    }
+    return null;
+  }
+  const scope = scopeOf(req);
+  if (scope && !(await user.inDepartments(scope))) {
+    denyOutOfScope(req, res, '/users');
+    return null;
+  }
+  return user;
+};
+
+const isSelf = (req, user) => String(user._id) === String(req.session.user._id);
+
+// Accounts holding any role beyond "user" may only be edited, deactivated or reset by callers who
+// can also manage roles; otherwise users:manage alone could take over an admin account by
+// changing its email. Returns the refusal message or null.
+const privilegeProblem = (req, user) =>
+  user.roleNames().some((r) => r !== 'user' && r !== 'student') && !grants(req.permissions, 'roles:manage')
+    ? 'Permission required to manage accounts with roles: roles:manage'
+    : null;
+
+// GET /users?search=&role=&status= — a department-scoped caller only sees accounts in their departments
+const getUsers = asyncHandler(async (req, res) => {
+  const { search, role, status } = req.query;
+  const conditions = [];
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    conditions.push({ $or: [{ name: pattern }, { email: pattern }] });
+  }
+  if (role) {
+    const name = String(role).toLowerCase();
+    conditions.push({ $or: [{ role: name }, { roles: name }] });
+  }
+  if (status === 'active') conditions.push({ isActive: true });
+  else if (status === 'inactive') conditions.push({ isActive: false });
+  else if (status === 'locked') conditions.push({ lockedUntil: { $gt: new Date() } });
+  const scope = scopeOf(req);
+  if (scope) conditions.push(await User.departmentFilter(scope));
+  const filter = conditions.length ? { $and: conditions } : {};
+
+  const { docs: users, meta } = await paginate(User, filter, req, { sort: { name: 1 }, exclude: ['password'] });
+  if (req.accepts('json')) return res.json({ data: users, meta });
+  res.render('users/index', {
+    title: 'Users',
+    users,
+    pagination: meta,
+    roles: [...(await Role.knownNames())].sort(),
+    statuses: USER_STATUSES,
+    filters: { search: search || '', role: role || '', status: status || '' },
+  });
+});
+
+// GET /users/:id — the account with its linked student and faculty records
+const getUser = asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+  const [students, faculty, activeSessions, departments] = await Promise.all([
+    Student.find({ user: user._id })
+      .select('name rollNumber email status course department year semester')
+      .populate('course', 'name code')
+      .populate('department', 'name code'),
+    Faculty.findOne({ user: user._id }).select('name designation department').populate('department', 'name code'),
+    UserSession.countDocuments({ user: user._id }),
+    Department.find({ _id: { $in: user.departments } }).select('name code'),
+  ]);
+  const details = { ...withoutPassword(user), departments, students, faculty, activeSessions };
+  if (req.accepts('json')) return res.json(details);
+  const history = await historyForViewer(req, 'User', user._id);
+  res.render('users/show', { title: user.name, user, details, history });
+});
+
+// GET /users/new
+const showNewUserForm = asyncHandler(async (req, res) => {
+  const [roles, departments] = await Promise.all([
+    Role.knownNames(),
+    scopeOf(req) ? [] : Department.find({ isActive: true }).select('name code').sort({ name: 1 }),
+  ]);
+  res.render('users/new', { title: 'Add User', roles: [...roles].filter((r) => r !== 'student').sort(), departments });
+});
+
+// POST /users { name, email, role, roles, departments, password } — a staff account. Without a
+// password the user is mailed a link to choose one. Giving any role other than "user" also needs
+// roles:manage; a department-scoped caller's accounts are limited to the caller's departments.
+const createUser = asyncHandler(async (req, res) => {
+  const { name, password } = req.body;
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const role = String(req.body.role || 'user').toLowerCase().trim();
+  const roles = [...new Set(toList(req.body.roles).map((r) => r.toLowerCase()))].filter((r) => r !== role);
+  const scope = scopeOf(req);
+  const departments = scope || [...new Set(toList(req.body.departments))];
+  const fail = (status, message) => {
+    if (req.accepts('json')) return res.status(status).json({ message });
+    req.flash('error', message);
+    return res.redirect('/users/new');
+  };
+
+  if (!String(name || '').trim() || !email) return fail(400, 'Name and email are required');
+  const known = await Role.knownNames();
+  const unknown = [role, ...roles].filter((r) => !known.has(r));
+  if (unknown.length) return fail(400, `Unknown roles: ${unknown.join(', ')}`);
+  if ([role, ...roles].includes('student')) return fail(400, 'Student accounts are created from the student record');
+  if ([role, ...roles].some((r) => r !== 'user') && !grants(req.permissions, 'roles:manage')) {
+    return fail(403, 'Permission required to assign roles: roles:manage');
+  }
+  if (password) {
+    const problem = User.passwordProblem(password);
+    if (problem) return fail(400, problem);
+  }
+  if (await User.exists({ email })) return fail(400, 'A user with this email already exists');
+  if (!scope && departments.length) {
+    const found = await Department.countDocuments({ _id: { $in: departments } }).catch(() => -1);
+    if (found !== departments.length) return fail(400, 'One or more departments were not found');
+  }
+
+  const user = new User({ name, email, password: password || unusablePassword(), role, roles, departments });
+  const error = user.validateSync();
+  if (error) return fail(400, Object.values(error.errors)[0].message);
+  await user.save();
+
+  // Mail problems are reported to the admin, who can send a reset link again later
+  let invited = false;
+  let mailError = null;
+  if (!password) {
+    try {
+      const token = await PasswordResetToken.issue(user, req.ip, INVITE_TTL_MINUTES);
+      await sendPasswordLink(req, user, token, { kind: 'invite', ttlMinutes: INVITE_TTL_MINUTES });
+      invited = true;
+    } catch (err) {
+      mailError = err.message;
+    }
+  }
+
+  if (req.accepts('json')) return res.status(201).json({ ...withoutPassword(user), invited, mailError });
+  if (mailError) {
+    req.flash('error', `The invitation email could not be sent (${mailError}); use "Force password reset" to try again`);
+  }
+  req.flash('success', invited ? `User created; an invitation was sent to ${user.email}` : 'User created');
+  res.redirect(`/users/${user._id}`);
+});
+
+// GET /users/:id/edit
+const showEditUserForm = asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+  res.render('users/edit', { title: `Edit User: ${user.name}`, user });
+});
+
+// PUT /users/:id { name, email }
+const updateUser = asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+  const fail = (message, status = 400) => {
+    if (req.accepts('json')) return res.status(status).json({ message });
+    req.flash('error', message);
+    return res.redirect(`/users/${user._id}/edit`);
+  };
+  const denied = privilegeProblem(req, user);
+  if (denied) return fail(denied, 403);
+  const email = req.body.email === undefined ? user.email : String(req.body.email).trim().toLowerCase();
+  if (email !== user.email && (await User.exists({ email, _id: { $ne: user._id } }))) {
+    return fail('A user with this email already exists');
+  }
+  if (req.body.name !== undefined) user.name = req.body.name;
+  user.email = email;
+  const error = user.validateSync();
+  if (error) return fail(Object.values(error.errors)[0].message);
+  await user.save();
+
+  if (req.accepts('json')) return res.json(withoutPassword(user));
+  req.flash('success', 'User updated');
+  res.redirect(`/users/${user._id}`);
+});
+
+// PUT /users/:id/status { isActive } — requireSession. Deactivating signs the account out
+// everywhere (and its API tokens stop working); nobody can deactivate themselves or the last
+// active admin.
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+  const isActive = req.body.isActive === 'on' || req.body.isActive === true || req.body.isActive === 'true';
+  const denied = privilegeProblem(req, user);
+  let error = null;
+  if (user.isActive === isActive) error = isActive ? 'This account is already active' : 'This account is already inactive';
+  else if (!isActive && isSelf(req, user)) error = 'You cannot deactivate your own account';
+  else if (!isActive && (await User.isLastActiveAdmin(user))) error = 'Cannot deactivate the last active admin';
+  if (denied || error) {
+    if (req.accepts('json')) return res.status(denied ? 403 : 400).json({ message: denied || error });
+    req.flash('error', denied || error);
+    return res.redirect(`/users/${user._id}`);
+  }
+
+  user.isActive = isActive;
+  await user.save();
+  const ended = isActive ? 0 : await endSessions(req.sessionStore, user._id);
+  const message = isActive ? 'Account activated' : 'Account deactivated';
+  if (req.accepts('json')) return res.json({ message, endedSessions: ended });
+  req.flash('success', message);
+  res.redirect(`/users/${user._id}`);
+});
+
+// POST /users/:id/password-reset — requireSession. Replaces the password with one nobody knows,
+// signs the account out everywhere, revokes its API tokens and mails the user a link to choose a new one.
+const forcePasswordReset = asyncHandler(async (req, res) => {
+  const user = await loadUser(req, res);
+  if (!user) return;
+  const denied = privilegeProblem(req, user);
+  let error = null;
+  if (!user.isActive) error = 'Activate the account before resetting its password';
+  else if (isSelf(req, user)) error = 'Change your own password from your account page';
+  if (denied || error) {
+    if (req.accepts('json')) return res.status(denied ? 403 : 400).json({ message: denied || error });
+    req.flash('error', denied || error);
+    return res.redirect(`/users/${user._id}`);
+  }
+
+  user.password = unusablePassword();
+  await user.save();
+  await endSessions(req.sessionStore, user._id);
+  await ApiToken.revokeAll(user, req.session.user._id, req.ip);
+  const token = await PasswordResetToken.issue(user, req.ip);
+  let mailError = null;
+  try {
+    await sendPasswordLink(req, user, token, { kind: 'forced', ttlMinutes: PasswordResetToken.TTL_MINUTES });
+  } catch (err) {
+    mailError = err.message;
+  }
+
+  const sent = !mailError;
+  const message = sent
+    ? `Password reset; a link to choose a new one was sent to ${user.email}`
+    : `Password reset, but the email could not be sent (${mailError}); try again`;
+  if (req.accepts('json')) return res.status(sent ? 200 : 502).json({ message });
+  req.flash(sent ? 'success' : 'error', message);
+  res.redirect(`/users/${user._id}`);
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  showNewUserForm,
+  createUser,
+  showEditUserForm,
+  updateUser,
+  updateUserStatus,
+  forcePasswordReset,
+};